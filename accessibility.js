@@ -0,0 +1,115 @@
+// Accessibility
+// Every .modal in index.html is a dialog: setupDialogs() gives it role="dialog", aria-modal
+// and its h2 as the label. Open and close dialogs with showDialog() / hideDialog() instead of
+// setting style.display, so focus moves into the dialog and back to whatever opened it.
+// While a dialog is open, Tab and Shift+Tab stay inside it and Escape presses its close
+// button, so the dialog's own close handler runs.
+//
+// announce() reads a message out through the #liveRegion status element.
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const openDialogs = []; // { modal, returnFocus }, topmost last
+
+function setupDialogs() {
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.tabIndex = -1; // Focused on open, so screen readers announce the title
+        const title = modal.querySelector('h2');
+        if (title) {
+            if (!title.id) title.id = `${modal.id}Title`;
+            modal.setAttribute('aria-labelledby', title.id);
+        }
+    });
+    document.addEventListener('keydown', handleDialogKeydown);
+}
+
+function showDialog(id) {
+    const modal = document.getElementById(id);
+    if (!openDialogs.some(dialog => dialog.modal === modal)) {
+        openDialogs.push({ modal: modal, returnFocus: document.activeElement });
+    }
+    modal.style.display = 'block';
+    if (!modal.contains(document.activeElement)) {
+        modal.focus();
+    }
+}
+
+function hideDialog(id) {
+    const modal = document.getElementById(id);
+    modal.style.display = 'none';
+    const index = openDialogs.findIndex(dialog => dialog.modal === modal);
+    if (index === -1) return;
+    const { returnFocus } = openDialogs.splice(index, 1)[0];
+    if (!returnFocus) return;
+    // The opener may have been re-rendered in the meantime - find it again by id
+    const target = returnFocus.isConnected ? returnFocus : (returnFocus.id && document.getElementById(returnFocus.id));
+    if (target && typeof target.focus === 'function') {
+        target.focus();
+    }
+}
+
+function isDialogOpen(id) {
+    return openDialogs.some(dialog => dialog.modal.id === id);
+}
+
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => el.offsetParent !== null); // Skip hidden sections
+}
+
+function handleDialogKeydown(e) {
+    const dialog = openDialogs[openDialogs.length - 1];
+    if (!dialog) return;
+    const modal = dialog.modal;
+
+    if (e.key === 'Escape') {
+        const closeBtn = modal.querySelector('.close');
+        if (closeBtn) {
+            e.preventDefault();
+            closeBtn.click();
+        }
+        return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusableElements(modal);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        modal.focus();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = document.activeElement !== modal && modal.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Lets a clickable card be reached with Tab and pressed with Enter or Space
+function makeKeyboardClickable(element) {
+    element.setAttribute('role', 'button');
+    element.tabIndex = 0;
+    element.addEventListener('keydown', (e) => {
+        if (e.target !== element) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            element.click();
+        }
+    });
+}
+
+function announce(message) {
+    const region = document.getElementById('liveRegion');
+    if (!region) return;
+    // Clear first so the same message is read again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
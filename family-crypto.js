@@ -0,0 +1,261 @@
+// Family Encryption
+// Without a passphrase, anyone who learns the family ID can read the family document.
+// With one, the private fields are encrypted on the device before they are synced:
+// a key is derived from the passphrase with PBKDF2 and each field is sealed with AES-GCM.
+//
+// An encrypted document carries the key parameters next to the sealed fields:
+//
+//   encryption          { version, salt, iterations, check } - check is a known value sealed
+//                       with the key, so a wrong passphrase can be told from a right one
+//   encryptedChildren   { iv, data } - and likewise for the other ENCRYPTED_FIELDS.
+//                       The plain field (children) is set to null.
+//
+// Devices that know the passphrase keep the derived key in localStorage, so it is only
+// asked for once per device (and again after it is changed on another device).
+// Once a device has the key it never falls back to plain text on its own: a document that
+// arrives without its encryption is refused until encryption is set again or turned off
+// on that device, since anyone who knows the family ID could have written it.
+
+const FAMILY_KEY_STORAGE_KEY = 'tvTimeFamilyKey';
+const ENCRYPTED_FIELDS = ['children', 'customChores', 'penalties', 'rewards', 'choreRequests', 'settings'];
+const PBKDF2_ITERATIONS = 600000;
+const KEY_CHECK_TEXT = 'tv-time-manager';
+
+function encryptedFieldName(field) {
+    return 'encrypted' + field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveFamilyKey(passphrase, salt, iterations) {
+    const passphraseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: iterations, hash: 'SHA-256' },
+        passphraseKey,
+        { name: 'AES-GCM', length: 256 },
+        true, // Extractable so it can be remembered on this device
+        ['encrypt', 'decrypt']);
+}
+
+async function encryptValue(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+// Throws if the key is wrong or the data was tampered with
+async function decryptValue(key, sealed) {
+    const data = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+// New key for a new passphrase -> { familyKey: { salt, key }, encryption }
+async function createFamilyKey(passphrase) {
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveFamilyKey(passphrase, salt, PBKDF2_ITERATIONS);
+    return {
+        familyKey: { salt: salt, key: key },
+        encryption: {
+            version: 1,
+            salt: salt,
+            iterations: PBKDF2_ITERATIONS,
+            check: await encryptValue(key, KEY_CHECK_TEXT)
+        }
+    };
+}
+
+// Key for a document's encryption parameters, or null if the passphrase is wrong
+async function unlockFamilyKey(passphrase, encryption) {
+    const key = await deriveFamilyKey(passphrase, encryption.salt, encryption.iterations);
+    try {
+        if (await decryptValue(key, encryption.check) === KEY_CHECK_TEXT) {
+            return { salt: encryption.salt, key: key };
+        }
+    } catch (error) {
+        // Wrong passphrase
+    }
+    return null;
+}
+
+async function saveFamilyKey(familyId, familyKey) {
+    const raw = await crypto.subtle.exportKey('raw', familyKey.key);
+    localStorage.setItem(FAMILY_KEY_STORAGE_KEY, JSON.stringify({
+        familyId: familyId,
+        salt: familyKey.salt,
+        key: bytesToBase64(new Uint8Array(raw))
+    }));
+}
+
+// This device's key for the family, or null
+async function loadFamilyKey(familyId) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(FAMILY_KEY_STORAGE_KEY));
+        if (!stored || stored.familyId !== familyId) return null;
+        const key = await crypto.subtle.importKey(
+            'raw', base64ToBytes(stored.key), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+        return { salt: stored.salt, key: key };
+    } catch (error) {
+        console.error('Error loading the family key:', error);
+        return null;
+    }
+}
+
+function clearFamilyKey() {
+    localStorage.removeItem(FAMILY_KEY_STORAGE_KEY);
+}
+
+// Wraps any storage adapter (see storage-adapters.js) with the same interface, decrypting
+// documents as they are read and encrypting fields as they are written. Plain documents
+// pass through unchanged, so families without a passphrase work exactly as before.
+class EncryptedStorageAdapter {
+    constructor(adapter, familyKey, onLocked) {
+        this.adapter = adapter;
+        this.name = adapter.name;
+        this.isRemote = adapter.isRemote;
+        this.familyKey = familyKey; // { salt, key } or null
+        this.nextFamilyKey = null; // Key being switched to by rekey()
+        this.onLocked = onLocked; // Called when the document can't be opened (see isLocked() and isDowngraded())
+        this.encryption = null; // Parameters of the last document seen (null = not encrypted)
+        this.downgraded = false; // The last document seen was plain although this device has the key
+        this.isRekeying = false;
+        this.snapshotQueue = Promise.resolve();
+    }
+
+    isEncrypted() {
+        return !!this.encryption;
+    }
+
+    // Needs a passphrase this device doesn't know
+    isLocked() {
+        return !!this.encryption && !this.keyFor(this.encryption);
+    }
+
+    // Encryption was removed without this device's key - nothing is read or written
+    isDowngraded() {
+        return this.downgraded;
+    }
+
+    keyFor(encryption) {
+        return [this.familyKey, this.nextFamilyKey].find(familyKey => familyKey && familyKey.salt === encryption.salt) || null;
+    }
+
+    // The key that opens this document: null for a plain one. Throws if it's locked or downgraded.
+    documentKey(data) {
+        this.encryption = (data && data.encryption) || null;
+        this.downgraded = !this.encryption && !!this.familyKey && !this.isRekeying;
+        if (this.downgraded) {
+            this.onLocked();
+            throw new Error(t('The family data is no longer encrypted'));
+        }
+        if (!this.encryption) {
+            return null;
+        }
+        const familyKey = this.keyFor(this.encryption);
+        if (!familyKey) {
+            this.onLocked();
+            throw new Error(t('Family passphrase needed to sync'));
+        }
+        return familyKey;
+    }
+
+    async openDocument(data, familyKey) {
+        if (!data || !familyKey) return data;
+        const opened = { ...data };
+        delete opened.encryption;
+        for (const field of ENCRYPTED_FIELDS) {
+            const name = encryptedFieldName(field);
+            if (data[name]) {
+                opened[field] = await decryptValue(familyKey.key, data[name]);
+            }
+            delete opened[name];
+        }
+        return opened;
+    }
+
+    async sealFields(fields, familyKey) {
+        if (!familyKey) return fields;
+        const sealed = { ...fields };
+        for (const field of ENCRYPTED_FIELDS) {
+            if (field in fields) {
+                sealed[encryptedFieldName(field)] = await encryptValue(familyKey.key, fields[field]);
+                sealed[field] = null;
+            }
+        }
+        return sealed;
+    }
+
+    async load(options) {
+        const data = await this.adapter.load(options);
+        return this.openDocument(data, this.documentKey(data));
+    }
+
+    subscribe(onData, onError) {
+        return this.adapter.subscribe((data, confirmed) => {
+            // Decrypting is async - keep snapshots in the order they arrived
+            this.snapshotQueue = this.snapshotQueue
+                .then(() => this.openDocument(data, this.documentKey(data)))
+                .then(opened => onData(opened, confirmed))
+                .catch(onError);
+        }, onError);
+    }
+
+    async saveFields(fields) {
+        if (this.isLocked()) {
+            throw new Error(t('Family passphrase needed to sync'));
+        }
+        // Also covers a document that hasn't been read yet
+        if (!this.encryption && this.familyKey) {
+            throw new Error(t('The family data is no longer encrypted'));
+        }
+        const familyKey = this.encryption ? this.keyFor(this.encryption) : null;
+        await this.adapter.saveFields(await this.sealFields(fields, familyKey));
+    }
+
+    transact(mutate) {
+        return this.adapter.transact(async (data) => {
+            const familyKey = this.documentKey(data);
+            const fields = mutate(await this.openDocument(data, familyKey));
+            return this.sealFields(fields, familyKey);
+        });
+    }
+
+    // Re-encrypt the whole document with a new key (from createFamilyKey()),
+    // or store it in plain text again when familyKey is null.
+    // This is the only way a device stops encrypting.
+    async rekey(familyKey, encryption) {
+        this.nextFamilyKey = familyKey;
+        this.isRekeying = true;
+        try {
+            await this.adapter.transact(async (data) => {
+                const opened = await this.openDocument(data, this.documentKey(data));
+                const fields = { encryption: encryption };
+                ENCRYPTED_FIELDS.forEach(field => {
+                    if (opened && opened[field] !== undefined && opened[field] !== null) {
+                        fields[field] = opened[field];
+                    }
+                    fields[encryptedFieldName(field)] = null;
+                });
+                return this.sealFields(fields, familyKey);
+            });
+            this.familyKey = familyKey;
+            this.encryption = encryption;
+            this.downgraded = false;
+        } finally {
+            this.nextFamilyKey = null;
+            this.isRekeying = false;
+        }
+    }
+}
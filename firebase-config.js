@@ -24,6 +24,24 @@ function initializeFirebaseIfReady() {
             console.log('Initializing Firebase...');
             firebase.initializeApp(firebaseConfig);
             db = firebase.firestore();
+            // Point at a local Firestore emulator for testing, e.g. index.html?emulator=localhost:8080
+            // (or localStorage.setItem('tvTimeFirestoreEmulator', 'localhost:8080')).
+            // Development only: ignored unless the app itself is served from this machine,
+            // and only a local emulator is accepted, so a link can't redirect a family's data.
+            const isLocalHost = (host) => host === 'localhost' || host === '127.0.0.1';
+            if (isLocalHost(window.location.hostname)) {
+                const emulatorHost = new URLSearchParams(window.location.search).get('emulator') ||
+                    localStorage.getItem('tvTimeFirestoreEmulator');
+                if (emulatorHost) {
+                    const [host, port] = emulatorHost.split(':');
+                    if (isLocalHost(host)) {
+                        db.useEmulator(host, parseInt(port) || 8080);
+                        console.log('Using Firestore emulator at', emulatorHost);
+                    } else {
+                        console.warn('Ignoring Firestore emulator that is not on this machine:', emulatorHost);
+                    }
+                }
+            }
             console.log('Firebase initialized successfully, db:', db);
             // Dispatch event so main app knows Firebase is ready
             window.dispatchEvent(new CustomEvent('firebaseReady'));
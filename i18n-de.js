@@ -0,0 +1,537 @@
+// German translations (see i18n.js)
+
+registerMessages('de', {
+    // index.html
+    '🔄 New version available! Click to update.': '🔄 Neue Version verfügbar! Zum Aktualisieren tippen.',
+    'Update Now': 'Jetzt aktualisieren',
+    'Later': 'Später',
+    "Manage your children's TV time": 'Die Fernsehzeit deiner Kinder verwalten',
+    '👶 No children added yet.': '👶 Noch keine Kinder hinzugefügt.',
+    'Add your first child below to get started!': 'Füge unten dein erstes Kind hinzu, um loszulegen!',
+    'Add Child': 'Kind hinzufügen',
+    'Add': 'Hinzufügen',
+    'Adjust Time': 'Zeit anpassen',
+    '⏰ 30m will be automatically added every day at midnight': '⏰ Jeden Tag um Mitternacht kommen automatisch 30 Min. dazu',
+    'Current Balance:': 'Aktuelles Guthaben:',
+    '➖ Subtract': '➖ Abziehen',
+    '➕ Add': '➕ Hinzufügen',
+    'Apply': 'Übernehmen',
+    '↶ Undo': '↶ Rückgängig',
+    '↷ Redo': '↷ Wiederholen',
+    'Select a Chore': 'Aufgabe wählen',
+    'Select a Penalty': 'Strafe wählen',
+    'Savings Jar': 'Sparschwein',
+    '🐷 Save': '🐷 Sparen',
+    'Take out': 'Herausnehmen',
+    'Tap a reward to redeem it from the jar, or 🎯 to make it the goal.': 'Tippe auf eine Belohnung, um sie mit dem Sparschwein einzulösen, oder auf 🎯, um sie zum Ziel zu machen.',
+    'Balance History': 'Guthaben-Verlauf',
+    'Allowance for this child': 'Zeitbudget für dieses Kind',
+    'Daily allowance (minutes):': 'Tägliches Zeitbudget (Minuten):',
+    'Maximum balance (minutes):': 'Maximales Guthaben (Minuten):',
+    'Weekly schedule (minutes):': 'Wochenplan (Minuten):',
+    'Leave blank to use the family default from Settings.': 'Leer lassen, um den Familienwert aus den Einstellungen zu verwenden.',
+    'Chore Name:': 'Name der Aufgabe:',
+    'Time (minutes or h:mm):': 'Zeit (Minuten oder h:mm):',
+    'Repeats:': 'Wiederholung:',
+    'Anytime (no limit)': 'Jederzeit (ohne Grenze)',
+    'Weekly': 'Wöchentlich',
+    'On specific days': 'An bestimmten Tagen',
+    'Days:': 'Tage:',
+    'Sun': 'So',
+    'Mon': 'Mo',
+    'Tue': 'Di',
+    'Wed': 'Mi',
+    'Thu': 'Do',
+    'Fri': 'Fr',
+    'Sat': 'Sa',
+    'Times per period:': 'Mal pro Zeitraum:',
+    'For:': 'Für:',
+    'Leave all unchecked to show this chore for every child.': 'Nichts ankreuzen, um diese Aufgabe für alle Kinder anzuzeigen.',
+    'Trophies': 'Trophäen',
+    'Reward Name:': 'Name der Belohnung:',
+    'Costs (minutes or h:mm):': 'Kostet (Minuten oder h:mm):',
+    'Penalty Name:': 'Name der Strafe:',
+    'Deduct (minutes or h:mm):': 'Abziehen (Minuten oder h:mm):',
+    'Family Sync ID': 'Familien-Sync-ID',
+    'Share this ID with other devices to sync data': 'Teile diese ID mit anderen Geräten, um die Daten zu synchronisieren',
+    "Or scan this code with the other phone's camera": 'Oder scanne diesen Code mit der Kamera des anderen Handys',
+    'Connect to existing family:': 'Mit bestehender Familie verbinden:',
+    'Connect': 'Verbinden',
+    '📷 Scan to join': '📷 Zum Beitreten scannen',
+    'Cancel': 'Abbrechen',
+    'Parent PIN': 'Eltern-PIN',
+    'Enter the parent PIN to continue': 'Gib die Eltern-PIN ein, um fortzufahren',
+    'Family Passphrase': 'Familien-Passphrase',
+    "This family's data is encrypted. Enter the family passphrase to sync this device.": 'Die Daten dieser Familie sind verschlüsselt. Gib die Familien-Passphrase ein, um dieses Gerät zu synchronisieren.',
+    'What did you do?': 'Was hast du gemacht?',
+    'Tap a chore. A parent will check it before the time is added.': 'Tippe auf eine Aufgabe. Ein Elternteil prüft sie, bevor die Zeit gutgeschrieben wird.',
+    'Chores to Approve': 'Aufgaben zum Bestätigen',
+    'Statistics': 'Statistik',
+    'Today': 'Heute',
+    'Week': 'Woche',
+    'Month': 'Monat',
+    'Earned (chores + bonus)': 'Verdient (Aufgaben + Bonus)',
+    'Restore Backup': 'Sicherung wiederherstellen',
+    'Merge': 'Zusammenführen',
+    'adds the children and chores that are only in the backup.': 'fügt die Kinder und Aufgaben hinzu, die nur in der Sicherung sind.',
+    'Replace': 'Ersetzen',
+    'makes everything match the backup.': 'macht alles genau wie in der Sicherung.',
+    'Settings': 'Einstellungen',
+    'Language': 'Sprache',
+    "Automatic (this device's language)": 'Automatisch (Sprache des Geräts)',
+    'Only changes this device. The app reloads in the new language.': 'Gilt nur für dieses Gerät. Die App lädt in der neuen Sprache neu.',
+    'Daily Allowance Defaults': 'Standard-Zeitbudget',
+    'Used for every child without their own allowance. Blank weekdays get the daily allowance.': 'Gilt für jedes Kind ohne eigenes Zeitbudget. Leere Wochentage bekommen das tägliche Zeitbudget.',
+    'Screen Categories': 'Bildschirm-Kategorien',
+    'Balances:': 'Guthaben:',
+    'A separate balance for each category': 'Ein eigenes Guthaben pro Kategorie',
+    'One shared balance, with daily limits per category': 'Ein gemeinsames Guthaben mit Tageslimits pro Kategorie',
+    'Icon:': 'Symbol:',
+    'Name:': 'Name:',
+    "This category uses the Daily Allowance Defaults above and each child's own allowance.": 'Diese Kategorie verwendet das Standard-Zeitbudget oben und das eigene Zeitbudget jedes Kindes.',
+    'Daily limit (minutes):': 'Tageslimit (Minuten):',
+    'Time from before categories were added is in the first category, which can be renamed but not removed.': 'Zeit aus der Zeit vor den Kategorien liegt in der ersten Kategorie. Sie kann umbenannt, aber nicht entfernt werden.',
+    'Unused Time': 'Ungenutzte Zeit',
+    'Daily bonus expires after (days):': 'Tagesbonus verfällt nach (Tagen):',
+    'Weekly reset:': 'Wöchentlicher Neustart:',
+    'Off': 'Aus',
+    'Every Sunday': 'Jeden Sonntag',
+    'Every Monday': 'Jeden Montag',
+    'Every Tuesday': 'Jeden Dienstag',
+    'Every Wednesday': 'Jeden Mittwoch',
+    'Every Thursday': 'Jeden Donnerstag',
+    'Every Friday': 'Jeden Freitag',
+    'Every Saturday': 'Jeden Samstag',
+    'Start the week with (minutes):': 'Woche beginnen mit (Minuten):',
+    'Chore and parent-added time never expires': 'Zeit aus Aufgaben und von Eltern verfällt nie',
+    "Time is spent oldest first. Expired minutes appear in each child's history.": 'Die älteste Zeit wird zuerst verbraucht. Verfallene Minuten stehen im Verlauf jedes Kindes.',
+    'Put time over the maximum balance in the savings jar instead of losing it': 'Zeit über dem maximalen Guthaben ins Sparschwein legen, statt sie zu verlieren',
+    "Saved minutes can't be watched - they are redeemed for rewards from each child's 🐷 Savings.": 'Gesparte Minuten kann man nicht schauen – sie werden im 🐷 Ersparten jedes Kindes gegen Belohnungen eingelöst.',
+    'Streak Bonus': 'Serienbonus',
+    'Boost the daily bonus during a chore streak': 'Tagesbonus während einer Aufgabenserie erhöhen',
+    'After (days in a row):': 'Ab (Tagen in Folge):',
+    'Multiply by:': 'Multiplizieren mit:',
+    'A chore streak is days in a row with at least one chore. The boosted bonus still stops at the maximum balance.': 'Eine Aufgabenserie sind Tage in Folge mit mindestens einer Aufgabe. Auch der erhöhte Bonus endet beim maximalen Guthaben.',
+    'Time Presets': 'Zeitvorgaben',
+    'Add / Subtract steps:': 'Schritte zum Hinzufügen / Abziehen:',
+    'Chore and penalty times:': 'Zeiten für Aufgaben und Strafen:',
+    'Minutes or h:mm, separated by commas (e.g. 5, 10, 15, 30, 1:00). Any other amount can still be typed in.': 'Minuten oder h:mm, durch Kommas getrennt (z. B. 5, 10, 15, 30, 1:00). Andere Werte können weiterhin eingetippt werden.',
+    'New PIN (4-8 digits):': 'Neue PIN (4–8 Ziffern):',
+    'Confirm PIN:': 'PIN bestätigen:',
+    'Remove PIN': 'PIN entfernen',
+    'Lock after inactivity (minutes, 0 = never):': 'Sperren nach Inaktivität (Minuten, 0 = nie):',
+    'Holiday Overrides': 'Ferien und Feiertage',
+    'From:': 'Von:',
+    'To (optional):': 'Bis (optional):',
+    'Allowance per day (minutes):': 'Zeitbudget pro Tag (Minuten):',
+    'Add Holiday': 'Ferientag hinzufügen',
+    'Notifications': 'Benachrichtigungen',
+    'Alerts on this device while the app is open or in the background.': 'Hinweise auf diesem Gerät, solange die App offen oder im Hintergrund ist.',
+    'Sync': 'Synchronisierung',
+    'Sync this device using:': 'Dieses Gerät synchronisieren über:',
+    'Firebase (Google cloud)': 'Firebase (Google Cloud)',
+    'Self-hosted sync server': 'Eigener Sync-Server',
+    "Don't sync (this device only)": 'Nicht synchronisieren (nur dieses Gerät)',
+    'Server address:': 'Serveradresse:',
+    'Access token (optional):': 'Zugriffstoken (optional):',
+    'Every device in the family must use the same backend. See SYNC_SERVER_SETUP.md to run your own server.': 'Alle Geräte der Familie müssen dasselbe Backend verwenden. Wie du einen eigenen Server betreibst, steht in SYNC_SERVER_SETUP.md.',
+    'Save & Reconnect': 'Speichern und neu verbinden',
+    'Enter Passphrase': 'Passphrase eingeben',
+    'New passphrase (8+ characters):': 'Neue Passphrase (mind. 8 Zeichen):',
+    'Confirm passphrase:': 'Passphrase bestätigen:',
+    "The passphrase can't be recovered. If every device forgets it, the synced data can't be read - export a backup first.": 'Die Passphrase lässt sich nicht wiederherstellen. Vergessen alle Geräte sie, können die synchronisierten Daten nicht mehr gelesen werden – exportiere vorher eine Sicherung.',
+    'Turn Off Encryption': 'Verschlüsselung ausschalten',
+    'Backup': 'Sicherung',
+    'Save everything (children, history, chores and settings) to a file, or restore from one.': 'Alles (Kinder, Verlauf, Aufgaben und Einstellungen) in einer Datei sichern oder daraus wiederherstellen.',
+    '⬇️ Export': '⬇️ Exportieren',
+    '⬆️ Import': '⬆️ Importieren',
+    'App Updates': 'App-Updates',
+    'App Version: Loading...': 'App-Version: wird geladen...',
+    "Enter child's name": 'Name des Kindes',
+    'Or type an amount: 45, 1:30, -20': 'Oder Zeit eintippen: 45, 1:30, -20',
+    'e.g. 30 or 1:00': 'z. B. 30 oder 1:00',
+    'Enter chore name': 'Name der Aufgabe',
+    'e.g. 20 or 1:30': 'z. B. 20 oder 1:30',
+    'e.g. Movie night': 'z. B. Filmabend',
+    'e.g. 120 or 2:00': 'z. B. 120 oder 2:00',
+    'e.g. Not in bed on time': 'z. B. Nicht pünktlich im Bett',
+    'e.g. 15 or 1:00': 'z. B. 15 oder 1:00',
+    'Paste family ID here': 'Familien-ID hier einfügen',
+    'e.g. Games': 'z. B. Spiele',
+    'Family default': 'Familienwert',
+    'No limit': 'Keine Grenze',
+    'Never': 'Nie',
+    'e.g. Winter break': 'z. B. Winterferien',
+    'Family Sync Settings': 'Familien-Synchronisierung',
+    'Amount to add or subtract': 'Zeit zum Hinzufügen oder Abziehen',
+    'Time to move': 'Zu verschiebende Zeit',
+    'QR code for this family': 'QR-Code dieser Familie',
+
+    // Children and the time modal
+    '❌ Close Chores': '❌ Aufgaben schließen',
+    '📋 Chores': '📋 Aufgaben',
+    '❌ Close History': '❌ Verlauf schließen',
+    '📜 History': '📜 Verlauf',
+    '❌ Close Allowance': '❌ Zeitbudget schließen',
+    '⚙️ Allowance': '⚙️ Zeitbudget',
+    "Please enter a child's name": 'Bitte gib den Namen des Kindes ein',
+    'A child with this name already exists': 'Ein Kind mit diesem Namen gibt es schon',
+    'Are you sure you want to remove this child?': 'Möchtest du dieses Kind wirklich entfernen?',
+    'Removed {name}': '{name} entfernt',
+    '⚠️ Penalties': '⚠️ Strafen',
+    '🐷 Savings': '🐷 Erspartes',
+    '⏰ {time} will be automatically added at midnight (up to {max})': '⏰ Um Mitternacht kommen automatisch {time} dazu (bis {max})',
+    '⏰ No time will be added at midnight (maximum balance {max})': '⏰ Um Mitternacht kommt keine Zeit dazu (maximales Guthaben {max})',
+    '{time} unused expires tonight': '{time} ungenutzt verfallen heute Nacht',
+    'Family default ({minutes})': 'Familienwert ({minutes})',
+    'Default': 'Standard',
+    'Please enter whole minutes between 0 and 1440, or leave blank to use the family default': 'Bitte ganze Minuten zwischen 0 und 1440 eingeben oder leer lassen, um den Familienwert zu verwenden',
+    '✓ Saved!': '✓ Gespeichert!',
+    'Save Allowance': 'Zeitbudget speichern',
+    'Daily': 'Täglich',
+    'Delete child': 'Kind löschen',
+    'Time Balance:': 'Zeitguthaben:',
+    '{time} left today': 'heute noch {time}',
+    '▶ Start Watching': '▶ Schauen starten',
+    'Watching now': 'Schaut gerade',
+    '⏸ Paused': '⏸ Pausiert',
+    '⏸ Pause': '⏸ Pause',
+    '▶ Resume': '▶ Weiter',
+    '⏹ Stop': '⏹ Stopp',
+    '🙋 I did a chore': '🙋 Ich habe eine Aufgabe erledigt',
+    '{count} waiting for a parent': { one: '{count} wartet auf die Eltern', other: '{count} warten auf die Eltern' },
+    'Added time': 'Zeit hinzugefügt',
+    'Removed time': 'Zeit abgezogen',
+    'Added {time} to {name}': '{time} für {name} hinzugefügt',
+    'Removed {time} from {name}': '{time} bei {name} abgezogen',
+    'Undo': 'Rückgängig',
+    'Redo': 'Wiederholen',
+    'Nothing to undo': 'Nichts rückgängig zu machen',
+    'Nothing to redo': 'Nichts zu wiederholen',
+
+    // Screen categories, unused time and holidays
+    'Up to {time} a day': 'Bis zu {time} am Tag',
+    'No daily limit': 'Kein Tageslimit',
+    'Daily allowance defaults': 'Standard-Zeitbudget',
+    '{time} per day · up to {max}': '{time} pro Tag · bis {max}',
+    'Edit': 'Bearbeiten',
+    'Remove': 'Entfernen',
+    "Switch to one shared balance? Time in the other categories is kept, but can't be used until you switch back.": 'Zu einem gemeinsamen Guthaben wechseln? Die Zeit in den anderen Kategorien bleibt erhalten, kann aber erst nach dem Zurückwechseln genutzt werden.',
+    'Save Category': 'Kategorie speichern',
+    'Add Category': 'Kategorie hinzufügen',
+    'Please enter a category name': 'Bitte gib einen Kategorienamen ein',
+    'A category with this name already exists': 'Eine Kategorie mit diesem Namen gibt es schon',
+    'Please enter whole minutes between 0 and 1440, or leave it blank': 'Bitte ganze Minuten zwischen 0 und 1440 eingeben oder leer lassen',
+    'A family can have up to {count} categories': 'Eine Familie kann bis zu {count} Kategorien haben',
+    'Remove {name}? Time left in it can no longer be used, but stays in the history.': '{name} entfernen? Die restliche Zeit darin kann nicht mehr genutzt werden, bleibt aber im Verlauf.',
+    'Please enter whole days between 1 and 365, or leave it blank': 'Bitte ganze Tage zwischen 1 und 365 eingeben oder leer lassen',
+    'Please enter whole minutes between 0 and 1440': 'Bitte ganze Minuten zwischen 0 und 1440 eingeben',
+    'Save Rules': 'Regeln speichern',
+    'No holiday overrides.': 'Keine Ferientage.',
+    'Holiday': 'Ferien',
+    '{time} per day': '{time} pro Tag',
+    'Please choose a start date': 'Bitte wähle ein Startdatum',
+    'The end date must be on or after the start date': 'Das Enddatum darf nicht vor dem Startdatum liegen',
+    'Save Defaults': 'Standardwerte speichern',
+
+    // History and statistics
+    'No balance changes recorded yet.': 'Noch keine Änderungen am Guthaben.',
+    'Manual': 'Manuell',
+    'Chore': 'Aufgabe',
+    'Daily bonus': 'Tagesbonus',
+    'Penalty': 'Strafe',
+    'Savings jar': 'Sparschwein',
+    'Cap clipped': 'Über dem Maximum',
+    'Expired': 'Verfallen',
+    'Watching': 'Schauen',
+    'Undo / redo': 'Rückgängig / Wiederholen',
+    'Removed category': 'Entfernte Kategorie',
+    'Add a child to see statistics.': 'Füge ein Kind hinzu, um die Statistik zu sehen.',
+    'Earned from chores': 'Mit Aufgaben verdient',
+    'Added by a parent': 'Von Eltern hinzugefügt',
+    'Spent': 'Verbraucht',
+    'Penalties': 'Strafen',
+    'Lost to cap': 'Über dem Maximum verloren',
+    'Over {max} limit - saved to jar': 'Über dem Limit von {max} – ins Sparschwein',
+    'Over {max} limit': 'Über dem Limit von {max}',
+    'Weekly reset ({day})': 'Wöchentlicher Neustart ({day})',
+    'Unused time expired ({day})': 'Ungenutzte Zeit verfallen ({day})',
+    'Watching {category}': '{category} schauen',
+    'Watching TV': 'Fernsehen',
+    'Daily bonus ({day})': 'Tagesbonus ({day})',
+    '🔥 streak ×{multiplier}': '🔥 Serie ×{multiplier}',
+
+    // Chores
+    'Done editing': 'Fertig',
+    'Edit chores': 'Aufgaben bearbeiten',
+    'Delete': 'Löschen',
+    'Add Chore': 'Aufgabe hinzufügen',
+    'Only {names}': 'Nur {names}',
+    'Only removed children - edit to assign': 'Nur entfernte Kinder – zum Zuweisen bearbeiten',
+    'Not today': 'Heute nicht',
+    'Done this week': 'Diese Woche erledigt',
+    'Done today': 'Heute erledigt',
+    '{done}/{max} this week': '{done}/{max} diese Woche',
+    '{done}/{max} this day': '{done}/{max} an diesem Tag',
+    'Please enter how many times per period, between 1 and 20': 'Bitte gib an, wie oft pro Zeitraum (zwischen 1 und 20)',
+    'Please choose at least one day': 'Bitte wähle mindestens einen Tag',
+    'Edit Chore': 'Aufgabe bearbeiten',
+    'Update Chore': 'Aufgabe aktualisieren',
+    'Are you sure you want to delete "{name}"?': 'Möchtest du „{name}“ wirklich löschen?',
+    'Deleted chore {name}': 'Aufgabe {name} gelöscht',
+    'Add Custom Chore': 'Eigene Aufgabe hinzufügen',
+    'Save Chore': 'Aufgabe speichern',
+    'Please enter a chore name': 'Bitte gib einen Namen für die Aufgabe ein',
+    'Please enter the time in minutes (e.g. 20) or hours and minutes (e.g. 1:30)': 'Bitte gib die Zeit in Minuten (z. B. 20) oder in Stunden und Minuten (z. B. 1:30) ein',
+    'A chore with this name already exists': 'Eine Aufgabe mit diesem Namen gibt es schon',
+    'Edited chore {name}': 'Aufgabe {name} bearbeitet',
+    '✓ Updated!': '✓ Aktualisiert!',
+    'Added chore {name}': 'Aufgabe {name} hinzugefügt',
+
+    // Penalties
+    '❌ Close Penalties': '❌ Strafen schließen',
+    'Edit penalties': 'Strafen bearbeiten',
+    'Add Penalty': 'Strafe hinzufügen',
+    'Edit Penalty': 'Strafe bearbeiten',
+    'Update Penalty': 'Strafe aktualisieren',
+    'Save Penalty': 'Strafe speichern',
+    'Please enter a penalty name': 'Bitte gib einen Namen für die Strafe ein',
+    'A penalty with this name already exists': 'Eine Strafe mit diesem Namen gibt es schon',
+
+    // Savings and rewards
+    '❌ Close Savings': '❌ Erspartes schließen',
+    '🐷 {time} saved': '🐷 {time} gespart',
+    'ready for {reward}!': 'bereit für {reward}!',
+    '{time} more for {reward}': 'noch {time} bis {reward}',
+    'Edit rewards': 'Belohnungen bearbeiten',
+    'Clear goal': 'Ziel entfernen',
+    'Set as goal': 'Als Ziel setzen',
+    'Add Reward': 'Belohnung hinzufügen',
+    'Redeemed': 'Eingelöst',
+    'Saved to jar': 'Ins Sparschwein gelegt',
+    'Taken from jar': 'Aus dem Sparschwein genommen',
+    'There is no time left in the balance to save.': 'Im Guthaben ist keine Zeit zum Sparen mehr übrig.',
+    'Nothing can be taken out - the jar is empty or the balance is at its maximum.': 'Es kann nichts herausgenommen werden – das Sparschwein ist leer oder das Guthaben ist am Maximum.',
+    'Saved {time} for {name}': '{time} für {name} gespart',
+    "Took {time} out of {name}'s jar": '{time} aus dem Sparschwein von {name} genommen',
+    '{name} needs {time} more in the jar for {reward}.': '{name} braucht noch {time} im Sparschwein für {reward}.',
+    "Redeem {reward} for {time} from {name}'s jar?": '{reward} für {time} aus dem Sparschwein von {name} einlösen?',
+    '{name} redeemed {reward}': '{name} hat {reward} eingelöst',
+    'Edit Reward': 'Belohnung bearbeiten',
+    'Update Reward': 'Belohnung aktualisieren',
+    'Save Reward': 'Belohnung speichern',
+    'Please enter a reward name': 'Bitte gib einen Namen für die Belohnung ein',
+    'A reward with this name already exists': 'Eine Belohnung mit diesem Namen gibt es schon',
+
+    // Streaks and badges
+    'Days in a row with a chore': 'Tage in Folge mit einer Aufgabe',
+    'Days in a row within the allowance': 'Tage in Folge im Zeitbudget',
+    'Streaks and badges for {name}': 'Serien und Abzeichen von {name}',
+    '🏆 Trophies': '🏆 Trophäen',
+    '{count} days': { one: '{count} Tag', other: '{count} Tage' },
+    "{name}'s Trophies": 'Trophäen von {name}',
+    '🔥 Chore streak: {chore} · ⚖️ Within allowance: {budget}': '🔥 Aufgabenserie: {chore} · ⚖️ Im Zeitbudget: {budget}',
+    'Daily bonus ×{multiplier}!': 'Tagesbonus ×{multiplier}!',
+    '{days} more for a ×{multiplier} daily bonus': 'noch {days} bis zum Tagesbonus ×{multiplier}',
+    'Earned {date}': 'Erhalten am {date}',
+    'Please enter a streak between 2 and 60 days': 'Bitte gib eine Serie zwischen 2 und 60 Tagen ein',
+    'Please enter a multiplier above 1 and up to 3 (e.g. 1.5)': 'Bitte gib einen Faktor über 1 und bis 3 ein (z. B. 1,5)',
+    'Save Streak Bonus': 'Serienbonus speichern',
+    '✓ Ready!': '✓ Bereit!',
+    'First Chore': 'Erste Aufgabe',
+    'Do a first chore': 'Erledige eine erste Aufgabe',
+    'Helping Hand': 'Helfende Hand',
+    'Do 10 chores': 'Erledige 10 Aufgaben',
+    'Super Helper': 'Superhelfer',
+    'Do 50 chores': 'Erledige 50 Aufgaben',
+    'On a Roll': 'Am Laufen',
+    'Do chores 3 days in a row': 'Erledige 3 Tage in Folge Aufgaben',
+    'Chore Week': 'Aufgabenwoche',
+    'Do chores 7 days in a row': 'Erledige 7 Tage in Folge Aufgaben',
+    'Chore Month': 'Aufgabenmonat',
+    'Do chores 30 days in a row': 'Erledige 30 Tage in Folge Aufgaben',
+    'Balanced': 'Ausgeglichen',
+    'Stay within the daily allowance 3 days in a row': 'Bleib 3 Tage in Folge im täglichen Zeitbudget',
+    'Screen Smart': 'Bildschirmprofi',
+    'Stay within the daily allowance 7 days in a row': 'Bleib 7 Tage in Folge im täglichen Zeitbudget',
+    'Saver': 'Sparfuchs',
+    'Redeem a reward from the savings jar': 'Löse eine Belohnung mit dem Sparschwein ein',
+
+    // Time presets
+    'Please enter 1 to {max} times separated by commas, e.g. 5, 10, 15, 30, 1:00': 'Bitte gib 1 bis {max} Zeiten durch Kommas getrennt ein, z. B. 5, 10, 15, 30, 1:00',
+    'Save Presets': 'Zeitvorgaben speichern',
+
+    // Chore requests
+    'What did {name} do?': 'Was hat {name} gemacht?',
+    'No chores yet. Ask a parent to add some.': 'Noch keine Aufgaben. Bitte ein Elternteil, welche hinzuzufügen.',
+    '⏳ Waiting': '⏳ Wartet',
+    '✅ Approved': '✅ Bestätigt',
+    '❌ Not approved': '❌ Nicht bestätigt',
+    'Sent! A parent needs to approve "{chore}" before the time is added.': 'Gesendet! Ein Elternteil muss „{chore}“ bestätigen, bevor die Zeit gutgeschrieben wird.',
+    'No chores waiting for approval.': 'Keine Aufgaben warten auf Bestätigung.',
+    'Approve': 'Bestätigen',
+    'Reject': 'Ablehnen',
+    'Why isn\'t "{chore}" approved? (optional)': 'Warum wird „{chore}“ nicht bestätigt? (optional)',
+    'The limit for this chore was already reached': 'Das Limit für diese Aufgabe war schon erreicht',
+    '✅ {count} chores to approve': { one: '✅ {count} Aufgabe zu bestätigen', other: '✅ {count} Aufgaben zu bestätigen' },
+
+    // Notifications
+    'This browser does not support notifications.': 'Dieser Browser unterstützt keine Benachrichtigungen.',
+    'Notifications are blocked. Allow them for this site in your browser settings, then try again.': 'Benachrichtigungen sind blockiert. Erlaube sie für diese Seite in den Browsereinstellungen und versuche es erneut.',
+    'Turn Off Notifications': 'Benachrichtigungen ausschalten',
+    'Turn On Notifications': 'Benachrichtigungen einschalten',
+    'Add a child to choose notifications.': 'Füge ein Kind hinzu, um Benachrichtigungen auszuwählen.',
+    '{time} left': 'noch {time}',
+    "Time's up": 'Zeit ist um',
+    'Allowance added': 'Zeitbudget gutgeschrieben',
+    '{name}: {time} left': '{name}: noch {time}',
+    'TV time is almost up.': 'Die Fernsehzeit ist fast um.',
+    "{name}: time's up!": '{name}: Die Zeit ist um!',
+    'No TV time left.': 'Keine Fernsehzeit mehr übrig.',
+    '{name}: allowance added': '{name}: Zeitbudget gutgeschrieben',
+    '+{time} of TV time. Balance: {balance}.': '+{time} Fernsehzeit. Guthaben: {balance}',
+
+    // Sync
+    '🟠 Offline - changes are saved on this device': '🟠 Offline – Änderungen werden auf diesem Gerät gespeichert',
+    '🔒 Family passphrase needed to sync': '🔒 Familien-Passphrase zum Synchronisieren nötig',
+    '🔒 Encryption was turned off - see Settings': '🔒 Die Verschlüsselung wurde ausgeschaltet - siehe Einstellungen',
+    '🔴 Sync problem - will retry': '🔴 Sync-Problem – neuer Versuch folgt',
+    '🟡 Syncing...': '🟡 Synchronisiere...',
+    '🟢 Syncing across devices (home server)': '🟢 Synchronisiert zwischen Geräten (eigener Server)',
+    '🟢 Syncing across devices': '🟢 Synchronisiert zwischen Geräten',
+    '{count} changes waiting': { one: '{count} Änderung ausstehend', other: '{count} Änderungen ausstehend' },
+    'Last synced {time}': 'Zuletzt synchronisiert: {time}',
+    'Not synced yet': 'Noch nicht synchronisiert',
+    'Error: {message}': 'Fehler: {message}',
+    'Sync server responded {status}: {error}': 'Der Sync-Server antwortete {status}: {error}',
+    'Sync server connection failed': 'Verbindung zum Sync-Server fehlgeschlagen',
+    'Sync server transaction failed after too many conflicts': 'Die Transaktion auf dem Sync-Server ist nach zu vielen Konflikten fehlgeschlagen',
+    'Family passphrase needed to sync': 'Familien-Passphrase zum Synchronisieren nötig',
+    'The family data is no longer encrypted': 'Die Familiendaten sind nicht mehr verschlüsselt',
+    '⏳ Syncing...': '⏳ Synchronisiere...',
+    '🔄 Sync now': '🔄 Jetzt synchronisieren',
+    '⚪ Local mode (Firebase not configured)': '⚪ Lokaler Modus (Firebase nicht eingerichtet)',
+    '⚪ Local mode (sync not configured)': '⚪ Lokaler Modus (Synchronisierung nicht eingerichtet)',
+    'just now': 'gerade eben',
+    '{time} ago': 'vor {time}',
+    'Please enter the sync server address, e.g. http://192.168.1.20:8787': 'Bitte gib die Adresse des Sync-Servers ein, z. B. http://192.168.1.20:8787',
+    'The app will reload to switch sync backends. Continue?': 'Die App lädt neu, um das Sync-Backend zu wechseln. Fortfahren?',
+
+    // Backup
+    'This file is not a valid backup (it is not JSON).': 'Diese Datei ist keine gültige Sicherung (kein JSON).',
+    "This file can't be restored: {problem}": 'Diese Datei kann nicht wiederhergestellt werden: {problem}',
+    'Could not read the file.': 'Die Datei konnte nicht gelesen werden.',
+    'it is not a TV Time Manager backup.': 'Sie ist keine Sicherung von TV Time Manager.',
+    'it was made by a newer version of the app. Please update first.': 'Sie stammt von einer neueren App-Version. Bitte zuerst aktualisieren.',
+    'it has no data.': 'Sie enthält keine Daten.',
+    'the children list is missing.': 'Die Liste der Kinder fehlt.',
+    'a child is missing an id or name.': 'Einem Kind fehlt die ID oder der Name.',
+    '{name} has an invalid time balance.': '{name} hat ein ungültiges Zeitguthaben.',
+    '{name} has an invalid history.': '{name} hat einen ungültigen Verlauf.',
+    'the chores list is invalid.': 'Die Aufgabenliste ist ungültig.',
+    'a chore is missing its id, name or time.': 'Einer Aufgabe fehlt die ID, der Name oder die Zeit.',
+    'the penalties list is invalid.': 'Die Strafenliste ist ungültig.',
+    'a penalty is missing its id, name or time.': 'Einer Strafe fehlt die ID, der Name oder die Zeit.',
+    'the rewards list is invalid.': 'Die Belohnungsliste ist ungültig.',
+    'a reward is missing its id, name or time.': 'Einer Belohnung fehlt die ID, der Name oder die Zeit.',
+    'the settings are invalid.': 'Die Einstellungen sind ungültig.',
+    'Add child {name} ({time})': 'Kind {name} hinzufügen ({time})',
+    '{name}: {current} now, {backup} in backup (replace only)': '{name}: jetzt {current}, in der Sicherung {backup} (nur beim Ersetzen)',
+    'Remove child {name} (replace only)': 'Kind {name} entfernen (nur beim Ersetzen)',
+    'Add chore {name} (+{time})': 'Aufgabe {name} hinzufügen (+{time})',
+    'Chore {name} differs from backup (replace only)': 'Aufgabe {name} weicht von der Sicherung ab (nur beim Ersetzen)',
+    'Remove chore {name} (replace only)': 'Aufgabe {name} entfernen (nur beim Ersetzen)',
+    'Add penalty {name} (-{time})': 'Strafe {name} hinzufügen (-{time})',
+    'Penalty {name} differs from backup (replace only)': 'Strafe {name} weicht von der Sicherung ab (nur beim Ersetzen)',
+    'Remove penalty {name} (replace only)': 'Strafe {name} entfernen (nur beim Ersetzen)',
+    'Add reward {name} ({time})': 'Belohnung {name} hinzufügen ({time})',
+    'Reward {name} differs from backup (replace only)': 'Belohnung {name} weicht von der Sicherung ab (nur beim Ersetzen)',
+    'Remove reward {name} (replace only)': 'Belohnung {name} entfernen (nur beim Ersetzen)',
+    'Settings differ from backup (replace only)': 'Einstellungen weichen von der Sicherung ab (nur beim Ersetzen)',
+    'Backup from {date} with {children} and {chores}.': 'Sicherung vom {date} mit {children} und {chores}.',
+    'an unknown date': 'unbekanntem Datum',
+    '{count} children': { one: '{count} Kind', other: '{count} Kindern' },
+    '{count} chores': { one: '{count} Aufgabe', other: '{count} Aufgaben' },
+    'The backup matches the current data.': 'Die Sicherung stimmt mit den aktuellen Daten überein.',
+    'Replace all current children, chores and settings with the backup? This cannot be undone.': 'Alle aktuellen Kinder, Aufgaben und Einstellungen durch die Sicherung ersetzen? Das lässt sich nicht rückgängig machen.',
+    'Backup restored.': 'Sicherung wiederhergestellt.',
+    'Backup merged.': 'Sicherung zusammengeführt.',
+
+    // Family passphrase
+    'Available when this device syncs with a family.': 'Verfügbar, wenn dieses Gerät mit einer Familie synchronisiert.',
+    'This family is encrypted. Enter the passphrase to sync this device.': 'Diese Familie ist verschlüsselt. Gib die Passphrase ein, um dieses Gerät zu synchronisieren.',
+    'The synced data is no longer encrypted. If encryption was turned off on purpose, turn it off here too. Otherwise set a passphrase again.': 'Die synchronisierten Daten sind nicht mehr verschlüsselt. Wenn die Verschlüsselung absichtlich ausgeschaltet wurde, schalte sie auch hier aus. Sonst lege erneut eine Passphrase fest.',
+    'On. Children, chores and settings are encrypted before they leave this device.': 'An. Kinder, Aufgaben und Einstellungen werden verschlüsselt, bevor sie dieses Gerät verlassen.',
+    'Change Passphrase': 'Passphrase ändern',
+    'Off. Anyone who knows the family ID can read the synced data.': 'Aus. Wer die Familien-ID kennt, kann die synchronisierten Daten lesen.',
+    'Set Passphrase': 'Passphrase festlegen',
+    'Unlocking...': 'Entsperre...',
+    'Incorrect passphrase': 'Falsche Passphrase',
+    'Could not unlock on this device. A secure (https) connection is required.': 'Entsperren auf diesem Gerät nicht möglich. Eine sichere (https-)Verbindung ist nötig.',
+    'Unlock': 'Entsperren',
+    'The passphrase must be at least 8 characters': 'Die Passphrase muss mindestens 8 Zeichen lang sein',
+    'The passphrases do not match': 'Die Passphrasen stimmen nicht überein',
+    'Connect to the internet to change the family passphrase.': 'Verbinde dich mit dem Internet, um die Familien-Passphrase zu ändern.',
+    'Every other device in the family will need this passphrase to keep syncing. Continue?': 'Alle anderen Geräte der Familie brauchen diese Passphrase, um weiter zu synchronisieren. Fortfahren?',
+    'Encrypting...': 'Verschlüssele...',
+    'Could not encrypt the family data. Check the connection and try again.': 'Die Familiendaten konnten nicht verschlüsselt werden. Prüfe die Verbindung und versuche es erneut.',
+    '✓ Passphrase Saved!': '✓ Passphrase gespeichert!',
+    'Turn off encryption? Anyone who knows the family ID will be able to read the synced data.': 'Verschlüsselung ausschalten? Wer die Familien-ID kennt, kann dann die synchronisierten Daten lesen.',
+    'Could not turn off encryption. Check the connection and try again.': 'Die Verschlüsselung konnte nicht ausgeschaltet werden. Prüfe die Verbindung und versuche es erneut.',
+
+    // Parent PIN
+    '🔒 Kid mode · Parent unlock': '🔒 Kindermodus · Für Eltern entsperren',
+    '🔓 Parent mode · Lock': '🔓 Elternmodus · Sperren',
+    'A parent PIN is set. Kid mode turns on when the app is locked.': 'Eine Eltern-PIN ist festgelegt. Wenn die App gesperrt ist, gilt der Kindermodus.',
+    'No PIN set. Anyone can change balances.': 'Keine PIN festgelegt. Jeder kann das Guthaben ändern.',
+    'Too many attempts. Please wait a moment.': 'Zu viele Versuche. Bitte warte einen Moment.',
+    'Too many attempts. Try again in 30 seconds.': 'Zu viele Versuche. Versuche es in 30 Sekunden erneut.',
+    'Incorrect PIN': 'Falsche PIN',
+    'Could not check the PIN on this device.': 'Die PIN konnte auf diesem Gerät nicht geprüft werden.',
+    'The PIN must be 4 to 8 digits': 'Die PIN muss 4 bis 8 Ziffern haben',
+    'The PINs do not match': 'Die PINs stimmen nicht überein',
+    'Could not set a PIN on this device. A secure (https) connection is required.': 'Auf diesem Gerät kann keine PIN festgelegt werden. Eine sichere (https-)Verbindung ist nötig.',
+    '✓ PIN Saved!': '✓ PIN gespeichert!',
+    'Set PIN': 'PIN festlegen',
+    'Remove the parent PIN? Anyone will be able to change balances.': 'Eltern-PIN entfernen? Dann kann jeder das Guthaben ändern.',
+    'Save': 'Speichern',
+
+    // Family ID and QR pairing
+    'Type or paste the family ID instead.': 'Gib die Familien-ID stattdessen ein oder füge sie ein.',
+    "Scanning isn't supported in this browser.": 'Scannen wird in diesem Browser nicht unterstützt.',
+    "This device can't read QR codes.": 'Dieses Gerät kann keine QR-Codes lesen.',
+    "The camera couldn't be started.": 'Die Kamera konnte nicht gestartet werden.',
+    'Point the camera at the QR code on the other phone': 'Richte die Kamera auf den QR-Code auf dem anderen Handy',
+    "That QR code isn't a family code": 'Dieser QR-Code ist kein Familiencode',
+    "That doesn't look like a family ID.": 'Das sieht nicht wie eine Familien-ID aus.',
+    'This device is already in that family.': 'Dieses Gerät gehört schon zu dieser Familie.',
+    'This will connect to a different family. All local data will sync with the new family. Continue?': 'Damit verbindest du dich mit einer anderen Familie. Alle lokalen Daten werden mit der neuen Familie synchronisiert. Fortfahren?',
+    'Family ID updated. Refresh the page to connect.': 'Familien-ID aktualisiert. Lade die Seite neu, um dich zu verbinden.',
+    'Copied!': 'Kopiert!',
+    'Copy': 'Kopieren',
+    'Please enter a Family ID': 'Bitte gib eine Familien-ID ein',
+
+    // Dialogs and keyboard
+    'Close': 'Schließen',
+    'Amount': 'Zeit',
+    'Up and down arrows or + and - change the amount. Enter applies it.': 'Pfeil nach oben und unten oder + und - ändern die Zeit. Eingabe übernimmt sie.',
+    '{name}: {time} added. Balance: {balance}': '{name}: {time} hinzugefügt. Guthaben: {balance}',
+    '{name}: {time} removed. Balance: {balance}': '{name}: {time} abgezogen. Guthaben: {balance}',
+    '{name}: no change. Balance: {balance}': '{name}: keine Änderung. Guthaben: {balance}',
+
+    // App start-up and updates
+    'Error Loading App': 'Fehler beim Laden der App',
+    'Please refresh the page. If the problem persists, clear your browser cache.': 'Bitte lade die Seite neu. Wenn das Problem bleibt, leere den Browser-Cache.',
+    '⏳ Checking...': '⏳ Prüfe...',
+    'Update available! See banner at top.': 'Update verfügbar! Siehe Hinweis oben.',
+    '✅ Up to date': '✅ Aktuell',
+    'You have the latest version.': 'Du hast die neueste Version.',
+    '🔄 Check for Updates': '🔄 Nach Updates suchen',
+    '❌ Error': '❌ Fehler',
+    'Failed to check for updates.': 'Die Suche nach Updates ist fehlgeschlagen.',
+    '🔄 Update Available': '🔄 Update verfügbar',
+    'App Version: {version}': 'App-Version: {version}',
+    'App Version: Unknown': 'App-Version: unbekannt',
+    'App Version: Not installed': 'App-Version: nicht installiert',
+    'App Version: Error': 'App-Version: Fehler'
+});
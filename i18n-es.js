@@ -0,0 +1,537 @@
+// Spanish translations (see i18n.js)
+
+registerMessages('es', {
+    // index.html
+    '🔄 New version available! Click to update.': '🔄 ¡Hay una nueva versión! Toca para actualizar.',
+    'Update Now': 'Actualizar ahora',
+    'Later': 'Más tarde',
+    "Manage your children's TV time": 'Gestiona el tiempo de tele de tus hijos',
+    '👶 No children added yet.': '👶 Todavía no hay niños.',
+    'Add your first child below to get started!': '¡Añade tu primer niño abajo para empezar!',
+    'Add Child': 'Añadir niño',
+    'Add': 'Añadir',
+    'Adjust Time': 'Ajustar tiempo',
+    '⏰ 30m will be automatically added every day at midnight': '⏰ Cada día a medianoche se añadirán 30 min automáticamente',
+    'Current Balance:': 'Saldo actual:',
+    '➖ Subtract': '➖ Restar',
+    '➕ Add': '➕ Añadir',
+    'Apply': 'Aplicar',
+    '↶ Undo': '↶ Deshacer',
+    '↷ Redo': '↷ Rehacer',
+    'Select a Chore': 'Elige una tarea',
+    'Select a Penalty': 'Elige una penalización',
+    'Savings Jar': 'Hucha',
+    '🐷 Save': '🐷 Ahorrar',
+    'Take out': 'Sacar',
+    'Tap a reward to redeem it from the jar, or 🎯 to make it the goal.': 'Toca un premio para canjearlo con la hucha, o 🎯 para ponerlo como meta.',
+    'Balance History': 'Historial del saldo',
+    'Allowance for this child': 'Asignación de este niño',
+    'Daily allowance (minutes):': 'Asignación diaria (minutos):',
+    'Maximum balance (minutes):': 'Saldo máximo (minutos):',
+    'Weekly schedule (minutes):': 'Horario semanal (minutos):',
+    'Leave blank to use the family default from Settings.': 'Déjalo en blanco para usar el valor de la familia en Ajustes.',
+    'Chore Name:': 'Nombre de la tarea:',
+    'Time (minutes or h:mm):': 'Tiempo (minutos o h:mm):',
+    'Repeats:': 'Se repite:',
+    'Anytime (no limit)': 'Siempre (sin límite)',
+    'Weekly': 'Semanal',
+    'On specific days': 'Ciertos días',
+    'Days:': 'Días:',
+    'Sun': 'dom',
+    'Mon': 'lun',
+    'Tue': 'mar',
+    'Wed': 'mié',
+    'Thu': 'jue',
+    'Fri': 'vie',
+    'Sat': 'sáb',
+    'Times per period:': 'Veces por periodo:',
+    'For:': 'Para:',
+    'Leave all unchecked to show this chore for every child.': 'Deja todo sin marcar para mostrar esta tarea a todos los niños.',
+    'Trophies': 'Trofeos',
+    'Reward Name:': 'Nombre del premio:',
+    'Costs (minutes or h:mm):': 'Cuesta (minutos o h:mm):',
+    'Penalty Name:': 'Nombre de la penalización:',
+    'Deduct (minutes or h:mm):': 'Descontar (minutos o h:mm):',
+    'Family Sync ID': 'ID de sincronización familiar',
+    'Share this ID with other devices to sync data': 'Comparte este ID con otros dispositivos para sincronizar los datos',
+    "Or scan this code with the other phone's camera": 'O escanea este código con la cámara del otro teléfono',
+    'Connect to existing family:': 'Conectar con una familia existente:',
+    'Connect': 'Conectar',
+    '📷 Scan to join': '📷 Escanear para unirse',
+    'Cancel': 'Cancelar',
+    'Parent PIN': 'PIN de padres',
+    'Enter the parent PIN to continue': 'Introduce el PIN de padres para continuar',
+    'Family Passphrase': 'Frase de contraseña familiar',
+    "This family's data is encrypted. Enter the family passphrase to sync this device.": 'Los datos de esta familia están cifrados. Introduce la frase de contraseña familiar para sincronizar este dispositivo.',
+    'What did you do?': '¿Qué has hecho?',
+    'Tap a chore. A parent will check it before the time is added.': 'Toca una tarea. Un padre la revisará antes de añadir el tiempo.',
+    'Chores to Approve': 'Tareas por aprobar',
+    'Statistics': 'Estadísticas',
+    'Today': 'Hoy',
+    'Week': 'Semana',
+    'Month': 'Mes',
+    'Earned (chores + bonus)': 'Ganado (tareas + bono)',
+    'Restore Backup': 'Restaurar copia de seguridad',
+    'Merge': 'Combinar',
+    'adds the children and chores that are only in the backup.': 'añade los niños y tareas que solo están en la copia.',
+    'Replace': 'Reemplazar',
+    'makes everything match the backup.': 'deja todo igual que en la copia.',
+    'Settings': 'Ajustes',
+    'Language': 'Idioma',
+    "Automatic (this device's language)": 'Automático (idioma del dispositivo)',
+    'Only changes this device. The app reloads in the new language.': 'Solo cambia este dispositivo. La app se recarga en el nuevo idioma.',
+    'Daily Allowance Defaults': 'Asignación diaria predeterminada',
+    'Used for every child without their own allowance. Blank weekdays get the daily allowance.': 'Se usa para cada niño sin asignación propia. Los días en blanco reciben la asignación diaria.',
+    'Screen Categories': 'Categorías de pantalla',
+    'Balances:': 'Saldos:',
+    'A separate balance for each category': 'Un saldo separado para cada categoría',
+    'One shared balance, with daily limits per category': 'Un saldo compartido, con límites diarios por categoría',
+    'Icon:': 'Icono:',
+    'Name:': 'Nombre:',
+    "This category uses the Daily Allowance Defaults above and each child's own allowance.": 'Esta categoría usa la asignación diaria predeterminada de arriba y la asignación propia de cada niño.',
+    'Daily limit (minutes):': 'Límite diario (minutos):',
+    'Time from before categories were added is in the first category, which can be renamed but not removed.': 'El tiempo de antes de añadir categorías está en la primera categoría, que se puede renombrar pero no eliminar.',
+    'Unused Time': 'Tiempo sin usar',
+    'Daily bonus expires after (days):': 'El bono diario caduca tras (días):',
+    'Weekly reset:': 'Reinicio semanal:',
+    'Off': 'Desactivado',
+    'Every Sunday': 'Cada domingo',
+    'Every Monday': 'Cada lunes',
+    'Every Tuesday': 'Cada martes',
+    'Every Wednesday': 'Cada miércoles',
+    'Every Thursday': 'Cada jueves',
+    'Every Friday': 'Cada viernes',
+    'Every Saturday': 'Cada sábado',
+    'Start the week with (minutes):': 'Empezar la semana con (minutos):',
+    'Chore and parent-added time never expires': 'El tiempo de tareas y el añadido por los padres nunca caduca',
+    "Time is spent oldest first. Expired minutes appear in each child's history.": 'Primero se gasta el tiempo más antiguo. Los minutos caducados aparecen en el historial de cada niño.',
+    'Put time over the maximum balance in the savings jar instead of losing it': 'Guardar en la hucha el tiempo que supera el saldo máximo en vez de perderlo',
+    "Saved minutes can't be watched - they are redeemed for rewards from each child's 🐷 Savings.": 'Los minutos ahorrados no se pueden ver: se canjean por premios en los 🐷 Ahorros de cada niño.',
+    'Streak Bonus': 'Bono por racha',
+    'Boost the daily bonus during a chore streak': 'Aumentar el bono diario durante una racha de tareas',
+    'After (days in a row):': 'A partir de (días seguidos):',
+    'Multiply by:': 'Multiplicar por:',
+    'A chore streak is days in a row with at least one chore. The boosted bonus still stops at the maximum balance.': 'Una racha de tareas son días seguidos con al menos una tarea. El bono aumentado sigue parando en el saldo máximo.',
+    'Time Presets': 'Tiempos predefinidos',
+    'Add / Subtract steps:': 'Pasos para añadir / restar:',
+    'Chore and penalty times:': 'Tiempos de tareas y penalizaciones:',
+    'Minutes or h:mm, separated by commas (e.g. 5, 10, 15, 30, 1:00). Any other amount can still be typed in.': 'Minutos o h:mm, separados por comas (p. ej. 5, 10, 15, 30, 1:00). Se puede escribir cualquier otra cantidad.',
+    'New PIN (4-8 digits):': 'Nuevo PIN (4-8 cifras):',
+    'Confirm PIN:': 'Confirmar PIN:',
+    'Remove PIN': 'Quitar PIN',
+    'Lock after inactivity (minutes, 0 = never):': 'Bloquear tras inactividad (minutos, 0 = nunca):',
+    'Holiday Overrides': 'Días festivos',
+    'From:': 'Desde:',
+    'To (optional):': 'Hasta (opcional):',
+    'Allowance per day (minutes):': 'Asignación por día (minutos):',
+    'Add Holiday': 'Añadir festivo',
+    'Notifications': 'Notificaciones',
+    'Alerts on this device while the app is open or in the background.': 'Avisos en este dispositivo mientras la app está abierta o en segundo plano.',
+    'Sync': 'Sincronización',
+    'Sync this device using:': 'Sincronizar este dispositivo con:',
+    'Firebase (Google cloud)': 'Firebase (nube de Google)',
+    'Self-hosted sync server': 'Servidor de sincronización propio',
+    "Don't sync (this device only)": 'No sincronizar (solo este dispositivo)',
+    'Server address:': 'Dirección del servidor:',
+    'Access token (optional):': 'Token de acceso (opcional):',
+    'Every device in the family must use the same backend. See SYNC_SERVER_SETUP.md to run your own server.': 'Todos los dispositivos de la familia deben usar el mismo sistema. Consulta SYNC_SERVER_SETUP.md para montar tu propio servidor.',
+    'Save & Reconnect': 'Guardar y reconectar',
+    'Enter Passphrase': 'Introducir frase de contraseña',
+    'New passphrase (8+ characters):': 'Nueva frase de contraseña (8+ caracteres):',
+    'Confirm passphrase:': 'Confirmar frase de contraseña:',
+    "The passphrase can't be recovered. If every device forgets it, the synced data can't be read - export a backup first.": 'La frase de contraseña no se puede recuperar. Si todos los dispositivos la olvidan, los datos sincronizados no se podrán leer: exporta antes una copia de seguridad.',
+    'Turn Off Encryption': 'Desactivar cifrado',
+    'Backup': 'Copia de seguridad',
+    'Save everything (children, history, chores and settings) to a file, or restore from one.': 'Guarda todo (niños, historial, tareas y ajustes) en un archivo, o restaura desde uno.',
+    '⬇️ Export': '⬇️ Exportar',
+    '⬆️ Import': '⬆️ Importar',
+    'App Updates': 'Actualizaciones',
+    'App Version: Loading...': 'Versión de la app: cargando...',
+    "Enter child's name": 'Nombre del niño',
+    'Or type an amount: 45, 1:30, -20': 'O escribe una cantidad: 45, 1:30, -20',
+    'e.g. 30 or 1:00': 'p. ej. 30 o 1:00',
+    'Enter chore name': 'Nombre de la tarea',
+    'e.g. 20 or 1:30': 'p. ej. 20 o 1:30',
+    'e.g. Movie night': 'p. ej. Noche de cine',
+    'e.g. 120 or 2:00': 'p. ej. 120 o 2:00',
+    'e.g. Not in bed on time': 'p. ej. No acostarse a tiempo',
+    'e.g. 15 or 1:00': 'p. ej. 15 o 1:00',
+    'Paste family ID here': 'Pega aquí el ID de familia',
+    'e.g. Games': 'p. ej. Juegos',
+    'Family default': 'Valor de la familia',
+    'No limit': 'Sin límite',
+    'Never': 'Nunca',
+    'e.g. Winter break': 'p. ej. Vacaciones de invierno',
+    'Family Sync Settings': 'Ajustes de sincronización familiar',
+    'Amount to add or subtract': 'Cantidad a añadir o restar',
+    'Time to move': 'Tiempo a mover',
+    'QR code for this family': 'Código QR de esta familia',
+
+    // Children and the time modal
+    '❌ Close Chores': '❌ Cerrar tareas',
+    '📋 Chores': '📋 Tareas',
+    '❌ Close History': '❌ Cerrar historial',
+    '📜 History': '📜 Historial',
+    '❌ Close Allowance': '❌ Cerrar asignación',
+    '⚙️ Allowance': '⚙️ Asignación',
+    "Please enter a child's name": 'Introduce el nombre del niño',
+    'A child with this name already exists': 'Ya hay un niño con este nombre',
+    'Are you sure you want to remove this child?': '¿Seguro que quieres quitar a este niño?',
+    'Removed {name}': 'Se quitó a {name}',
+    '⚠️ Penalties': '⚠️ Penalizaciones',
+    '🐷 Savings': '🐷 Ahorros',
+    '⏰ {time} will be automatically added at midnight (up to {max})': '⏰ A medianoche se añadirán {time} automáticamente (hasta {max})',
+    '⏰ No time will be added at midnight (maximum balance {max})': '⏰ A medianoche no se añadirá tiempo (saldo máximo {max})',
+    '{time} unused expires tonight': '{time} sin usar caducan esta noche',
+    'Family default ({minutes})': 'Valor de la familia ({minutes})',
+    'Default': 'Predeterminado',
+    'Please enter whole minutes between 0 and 1440, or leave blank to use the family default': 'Introduce minutos enteros entre 0 y 1440, o déjalo en blanco para usar el valor de la familia',
+    '✓ Saved!': '✓ ¡Guardado!',
+    'Save Allowance': 'Guardar asignación',
+    'Daily': 'Diario',
+    'Delete child': 'Eliminar niño',
+    'Time Balance:': 'Saldo de tiempo:',
+    '{time} left today': 'quedan {time} hoy',
+    '▶ Start Watching': '▶ Empezar a ver',
+    'Watching now': 'Viendo ahora',
+    '⏸ Paused': '⏸ En pausa',
+    '⏸ Pause': '⏸ Pausar',
+    '▶ Resume': '▶ Continuar',
+    '⏹ Stop': '⏹ Parar',
+    '🙋 I did a chore': '🙋 He hecho una tarea',
+    '{count} waiting for a parent': { one: '{count} esperando a un padre', other: '{count} esperando a un padre' },
+    'Added time': 'Tiempo añadido',
+    'Removed time': 'Tiempo quitado',
+    'Added {time} to {name}': 'Se añadieron {time} a {name}',
+    'Removed {time} from {name}': 'Se quitaron {time} a {name}',
+    'Undo': 'Deshacer',
+    'Redo': 'Rehacer',
+    'Nothing to undo': 'Nada que deshacer',
+    'Nothing to redo': 'Nada que rehacer',
+
+    // Screen categories, unused time and holidays
+    'Up to {time} a day': 'Hasta {time} al día',
+    'No daily limit': 'Sin límite diario',
+    'Daily allowance defaults': 'Asignación diaria predeterminada',
+    '{time} per day · up to {max}': '{time} al día · hasta {max}',
+    'Edit': 'Editar',
+    'Remove': 'Quitar',
+    "Switch to one shared balance? Time in the other categories is kept, but can't be used until you switch back.": '¿Cambiar a un saldo compartido? El tiempo de las otras categorías se conserva, pero no se puede usar hasta que vuelvas a cambiar.',
+    'Save Category': 'Guardar categoría',
+    'Add Category': 'Añadir categoría',
+    'Please enter a category name': 'Introduce un nombre de categoría',
+    'A category with this name already exists': 'Ya hay una categoría con este nombre',
+    'Please enter whole minutes between 0 and 1440, or leave it blank': 'Introduce minutos enteros entre 0 y 1440, o déjalo en blanco',
+    'A family can have up to {count} categories': 'Una familia puede tener hasta {count} categorías',
+    'Remove {name}? Time left in it can no longer be used, but stays in the history.': '¿Quitar {name}? El tiempo que queda ya no se podrá usar, pero seguirá en el historial.',
+    'Please enter whole days between 1 and 365, or leave it blank': 'Introduce días enteros entre 1 y 365, o déjalo en blanco',
+    'Please enter whole minutes between 0 and 1440': 'Introduce minutos enteros entre 0 y 1440',
+    'Save Rules': 'Guardar reglas',
+    'No holiday overrides.': 'No hay días festivos.',
+    'Holiday': 'Festivo',
+    '{time} per day': '{time} al día',
+    'Please choose a start date': 'Elige una fecha de inicio',
+    'The end date must be on or after the start date': 'La fecha de fin debe ser igual o posterior a la de inicio',
+    'Save Defaults': 'Guardar valores',
+
+    // History and statistics
+    'No balance changes recorded yet.': 'Todavía no hay cambios en el saldo.',
+    'Manual': 'Manual',
+    'Chore': 'Tarea',
+    'Daily bonus': 'Bono diario',
+    'Penalty': 'Penalización',
+    'Savings jar': 'Hucha',
+    'Cap clipped': 'Recortado por el máximo',
+    'Expired': 'Caducado',
+    'Watching': 'Viendo',
+    'Undo / redo': 'Deshacer / rehacer',
+    'Removed category': 'Categoría eliminada',
+    'Add a child to see statistics.': 'Añade un niño para ver estadísticas.',
+    'Earned from chores': 'Ganado con tareas',
+    'Added by a parent': 'Añadido por un padre',
+    'Spent': 'Gastado',
+    'Penalties': 'Penalizaciones',
+    'Lost to cap': 'Perdido por el máximo',
+    'Over {max} limit - saved to jar': 'Por encima del límite de {max}: a la hucha',
+    'Over {max} limit': 'Por encima del límite de {max}',
+    'Weekly reset ({day})': 'Reinicio semanal ({day})',
+    'Unused time expired ({day})': 'Caducó el tiempo sin usar ({day})',
+    'Watching {category}': 'Viendo {category}',
+    'Watching TV': 'Viendo la tele',
+    'Daily bonus ({day})': 'Bono diario ({day})',
+    '🔥 streak ×{multiplier}': '🔥 racha ×{multiplier}',
+
+    // Chores
+    'Done editing': 'Terminar de editar',
+    'Edit chores': 'Editar tareas',
+    'Delete': 'Eliminar',
+    'Add Chore': 'Añadir tarea',
+    'Only {names}': 'Solo {names}',
+    'Only removed children - edit to assign': 'Solo niños eliminados: edítala para asignarla',
+    'Not today': 'Hoy no',
+    'Done this week': 'Hecha esta semana',
+    'Done today': 'Hecha hoy',
+    '{done}/{max} this week': '{done}/{max} esta semana',
+    '{done}/{max} this day': '{done}/{max} este día',
+    'Please enter how many times per period, between 1 and 20': 'Introduce cuántas veces por periodo, entre 1 y 20',
+    'Please choose at least one day': 'Elige al menos un día',
+    'Edit Chore': 'Editar tarea',
+    'Update Chore': 'Actualizar tarea',
+    'Are you sure you want to delete "{name}"?': '¿Seguro que quieres eliminar «{name}»?',
+    'Deleted chore {name}': 'Tarea {name} eliminada',
+    'Add Custom Chore': 'Añadir tarea propia',
+    'Save Chore': 'Guardar tarea',
+    'Please enter a chore name': 'Introduce un nombre de tarea',
+    'Please enter the time in minutes (e.g. 20) or hours and minutes (e.g. 1:30)': 'Introduce el tiempo en minutos (p. ej. 20) o en horas y minutos (p. ej. 1:30)',
+    'A chore with this name already exists': 'Ya hay una tarea con este nombre',
+    'Edited chore {name}': 'Tarea {name} editada',
+    '✓ Updated!': '✓ ¡Actualizada!',
+    'Added chore {name}': 'Tarea {name} añadida',
+
+    // Penalties
+    '❌ Close Penalties': '❌ Cerrar penalizaciones',
+    'Edit penalties': 'Editar penalizaciones',
+    'Add Penalty': 'Añadir penalización',
+    'Edit Penalty': 'Editar penalización',
+    'Update Penalty': 'Actualizar penalización',
+    'Save Penalty': 'Guardar penalización',
+    'Please enter a penalty name': 'Introduce un nombre de penalización',
+    'A penalty with this name already exists': 'Ya hay una penalización con este nombre',
+
+    // Savings and rewards
+    '❌ Close Savings': '❌ Cerrar ahorros',
+    '🐷 {time} saved': '🐷 {time} ahorrados',
+    'ready for {reward}!': '¡listo para {reward}!',
+    '{time} more for {reward}': 'faltan {time} para {reward}',
+    'Edit rewards': 'Editar premios',
+    'Clear goal': 'Quitar meta',
+    'Set as goal': 'Poner como meta',
+    'Add Reward': 'Añadir premio',
+    'Redeemed': 'Canjeados',
+    'Saved to jar': 'Ahorrado en la hucha',
+    'Taken from jar': 'Sacado de la hucha',
+    'There is no time left in the balance to save.': 'No queda tiempo en el saldo para ahorrar.',
+    'Nothing can be taken out - the jar is empty or the balance is at its maximum.': 'No se puede sacar nada: la hucha está vacía o el saldo está en su máximo.',
+    'Saved {time} for {name}': 'Se ahorraron {time} para {name}',
+    "Took {time} out of {name}'s jar": 'Se sacaron {time} de la hucha de {name}',
+    '{name} needs {time} more in the jar for {reward}.': 'A {name} le faltan {time} en la hucha para {reward}.',
+    "Redeem {reward} for {time} from {name}'s jar?": '¿Canjear {reward} por {time} de la hucha de {name}?',
+    '{name} redeemed {reward}': '{name} canjeó {reward}',
+    'Edit Reward': 'Editar premio',
+    'Update Reward': 'Actualizar premio',
+    'Save Reward': 'Guardar premio',
+    'Please enter a reward name': 'Introduce un nombre de premio',
+    'A reward with this name already exists': 'Ya hay un premio con este nombre',
+
+    // Streaks and badges
+    'Days in a row with a chore': 'Días seguidos con una tarea',
+    'Days in a row within the allowance': 'Días seguidos dentro de la asignación',
+    'Streaks and badges for {name}': 'Rachas e insignias de {name}',
+    '🏆 Trophies': '🏆 Trofeos',
+    '{count} days': { one: '{count} día', other: '{count} días' },
+    "{name}'s Trophies": 'Trofeos de {name}',
+    '🔥 Chore streak: {chore} · ⚖️ Within allowance: {budget}': '🔥 Racha de tareas: {chore} · ⚖️ Dentro de la asignación: {budget}',
+    'Daily bonus ×{multiplier}!': '¡Bono diario ×{multiplier}!',
+    '{days} more for a ×{multiplier} daily bonus': 'faltan {days} para un bono diario ×{multiplier}',
+    'Earned {date}': 'Conseguida el {date}',
+    'Please enter a streak between 2 and 60 days': 'Introduce una racha entre 2 y 60 días',
+    'Please enter a multiplier above 1 and up to 3 (e.g. 1.5)': 'Introduce un multiplicador mayor que 1 y hasta 3 (p. ej. 1,5)',
+    'Save Streak Bonus': 'Guardar bono por racha',
+    '✓ Ready!': '✓ ¡Listo!',
+    'First Chore': 'Primera tarea',
+    'Do a first chore': 'Haz una primera tarea',
+    'Helping Hand': 'Echando una mano',
+    'Do 10 chores': 'Haz 10 tareas',
+    'Super Helper': 'Superayudante',
+    'Do 50 chores': 'Haz 50 tareas',
+    'On a Roll': 'En racha',
+    'Do chores 3 days in a row': 'Haz tareas 3 días seguidos',
+    'Chore Week': 'Semana de tareas',
+    'Do chores 7 days in a row': 'Haz tareas 7 días seguidos',
+    'Chore Month': 'Mes de tareas',
+    'Do chores 30 days in a row': 'Haz tareas 30 días seguidos',
+    'Balanced': 'Equilibrado',
+    'Stay within the daily allowance 3 days in a row': 'No pases de la asignación diaria 3 días seguidos',
+    'Screen Smart': 'Pantallas con cabeza',
+    'Stay within the daily allowance 7 days in a row': 'No pases de la asignación diaria 7 días seguidos',
+    'Saver': 'Ahorrador',
+    'Redeem a reward from the savings jar': 'Canjea un premio con la hucha',
+
+    // Time presets
+    'Please enter 1 to {max} times separated by commas, e.g. 5, 10, 15, 30, 1:00': 'Introduce de 1 a {max} tiempos separados por comas, p. ej. 5, 10, 15, 30, 1:00',
+    'Save Presets': 'Guardar tiempos',
+
+    // Chore requests
+    'What did {name} do?': '¿Qué ha hecho {name}?',
+    'No chores yet. Ask a parent to add some.': 'Todavía no hay tareas. Pide a un padre que añada algunas.',
+    '⏳ Waiting': '⏳ Esperando',
+    '✅ Approved': '✅ Aprobada',
+    '❌ Not approved': '❌ No aprobada',
+    'Sent! A parent needs to approve "{chore}" before the time is added.': '¡Enviado! Un padre tiene que aprobar «{chore}» antes de añadir el tiempo.',
+    'No chores waiting for approval.': 'No hay tareas esperando aprobación.',
+    'Approve': 'Aprobar',
+    'Reject': 'Rechazar',
+    'Why isn\'t "{chore}" approved? (optional)': '¿Por qué no se aprueba «{chore}»? (opcional)',
+    'The limit for this chore was already reached': 'Ya se alcanzó el límite de esta tarea',
+    '✅ {count} chores to approve': { one: '✅ {count} tarea por aprobar', other: '✅ {count} tareas por aprobar' },
+
+    // Notifications
+    'This browser does not support notifications.': 'Este navegador no admite notificaciones.',
+    'Notifications are blocked. Allow them for this site in your browser settings, then try again.': 'Las notificaciones están bloqueadas. Permítelas para este sitio en los ajustes del navegador y vuelve a intentarlo.',
+    'Turn Off Notifications': 'Desactivar notificaciones',
+    'Turn On Notifications': 'Activar notificaciones',
+    'Add a child to choose notifications.': 'Añade un niño para elegir notificaciones.',
+    '{time} left': 'quedan {time}',
+    "Time's up": 'Se acabó el tiempo',
+    'Allowance added': 'Asignación añadida',
+    '{name}: {time} left': '{name}: quedan {time}',
+    'TV time is almost up.': 'El tiempo de tele casi se ha acabado.',
+    "{name}: time's up!": '{name}: ¡se acabó el tiempo!',
+    'No TV time left.': 'No queda tiempo de tele.',
+    '{name}: allowance added': '{name}: asignación añadida',
+    '+{time} of TV time. Balance: {balance}.': '+{time} de tele. Saldo: {balance}',
+
+    // Sync
+    '🟠 Offline - changes are saved on this device': '🟠 Sin conexión: los cambios se guardan en este dispositivo',
+    '🔒 Family passphrase needed to sync': '🔒 Falta la frase de contraseña familiar para sincronizar',
+    '🔒 Encryption was turned off - see Settings': '🔒 Se desactivó el cifrado - revisa los Ajustes',
+    '🔴 Sync problem - will retry': '🔴 Problema de sincronización: se reintentará',
+    '🟡 Syncing...': '🟡 Sincronizando...',
+    '🟢 Syncing across devices (home server)': '🟢 Sincronizando entre dispositivos (servidor propio)',
+    '🟢 Syncing across devices': '🟢 Sincronizando entre dispositivos',
+    '{count} changes waiting': { one: '{count} cambio pendiente', other: '{count} cambios pendientes' },
+    'Last synced {time}': 'Última sincronización: {time}',
+    'Not synced yet': 'Aún sin sincronizar',
+    'Error: {message}': 'Error: {message}',
+    'Sync server responded {status}: {error}': 'El servidor de sincronización respondió {status}: {error}',
+    'Sync server connection failed': 'Falló la conexión con el servidor de sincronización',
+    'Sync server transaction failed after too many conflicts': 'La transacción del servidor de sincronización falló tras demasiados conflictos',
+    'Family passphrase needed to sync': 'Falta la frase de contraseña familiar para sincronizar',
+    'The family data is no longer encrypted': 'Los datos de la familia ya no están cifrados',
+    '⏳ Syncing...': '⏳ Sincronizando...',
+    '🔄 Sync now': '🔄 Sincronizar ahora',
+    '⚪ Local mode (Firebase not configured)': '⚪ Modo local (Firebase no configurado)',
+    '⚪ Local mode (sync not configured)': '⚪ Modo local (sincronización no configurada)',
+    'just now': 'ahora mismo',
+    '{time} ago': 'hace {time}',
+    'Please enter the sync server address, e.g. http://192.168.1.20:8787': 'Introduce la dirección del servidor, p. ej. http://192.168.1.20:8787',
+    'The app will reload to switch sync backends. Continue?': 'La app se recargará para cambiar el sistema de sincronización. ¿Continuar?',
+
+    // Backup
+    'This file is not a valid backup (it is not JSON).': 'Este archivo no es una copia válida (no es JSON).',
+    "This file can't be restored: {problem}": 'Este archivo no se puede restaurar: {problem}',
+    'Could not read the file.': 'No se pudo leer el archivo.',
+    'it is not a TV Time Manager backup.': 'no es una copia de TV Time Manager.',
+    'it was made by a newer version of the app. Please update first.': 'se hizo con una versión más nueva de la app. Actualiza primero.',
+    'it has no data.': 'no tiene datos.',
+    'the children list is missing.': 'falta la lista de niños.',
+    'a child is missing an id or name.': 'a un niño le falta el id o el nombre.',
+    '{name} has an invalid time balance.': '{name} tiene un saldo de tiempo no válido.',
+    '{name} has an invalid history.': '{name} tiene un historial no válido.',
+    'the chores list is invalid.': 'la lista de tareas no es válida.',
+    'a chore is missing its id, name or time.': 'a una tarea le falta el id, el nombre o el tiempo.',
+    'the penalties list is invalid.': 'la lista de penalizaciones no es válida.',
+    'a penalty is missing its id, name or time.': 'a una penalización le falta el id, el nombre o el tiempo.',
+    'the rewards list is invalid.': 'la lista de premios no es válida.',
+    'a reward is missing its id, name or time.': 'a un premio le falta el id, el nombre o el tiempo.',
+    'the settings are invalid.': 'los ajustes no son válidos.',
+    'Add child {name} ({time})': 'Añadir niño {name} ({time})',
+    '{name}: {current} now, {backup} in backup (replace only)': '{name}: {current} ahora, {backup} en la copia (solo al reemplazar)',
+    'Remove child {name} (replace only)': 'Quitar niño {name} (solo al reemplazar)',
+    'Add chore {name} (+{time})': 'Añadir tarea {name} (+{time})',
+    'Chore {name} differs from backup (replace only)': 'La tarea {name} es distinta en la copia (solo al reemplazar)',
+    'Remove chore {name} (replace only)': 'Quitar tarea {name} (solo al reemplazar)',
+    'Add penalty {name} (-{time})': 'Añadir penalización {name} (-{time})',
+    'Penalty {name} differs from backup (replace only)': 'La penalización {name} es distinta en la copia (solo al reemplazar)',
+    'Remove penalty {name} (replace only)': 'Quitar penalización {name} (solo al reemplazar)',
+    'Add reward {name} ({time})': 'Añadir premio {name} ({time})',
+    'Reward {name} differs from backup (replace only)': 'El premio {name} es distinto en la copia (solo al reemplazar)',
+    'Remove reward {name} (replace only)': 'Quitar premio {name} (solo al reemplazar)',
+    'Settings differ from backup (replace only)': 'Los ajustes son distintos en la copia (solo al reemplazar)',
+    'Backup from {date} with {children} and {chores}.': 'Copia del {date} con {children} y {chores}.',
+    'an unknown date': 'una fecha desconocida',
+    '{count} children': { one: '{count} niño', other: '{count} niños' },
+    '{count} chores': { one: '{count} tarea', other: '{count} tareas' },
+    'The backup matches the current data.': 'La copia coincide con los datos actuales.',
+    'Replace all current children, chores and settings with the backup? This cannot be undone.': '¿Reemplazar todos los niños, tareas y ajustes actuales por la copia? No se puede deshacer.',
+    'Backup restored.': 'Copia restaurada.',
+    'Backup merged.': 'Copia combinada.',
+
+    // Family passphrase
+    'Available when this device syncs with a family.': 'Disponible cuando este dispositivo se sincroniza con una familia.',
+    'This family is encrypted. Enter the passphrase to sync this device.': 'Esta familia está cifrada. Introduce la frase de contraseña para sincronizar este dispositivo.',
+    'The synced data is no longer encrypted. If encryption was turned off on purpose, turn it off here too. Otherwise set a passphrase again.': 'Los datos sincronizados ya no están cifrados. Si el cifrado se desactivó a propósito, desactívalo también aquí. Si no, vuelve a poner una frase de contraseña.',
+    'On. Children, chores and settings are encrypted before they leave this device.': 'Activado. Los niños, tareas y ajustes se cifran antes de salir de este dispositivo.',
+    'Change Passphrase': 'Cambiar frase de contraseña',
+    'Off. Anyone who knows the family ID can read the synced data.': 'Desactivado. Cualquiera que conozca el ID de familia puede leer los datos sincronizados.',
+    'Set Passphrase': 'Poner frase de contraseña',
+    'Unlocking...': 'Desbloqueando...',
+    'Incorrect passphrase': 'Frase de contraseña incorrecta',
+    'Could not unlock on this device. A secure (https) connection is required.': 'No se pudo desbloquear en este dispositivo. Hace falta una conexión segura (https).',
+    'Unlock': 'Desbloquear',
+    'The passphrase must be at least 8 characters': 'La frase de contraseña debe tener al menos 8 caracteres',
+    'The passphrases do not match': 'Las frases de contraseña no coinciden',
+    'Connect to the internet to change the family passphrase.': 'Conéctate a internet para cambiar la frase de contraseña familiar.',
+    'Every other device in the family will need this passphrase to keep syncing. Continue?': 'Todos los demás dispositivos de la familia necesitarán esta frase de contraseña para seguir sincronizando. ¿Continuar?',
+    'Encrypting...': 'Cifrando...',
+    'Could not encrypt the family data. Check the connection and try again.': 'No se pudieron cifrar los datos de la familia. Comprueba la conexión y vuelve a intentarlo.',
+    '✓ Passphrase Saved!': '✓ ¡Frase de contraseña guardada!',
+    'Turn off encryption? Anyone who knows the family ID will be able to read the synced data.': '¿Desactivar el cifrado? Cualquiera que conozca el ID de familia podrá leer los datos sincronizados.',
+    'Could not turn off encryption. Check the connection and try again.': 'No se pudo desactivar el cifrado. Comprueba la conexión y vuelve a intentarlo.',
+
+    // Parent PIN
+    '🔒 Kid mode · Parent unlock': '🔒 Modo niños · Desbloqueo de padres',
+    '🔓 Parent mode · Lock': '🔓 Modo padres · Bloquear',
+    'A parent PIN is set. Kid mode turns on when the app is locked.': 'Hay un PIN de padres. El modo niños se activa al bloquear la app.',
+    'No PIN set. Anyone can change balances.': 'No hay PIN. Cualquiera puede cambiar los saldos.',
+    'Too many attempts. Please wait a moment.': 'Demasiados intentos. Espera un momento.',
+    'Too many attempts. Try again in 30 seconds.': 'Demasiados intentos. Vuelve a intentarlo en 30 segundos.',
+    'Incorrect PIN': 'PIN incorrecto',
+    'Could not check the PIN on this device.': 'No se pudo comprobar el PIN en este dispositivo.',
+    'The PIN must be 4 to 8 digits': 'El PIN debe tener de 4 a 8 cifras',
+    'The PINs do not match': 'Los PIN no coinciden',
+    'Could not set a PIN on this device. A secure (https) connection is required.': 'No se pudo poner un PIN en este dispositivo. Hace falta una conexión segura (https).',
+    '✓ PIN Saved!': '✓ ¡PIN guardado!',
+    'Set PIN': 'Poner PIN',
+    'Remove the parent PIN? Anyone will be able to change balances.': '¿Quitar el PIN de padres? Cualquiera podrá cambiar los saldos.',
+    'Save': 'Guardar',
+
+    // Family ID and QR pairing
+    'Type or paste the family ID instead.': 'Escribe o pega el ID de familia.',
+    "Scanning isn't supported in this browser.": 'Este navegador no permite escanear.',
+    "This device can't read QR codes.": 'Este dispositivo no puede leer códigos QR.',
+    "The camera couldn't be started.": 'No se pudo iniciar la cámara.',
+    'Point the camera at the QR code on the other phone': 'Apunta la cámara al código QR del otro teléfono',
+    "That QR code isn't a family code": 'Ese código QR no es de una familia',
+    "That doesn't look like a family ID.": 'Eso no parece un ID de familia.',
+    'This device is already in that family.': 'Este dispositivo ya está en esa familia.',
+    'This will connect to a different family. All local data will sync with the new family. Continue?': 'Esto conectará con otra familia. Todos los datos locales se sincronizarán con la nueva familia. ¿Continuar?',
+    'Family ID updated. Refresh the page to connect.': 'ID de familia actualizado. Recarga la página para conectar.',
+    'Copied!': '¡Copiado!',
+    'Copy': 'Copiar',
+    'Please enter a Family ID': 'Introduce un ID de familia',
+
+    // Dialogs and keyboard
+    'Close': 'Cerrar',
+    'Amount': 'Cantidad',
+    'Up and down arrows or + and - change the amount. Enter applies it.': 'Las flechas arriba y abajo o + y - cambian la cantidad. Intro la aplica.',
+    '{name}: {time} added. Balance: {balance}': '{name}: {time} añadidos. Saldo: {balance}',
+    '{name}: {time} removed. Balance: {balance}': '{name}: {time} quitados. Saldo: {balance}',
+    '{name}: no change. Balance: {balance}': '{name}: sin cambios. Saldo: {balance}',
+
+    // App start-up and updates
+    'Error Loading App': 'Error al cargar la app',
+    'Please refresh the page. If the problem persists, clear your browser cache.': 'Recarga la página. Si el problema continúa, borra la caché del navegador.',
+    '⏳ Checking...': '⏳ Comprobando...',
+    'Update available! See banner at top.': '¡Hay una actualización! Mira el aviso de arriba.',
+    '✅ Up to date': '✅ Al día',
+    'You have the latest version.': 'Tienes la última versión.',
+    '🔄 Check for Updates': '🔄 Buscar actualizaciones',
+    '❌ Error': '❌ Error',
+    'Failed to check for updates.': 'No se pudieron buscar actualizaciones.',
+    '🔄 Update Available': '🔄 Actualización disponible',
+    'App Version: {version}': 'Versión de la app: {version}',
+    'App Version: Unknown': 'Versión de la app: desconocida',
+    'App Version: Not installed': 'Versión de la app: no instalada',
+    'App Version: Error': 'Versión de la app: error'
+});
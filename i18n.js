@@ -0,0 +1,130 @@
+// Localization
+// The text in index.html and script.js is written in English. t() looks each string up in
+// the message catalog for the current language (i18n-es.js, i18n-de.js), keyed by the
+// English text itself, so English needs no catalog and anything not translated yet still
+// shows up in English.
+//
+//   t('Add Child')                        -> 'Añadir niño'
+//   t('Hi {name}', { name: 'Ana' })       -> placeholders are filled in after the lookup
+//   tp('{count} changes waiting', 3)      -> plural forms, one per Intl.PluralRules category:
+//                                            the catalog entry is { one: '...', other: '...' }
+//
+// In index.html, elements marked with data-i18n get their text translated, and elements
+// marked with data-i18n-placeholder, data-i18n-title or data-i18n-aria-label that attribute.
+// Marked elements must contain only text.
+//
+// The language follows the browser unless one is picked in Settings (kept per device).
+// Changing it reloads the page, so every string is only translated once.
+
+const LOCALE_STORAGE_KEY = 'tvTimeLocale';
+const SUPPORTED_LOCALES = { en: 'English', es: 'Español', de: 'Deutsch' };
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+// English only needs the plural forms
+const MESSAGES = {
+    en: {
+        '{count} changes waiting': { one: '{count} change waiting', other: '{count} changes waiting' },
+        '{count} waiting for a parent': { one: '{count} waiting for a parent', other: '{count} waiting for a parent' },
+        '{count} days': { one: '{count} day', other: '{count} days' },
+        '{count} children': { one: '{count} child', other: '{count} children' },
+        '{count} chores': { one: '{count} chore', other: '{count} chores' },
+        '✅ {count} chores to approve': { one: '✅ {count} chore to approve', other: '✅ {count} chores to approve' }
+    }
+};
+
+function registerMessages(locale, messages) {
+    MESSAGES[locale] = { ...(MESSAGES[locale] || {}), ...messages };
+}
+
+// Language picked in Settings, or '' to follow the browser
+function loadLocalePreference() {
+    try {
+        return localStorage.getItem(LOCALE_STORAGE_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+function saveLocalePreference(locale) {
+    if (locale) {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } else {
+        localStorage.removeItem(LOCALE_STORAGE_KEY);
+    }
+}
+
+function detectLocale() {
+    const preferred = loadLocalePreference();
+    if (SUPPORTED_LOCALES[preferred]) return preferred;
+    const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language || 'en'];
+    for (const language of languages) {
+        const code = String(language).toLowerCase().split('-')[0];
+        if (SUPPORTED_LOCALES[code]) return code;
+    }
+    return 'en';
+}
+
+const currentLocale = detectLocale();
+
+function fillPlaceholders(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function t(text, params) {
+    const catalog = MESSAGES[currentLocale] || {};
+    return fillPlaceholders(typeof catalog[text] === 'string' ? catalog[text] : text, params);
+}
+
+function tp(text, count, params) {
+    const forms = (MESSAGES[currentLocale] || {})[text] || MESSAGES.en[text] || { other: text };
+    const form = forms[new Intl.PluralRules(currentLocale).select(count)] || forms.other;
+    return fillPlaceholders(form, { count: count, ...params });
+}
+
+// "2h", "5m", "45 min" in the current language. Browsers without unit
+// formatting get the English abbreviations.
+const unitFormats = new Map();
+function formatUnit(value, unit, unitDisplay) {
+    const key = `${unit}-${unitDisplay}`;
+    if (!unitFormats.has(key)) {
+        try {
+            unitFormats.set(key, new Intl.NumberFormat(currentLocale, { style: 'unit', unit: unit, unitDisplay: unitDisplay }));
+        } catch (error) {
+            unitFormats.set(key, null);
+        }
+    }
+    const format = unitFormats.get(key);
+    if (format) return format.format(value);
+    if (unitDisplay === 'narrow') return `${value}${unit.charAt(0)}`;
+    return `${value} ${unit === 'minute' ? 'min' : 'hr'}`;
+}
+
+// 1.5 -> "1,5" where that's how decimals are written
+function formatNumber(value) {
+    return new Intl.NumberFormat(currentLocale).format(value);
+}
+
+// Dates and times in the current language. Options are those of toLocaleString();
+// without any, just the date.
+function formatDate(date, options) {
+    return new Date(date).toLocaleString(currentLocale, options || { year: 'numeric', month: 'numeric', day: 'numeric' });
+}
+
+// Name of a weekday 0-6 (Sun..Sat), style 'short' or 'long'
+function formatWeekday(weekday, style) {
+    return formatDate(new Date(2023, 0, 1 + weekday), { weekday: style }); // 1 Jan 2023 was a Sunday
+}
+
+function translatePage(root) {
+    document.documentElement.lang = currentLocale;
+    if (currentLocale === 'en') return;
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.textContent.trim());
+    });
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(attribute)));
+        });
+    });
+}
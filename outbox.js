@@ -0,0 +1,92 @@
+// Sync Outbox
+// Changes that haven't reached the sync backend yet are kept in IndexedDB, so they
+// survive reloads, the phone killing the app and long offline periods, and are
+// replayed as soon as the connection is back. The outbox holds two records:
+//
+//   ops      the queued operations (see TVTimeManager.dispatch())
+//   fields   whole-field writes such as customChores and settings (latest value wins)
+//
+// Falls back to localStorage where IndexedDB isn't available (e.g. some private modes).
+
+class SyncOutbox {
+    constructor() {
+        this.DB_NAME = 'tvTimeManager';
+        this.STORE_NAME = 'outbox';
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async get(key) {
+        try {
+            const db = await this.open();
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME).get(key);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Outbox read failed, using localStorage:', error);
+            const stored = localStorage.getItem(`tvTimeOutbox_${key}`);
+            return stored ? JSON.parse(stored) : undefined;
+        }
+    }
+
+    async set(key, value) {
+        try {
+            const db = await this.open();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.STORE_NAME, 'readwrite');
+                transaction.objectStore(this.STORE_NAME).put(value, key);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error('Outbox write failed, using localStorage:', error);
+            localStorage.setItem(`tvTimeOutbox_${key}`, JSON.stringify(value));
+        }
+    }
+
+    // Returns { ops, fields }. Moves a queue saved by older versions (in localStorage) over.
+    async load() {
+        let ops = await this.get('ops');
+        const fields = await this.get('fields');
+
+        const legacy = localStorage.getItem('tvTimePendingOps');
+        if (legacy) {
+            try {
+                ops = [...(ops || []), ...JSON.parse(legacy)];
+                await this.set('ops', ops);
+            } catch (error) {
+                console.error('Error moving pending operations to the outbox:', error);
+            }
+            localStorage.removeItem('tvTimePendingOps');
+        }
+
+        return { ops: ops || [], fields: fields || {} };
+    }
+
+    saveOps(ops) {
+        return this.set('ops', ops);
+    }
+
+    saveFields(fields) {
+        return this.set('fields', fields);
+    }
+}
@@ -0,0 +1,393 @@
+// QR Code Generator
+// Builds QR codes on the device so family IDs never go to an external service.
+// Supports what pairing needs: byte mode, error correction level M, versions 1-10
+// (up to 213 bytes of UTF-8 text).
+//
+//   createQrMatrix(text)          -> array of rows of booleans (true = dark module)
+//   drawQrCode(canvas, matrix)    draws it with the standard 4-module quiet zone
+
+const QR_MAX_VERSION = 10;
+// Level M, indexed by version (index 0 unused)
+const QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_NUM_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_FORMAT_BITS_M = 0;
+
+function createQrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    // Smallest version that fits: mode (4 bits) + length + 8 bits per byte
+    let version = 1;
+    for (; version <= QR_MAX_VERSION; version++) {
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= qrNumDataCodewords(version) * 8) break;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    // Data bit stream
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+    appendBits(0x4, 4); // Byte mode
+    appendBits(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(b => appendBits(b, 8));
+
+    const capacityBits = qrNumDataCodewords(version) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length)); // Terminator
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        appendBits(pad, 8);
+    }
+
+    const dataCodewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        dataCodewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+
+    const qr = new QrMatrixBuilder(version);
+    qr.drawFunctionPatterns();
+    qr.drawCodewords(qrAddEccAndInterleave(dataCodewords, version));
+
+    // Pick the mask with the lowest penalty
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        qr.applyMask(mask);
+        qr.drawFormatBits(mask);
+        const penalty = qr.getPenaltyScore();
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        qr.applyMask(mask); // XOR again to undo
+    }
+    qr.applyMask(bestMask);
+    qr.drawFormatBits(bestMask);
+    return qr.modules;
+}
+
+function drawQrCode(canvas, matrix, moduleSize = 6) {
+    const quietZone = 4;
+    const size = (matrix.length + quietZone * 2) * moduleSize;
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = '#000000';
+    matrix.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) {
+                ctx.fillRect((x + quietZone) * moduleSize, (y + quietZone) * moduleSize, moduleSize, moduleSize);
+            }
+        });
+    });
+}
+
+// Modules available for data and error correction (everything but function patterns)
+function qrNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+function qrNumDataCodewords(version) {
+    return Math.floor(qrNumRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_NUM_ECC_BLOCKS[version];
+}
+
+function qrAlignmentPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+// Split the data into blocks, add Reed-Solomon error correction to each and interleave them
+function qrAddEccAndInterleave(data, version) {
+    const numBlocks = QR_NUM_ECC_BLOCKS[version];
+    const blockEccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(qrNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = qrReedSolomonDivisor(blockEccLength);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const blockData = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        k += blockData.length;
+        const ecc = qrReedSolomonRemainder(blockData, divisor);
+        if (i < numShortBlocks) {
+            blockData.push(0); // Placeholder, skipped when interleaving
+        }
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+function qrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrGfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = qrGfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= qrGfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function qrGfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+class QrMatrixBuilder {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns (with separators)
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = qrAlignmentPositions(this.version, size);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas (drawn for real once the mask is known)
+        this.drawFormatBits(0);
+
+        // Version information (versions 7 and up)
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = this.version << 12 | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, dark);
+                this.setFunctionModule(b, a, dark);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const data = QR_FORMAT_BITS_M << 3 | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = (data << 10 | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        const size = this.size;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, bit(i));
+        }
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, bit(i));
+        }
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(8, size - 8, true); // Always dark
+    }
+
+    // Fill the data area in the zigzag order from the bottom-right corner
+    drawCodewords(codewords) {
+        const size = this.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const invert = conditions[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && invert(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // The four penalty rules from the QR specification
+    getPenaltyScore() {
+        const size = this.size;
+        const get = (x, y) => this.modules[y][x];
+        let penalty = 0;
+
+        // Rows and columns read the same way, so score both with one helper
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            const row = [];
+            const column = [];
+            for (let j = 0; j < size; j++) {
+                row.push(get(j, i));
+                column.push(get(i, j));
+            }
+            lines.push(row, column);
+        }
+
+        const finderLike = [true, false, true, true, true, false, true];
+        lines.forEach(line => {
+            // Rule 1: runs of five or more modules of the same color
+            let runLength = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            // Rule 3: finder-like 1:1:3:1:1 patterns with four light modules on one side
+            for (let i = 0; i + 7 <= line.length; i++) {
+                if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+                const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+                const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= line.length || !line[i + 7 + k]);
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        });
+
+        // Rule 2: 2x2 blocks of the same color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = get(x, y);
+                if (color === get(x + 1, y) && color === get(x, y + 1) && color === get(x + 1, y + 1)) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Rule 4: balance of dark and light modules
+        let dark = 0;
+        this.modules.forEach(row => row.forEach(module => {
+            if (module) dark++;
+        }));
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += k * 10;
+
+        return penalty;
+    }
+}
@@ -2,15 +2,69 @@
 class TVTimeManager {
     constructor() {
         this.children = [];
-        this.firebaseEnabled = false;
+        this.localCopy = new LocalStorageAdapter(); // This device's copy, whichever backend syncs it
+        this.storage = this.localCopy; // Replaced by the chosen sync backend (see storage-adapters.js)
+        this.syncEnabled = false;
         this.familyId = this.getOrCreateFamilyId();
-        this.isProcessingBonus = false; // Flag to prevent Firebase overwrites during bonus processing
-        this.MAX_TIME_BALANCE = 300; // Maximum time balance in minutes (5 hours)
+        this.DEFAULT_DAILY_ALLOWANCE = 30; // Minutes added every day at midnight
+        this.DEFAULT_MAX_BALANCE = 300; // Maximum time balance in minutes (5 hours)
+        this.DEFAULT_TIME_PRESETS = [5, 10, 15, 30, 60]; // Stepper and chore time presets (minutes)
+        this.DEFAULT_CATEGORY_ID = 'default'; // Screen category that holds the original balance (see getAccount())
+        // Rollover rules for dailyBonus operations queued before they carried their own
+        this.NO_ROLLOVER = { expiryDays: null, weeklyResetDay: null, weeklyResetAmount: 0, keepEarnedTime: true };
+        // Family-wide defaults (synced via Firebase). Each child can override them.
+        this.familySettings = this.loadFamilySettings();
+        this.MAX_HISTORY_ENTRIES = 500; // Ledger entries kept per child (oldest are dropped)
         
-        // Time adjustment state - single unified array ordered from negative to positive
-        // Add moves right (higher values), Subtract moves left (lower values)
-        this.timeAmounts = [-60, -30, -15, -10, -5, 0, 5, 10, 15, 30, 60];
-        this.currentAmountIndex = 5; // Start at index 5 which is 0
+        // Operation-based sync (see dispatch())
+        this.appliedOps = []; // Ids of recent operations without a clientId (queued by older versions)
+        this.opWatermarks = {}; // clientId -> { seq, at } of the last operation applied from it
+        this.clientId = Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9); // This page load's operations
+        this.nextOpSeq = 1;
+        this.outbox = new SyncOutbox(); // Persists unsent changes (see outbox.js)
+        this.pendingOps = []; // Operations not yet confirmed by the server (loaded from the outbox)
+        this.pendingFields = {}; // customChores / settings not yet written to the server
+        this.lastSyncAt = parseInt(this.localCopy.read('lastSyncAt')) || null;
+        this.lastSyncError = null;
+        this.isSyncingNow = false;
+        this.scanStream = null; // Camera stream while scanning a family QR code
+        this.scanTimer = null;
+        this.familyUnlockPrompted = false; // Passphrase prompt already shown for the current key
+        this.confirmedState = null; // Last children state received from the server
+        this.isFlushingOps = false;
+        this.flushRetryTimer = null;
+        this.MAX_APPLIED_OPS = 200; // Older operation ids remembered for de-duplicating retries
+        this.OP_WATERMARK_DAYS = 30; // How long a client's watermark is kept after its last operation
+        
+        // Chore requests from kid mode, waiting for a parent (synced with the children)
+        this.choreRequests = [];
+        this.MAX_RESOLVED_REQUESTS = 50; // Approved/rejected requests kept so kids can see the outcome
+        this.requestingChildId = null; // Child whose chore request modal is open
+        
+        // Undo / redo for this device's changes (not persisted across reloads)
+        this.undoStack = []; // { label, undo(), redo() }
+        this.redoStack = [];
+        this.MAX_UNDO_STEPS = 20;
+        this.undoToastTimer = null;
+        
+        // Local notifications (per device - see loadNotificationSettings())
+        this.notificationSettings = this.loadNotificationSettings();
+        this.notificationSnapshot = null; // Last seen balance/countdown per child
+        this.WARNING_MINUTES = 5; // "Minutes left" warning before a session runs out
+        
+        // Backup files
+        this.BACKUP_FORMAT = 'tv-time-manager-backup';
+        this.BACKUP_VERSION = 1;
+        this.pendingBackup = null; // Validated backup waiting for merge/replace
+        this.statsRange = 'week'; // 'day' | 'week' | 'month'
+        
+        // Time adjustment state - the stepper moves through getTimeAmounts()
+        // (built from the family's presets), or any amount can be typed in
+        this.MAX_TIME_PRESETS = 12;
+        this.currentAmount = 0;
+        this.currentCategoryId = this.DEFAULT_CATEGORY_ID; // Category the time modal adjusts
+        this.editingCategoryId = null; // Category loaded into the Settings form
+        this.MAX_SCREEN_CATEGORIES = 6;
         
         // Default chores (empty - all chores are custom)
         this.defaultChores = [];
@@ -19,15 +73,52 @@ class TVTimeManager {
         this.customChores = [];
         this.chores = []; // Combined list (starts empty)
         
+        // Penalty catalog - named deductions (synced across family like custom chores)
+        this.penalties = this.loadPenalties();
+        this.editingPenaltyId = null;
+        this.penaltiesEditMode = false;
+        
+        // Rewards catalog - things banked minutes can be redeemed for (synced like penalties)
+        this.rewards = this.loadRewards();
+        this.editingRewardId = null;
+        this.rewardsEditMode = false;
+        this.MAX_REDEMPTIONS = 20; // Redeemed rewards remembered per child
+        
+        // Achievement badges - earned once stats[stat] >= target (see getStreakStats())
+        this.BADGES = [
+            { id: 'first_chore', icon: '🧹', name: 'First Chore', stat: 'choreCount', target: 1, description: 'Do a first chore' },
+            { id: 'helping_hand', icon: '🤝', name: 'Helping Hand', stat: 'choreCount', target: 10, description: 'Do 10 chores' },
+            { id: 'super_helper', icon: '🦸', name: 'Super Helper', stat: 'choreCount', target: 50, description: 'Do 50 chores' },
+            { id: 'on_a_roll', icon: '🔥', name: 'On a Roll', stat: 'choreStreak', target: 3, description: 'Do chores 3 days in a row' },
+            { id: 'chore_week', icon: '🏅', name: 'Chore Week', stat: 'choreStreak', target: 7, description: 'Do chores 7 days in a row' },
+            { id: 'chore_month', icon: '🏆', name: 'Chore Month', stat: 'choreStreak', target: 30, description: 'Do chores 30 days in a row' },
+            { id: 'balanced', icon: '⚖️', name: 'Balanced', stat: 'budgetStreak', target: 3, description: 'Stay within the daily allowance 3 days in a row' },
+            { id: 'screen_smart', icon: '🧠', name: 'Screen Smart', stat: 'budgetStreak', target: 7, description: 'Stay within the daily allowance 7 days in a row' },
+            { id: 'saver', icon: '🐷', name: 'Saver', stat: 'redemptions', target: 1, description: 'Redeem a reward from the savings jar' }
+        ];
+        this.trophyChildId = null; // Child whose trophy view is open
+        this.BADGE_OP_TYPES = ['adjustTime', 'approveChoreRequest', 'correction', 'dailyBonus', 'redeemReward'];
+        
         // Track which chore is being edited
         this.editingChoreId = null;
         // Track if we're in edit mode for chores
         this.choresEditMode = false;
         
+        // Parent PIN lock - when a PIN is set the app starts in kid mode on every load
+        this.parentUnlocked = false;
+        this.pendingParentAction = null; // Action to run once the PIN is entered
+        this.failedPinAttempts = 0;
+        this.pinLockedUntil = 0;
+        this.lastActivity = Date.now();
+        
         // Wait for Firebase scripts to load, then initialize
         // Check multiple times in case scripts load slowly on mobile
-        this.waitForFirebase(() => {
-            this.initializeFirebase();
+        this.waitForFirebase(async () => {
+            // Unsent changes first, so they are replayed on top of the first server copy
+            await this.loadOutbox();
+            // This device's key for an encrypted family (see family-crypto.js)
+            const familyKey = await loadFamilyKey(this.familyId);
+            this.initializeStorage(familyKey);
             this.loadChildren().then(() => {
                 // Load custom chores (handle errors gracefully)
                 this.loadCustomChores().catch(error => {
@@ -49,7 +140,7 @@ class TVTimeManager {
 
     waitForFirebase(callback, attempts = 0) {
         const maxAttempts = 20; // Try for up to 2 seconds (20 * 100ms)
-        if (typeof firebase !== 'undefined' || attempts >= maxAttempts) {
+        if (loadStorageBackend().type !== 'firebase' || typeof firebase !== 'undefined' || attempts >= maxAttempts) {
             callback();
         } else {
             setTimeout(() => {
@@ -60,95 +151,39 @@ class TVTimeManager {
 
     // Get or create a unique family ID for syncing
     getOrCreateFamilyId() {
-        let familyId = localStorage.getItem('tvTimeFamilyId');
+        let familyId = this.localCopy.read('familyId');
         if (!familyId) {
             // Generate a unique family ID (you can share this with other phones)
             familyId = 'family_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            localStorage.setItem('tvTimeFamilyId', familyId);
+            this.localCopy.write({ familyId: familyId });
         }
         return familyId;
     }
 
-    // Initialize Firebase connection
-    initializeFirebase() {
-        // Check if db is available (might take a moment for scripts to load)
+    // Connect to the sync backend chosen in Settings (Firebase by default)
+    initializeStorage(familyKey) {
+        const backend = loadStorageBackend();
+        
+        if (backend.type === 'local') {
+            console.log('Sync turned off - running in local-only mode');
+            this.updateSyncStatus();
+            return;
+        }
+        
+        if (backend.type === 'server') {
+            if (backend.serverUrl) {
+                this.connectStorage(new ServerStorageAdapter(backend.serverUrl, this.familyId, backend.serverToken), familyKey);
+            } else {
+                console.log('No sync server configured - running in local-only mode');
+                this.updateSyncStatus();
+            }
+            return;
+        }
+        
+        // Firebase - check if db is available (might take a moment for scripts to load)
         const checkFirebase = () => {
             if (typeof window !== 'undefined' && typeof db !== 'undefined' && db !== null) {
-                this.firebaseEnabled = true;
-                console.log('Firebase sync enabled for family:', this.familyId);
-                
-                // Listen for real-time updates from other devices
-                db.collection('families').doc(this.familyId)
-                    .onSnapshot((docSnapshot) => {
-                        if (docSnapshot.exists) {
-                            const data = docSnapshot.data();
-                            
-                            // Sync custom chores
-                            if (data.customChores) {
-                                this.customChores = data.customChores;
-                                this.updateChoresList();
-                                localStorage.setItem('tvTimeCustomChores', JSON.stringify(this.customChores));
-                                // Refresh chores display if it's currently open
-                                if (document.getElementById('choresList').style.display !== 'none') {
-                                    this.renderChores();
-                                }
-                            }
-                            
-                            if (data.children) {
-                                // Don't overwrite if we're currently processing the daily bonus
-                                if (this.isProcessingBonus) {
-                                    console.log('Ignoring cloud sync - processing daily bonus');
-                                    return;
-                                }
-                                
-                                const cloudChildren = data.children;
-                                const cloudLastMidnightCheck = data.lastMidnightCheck;
-                            
-                            // Get local lastMidnightCheck
-                            const localLastMidnightCheck = this.loadLastMidnightCheck();
-                            const today = new Date();
-                            today.setHours(0, 0, 0, 0);
-                            
-                            // Parse dates for comparison
-                            let cloudDate = null;
-                            if (cloudLastMidnightCheck) {
-                                const parsed = new Date(cloudLastMidnightCheck);
-                                if (!isNaN(parsed.getTime())) {
-                                    parsed.setHours(0, 0, 0, 0);
-                                    cloudDate = parsed;
-                                }
-                            }
-                            
-                            let localDate = null;
-                            if (localLastMidnightCheck) {
-                                const parsed = new Date(localLastMidnightCheck);
-                                if (!isNaN(parsed.getTime())) {
-                                    parsed.setHours(0, 0, 0, 0);
-                                    localDate = parsed;
-                                }
-                            }
-                            
-                            // If we've already processed today's bonus locally, don't overwrite with older cloud data
-                            if (localDate && localDate.getTime() === today.getTime()) {
-                                // We've processed today locally - check if cloud data is also from today
-                                if (!cloudDate || cloudDate.getTime() < today.getTime()) {
-                                    console.log('Ignoring cloud sync - local data has today\'s bonus, cloud data is older');
-                                    return;
-                                }
-                            }
-                            
-                                // Merge with local data (cloud takes precedence, but preserve today's bonus if we have it)
-                                this.children = cloudChildren;
-                                this.saveToLocalStorage();
-                                this.renderChildren();
-                                console.log('Synced from cloud');
-                            }
-                        }
-                    }, (error) => {
-                        console.error('Firebase sync error:', error);
-                    });
-                
-                this.updateSyncStatus();
+                this.connectStorage(new FirebaseStorageAdapter(db, this.familyId), familyKey);
                 return true;
             }
             return false;
@@ -165,35 +200,128 @@ class TVTimeManager {
             }, 500);
         }
     }
+    
+    connectStorage(adapter, familyKey) {
+        // Plain families pass straight through; passphrase families are decrypted here
+        this.storage = new EncryptedStorageAdapter(adapter, familyKey, () => this.handleFamilyLocked());
+        this.syncEnabled = true;
+        console.log(`Sync enabled (${adapter.name}) for family:`, this.familyId);
+        
+        // Listen for real-time updates from other devices
+        this.storage.subscribe((data, confirmed) => this.handleRemoteData(data, confirmed), (error) => {
+            console.error('Sync error:', error);
+        });
+        
+        // Send anything queued while offline as soon as we're back
+        window.addEventListener('online', () => {
+            this.updateSyncStatus();
+            this.flushPendingOps();
+        });
+        window.addEventListener('offline', () => this.updateSyncStatus());
+        
+        // Keep "last synced ... ago" current
+        setInterval(() => this.updateSyncStatus(), 30000);
+        
+        this.updateSyncStatus();
+    }
+    
+    // Apply a new copy of the family document from the sync backend.
+    // confirmed = the copy came from the server, not from a local cache.
+    handleRemoteData(data, confirmed) {
+        if (confirmed) {
+            this.markSynced();
+        }
+        this.renderEncryptionSettings(); // Another device may have set or removed the passphrase
+        
+        // Sync family-wide settings (unless this device has newer ones waiting to be sent)
+        if (data.settings && !this.pendingFields.settings) {
+            this.familySettings = { ...this.familySettings, ...data.settings };
+            this.localCopy.write({ settings: this.familySettings });
+            this.populateFamilySettingsUI();
+            this.updateLockUI();
+            this.refreshCategoryViews(); // Categories or their mode may have changed
+        }
+        
+        // Sync custom chores (unless this device has newer ones waiting to be sent)
+        if (data.customChores && !this.pendingFields.customChores) {
+            this.customChores = data.customChores;
+            this.updateChoresList();
+            this.localCopy.write({ customChores: this.customChores });
+            // Refresh chores display if it's currently open
+            if (document.getElementById('choresList').style.display !== 'none') {
+                this.renderChores();
+            }
+        }
+        
+        // Sync the penalty catalog (unless this device has newer changes waiting to be sent)
+        if (data.penalties && !this.pendingFields.penalties) {
+            this.penalties = data.penalties;
+            this.localCopy.write({ penalties: this.penalties });
+            if (document.getElementById('penaltiesList').style.display !== 'none') {
+                this.renderPenalties();
+            }
+        }
+        
+        // Sync the rewards catalog (unless this device has newer changes waiting to be sent)
+        if (data.rewards && !this.pendingFields.rewards) {
+            this.rewards = data.rewards;
+            this.localCopy.write({ rewards: this.rewards });
+            if (document.getElementById('savingsList').style.display !== 'none') {
+                this.renderSavings();
+            }
+        }
+        
+        if (data.children) {
+            // The server copy is authoritative - replay anything it
+            // hasn't confirmed yet on top of it
+            this.confirmedState = this.stateFromCloud(data);
+            this.rebuildFromConfirmedState();
+            console.log('Synced from cloud');
+            this.flushPendingOps();
+        }
+    }
 
     async loadChildren() {
-        if (this.firebaseEnabled) {
+        // Start from the local copy
+        this.children = this.localCopy.read('children') || [];
+        this.appliedOps = this.localCopy.read('appliedOps') || [];
+        this.opWatermarks = this.localCopy.read('opWatermarks') || {};
+        this.choreRequests = this.localCopy.read('choreRequests') || [];
+        
+        if (this.syncEnabled) {
             try {
-                const docSnapshot = await db.collection('families').doc(this.familyId).get();
-                if (docSnapshot.exists && docSnapshot.data().children) {
-                    this.children = docSnapshot.data().children;
-                    this.saveToLocalStorage();
-                    return this.children;
+                const data = await this.storage.load();
+                if (data && data.children) {
+                    this.confirmedState = this.stateFromCloud(data);
+                    this.rebuildFromConfirmedState();
+                } else if (this.children.length > 0) {
+                    // Nothing in the cloud yet - upload what this device already has
+                    this.dispatch('importChildren', {
+                        children: this.children,
+                        lastMidnightCheck: this.loadLastMidnightCheck()
+                    });
                 }
+                this.flushPendingOps();
             } catch (error) {
-                console.error('Error loading from Firebase:', error);
-                // Fall back to localStorage
+                console.error('Error loading from sync backend:', error);
+                // Keep this device's copy
             }
         }
         
-        // Fall back to localStorage
-        const stored = localStorage.getItem('tvTimeChildren');
-        this.children = stored ? JSON.parse(stored) : [];
         return this.children;
     }
     
     async loadCustomChores() {
         try {
-            if (this.firebaseEnabled && typeof db !== 'undefined' && db !== null) {
+            if (this.syncEnabled) {
                 try {
-                    const docSnapshot = await db.collection('families').doc(this.familyId).get();
-                    if (docSnapshot.exists && docSnapshot.data().customChores) {
-                        this.customChores = docSnapshot.data().customChores;
+                    const data = await this.storage.load();
+                    if (this.pendingFields.customChores) {
+                        // Edited while offline - this device's copy is the newest
+                        this.customChores = this.pendingFields.customChores;
+                        this.updateChoresList();
+                    } else if (data && data.customChores) {
+                        this.customChores = data.customChores;
                         this.updateChoresList();
                     } else {
                         this.customChores = [];
@@ -201,13 +329,12 @@ class TVTimeManager {
                     }
                     return this.customChores;
                 } catch (error) {
-                    console.error('Error loading custom chores from Firebase:', error);
-                    // Fall through to localStorage
+                    console.error('Error loading custom chores from sync backend:', error);
+                    // Fall through to this device's copy
                 }
             }
-            // Fall back to localStorage
-            const stored = localStorage.getItem('tvTimeCustomChores');
-            this.customChores = stored ? JSON.parse(stored) : [];
+            // Fall back to this device's copy
+            this.customChores = this.localCopy.read('customChores') || [];
             this.updateChoresList();
             return this.customChores;
         } catch (error) {
@@ -224,62 +351,621 @@ class TVTimeManager {
     }
     
     async saveCustomChores() {
-        // Always save to localStorage first
-        localStorage.setItem('tvTimeCustomChores', JSON.stringify(this.customChores));
+        // Always save this device's copy first
+        this.localCopy.write({ customChores: this.customChores });
         
-        // Then sync to Firebase
-        if (this.firebaseEnabled) {
-            db.collection('families').doc(this.familyId).set({
-                customChores: this.customChores,
-                lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
-            }, { merge: true })
-            .then(() => {
-                console.log('Custom chores synced to cloud');
-            })
-            .catch((error) => {
-                console.error('Error syncing custom chores to Firebase:', error);
-            });
+        // Then queue for the other devices
+        if (this.syncEnabled) {
+            this.queueFields({ customChores: this.customChores });
+        }
+    }
+
+    loadPenalties() {
+        return this.localCopy.read('penalties') || [];
+    }
+    
+    savePenalties() {
+        // Always save this device's copy first
+        this.localCopy.write({ penalties: this.penalties });
+        
+        // Then queue for the other devices
+        if (this.syncEnabled) {
+            this.queueFields({ penalties: this.penalties });
+        }
+    }
+
+    loadRewards() {
+        return this.localCopy.read('rewards') || [];
+    }
+    
+    saveRewards() {
+        // Always save this device's copy first
+        this.localCopy.write({ rewards: this.rewards });
+        
+        // Then queue for the other devices
+        if (this.syncEnabled) {
+            this.queueFields({ rewards: this.rewards });
+        }
+    }
+
+    loadFamilySettings() {
+        const defaults = {
+            dailyAllowance: this.DEFAULT_DAILY_ALLOWANCE,
+            maxBalance: this.DEFAULT_MAX_BALANCE,
+            weeklySchedule: [null, null, null, null, null, null, null], // Sun..Sat, null = daily allowance
+            holidays: [], // { id, start, end, minutes, label } - dates are YYYY-MM-DD
+            pinHash: null, // SHA-256 of salt + PIN, null = no parent lock
+            pinSalt: null,
+            autoLockMinutes: 5,
+            stepperPresets: this.DEFAULT_TIME_PRESETS, // Add/Subtract steps in the time modal (minutes)
+            durationPresets: this.DEFAULT_TIME_PRESETS, // Quick picks for chore and penalty times (minutes)
+            // Screen categories (see getAccount()). Allowance, maximum and limit are minutes, null = unset.
+            screenCategories: [{ id: this.DEFAULT_CATEGORY_ID, name: 'TV', icon: '📺', dailyAllowance: null, maxBalance: null, dailyLimit: null }],
+            categoryMode: 'separate', // 'separate' = a balance per category, 'shared' = one balance with daily limits per category
+            // Unused time rules (see applyRollover())
+            rollover: {
+                expiryDays: null, // Daily bonus minutes expire this many days after they were given (null = never)
+                weeklyResetDay: null, // 0-6 (Sun..Sat): expire all bonus minutes at that midnight (null = off)
+                weeklyResetAmount: 0, // ...and start the week with this many minutes
+                keepEarnedTime: true // Chore and parent-added minutes are never expired
+            },
+            divertCappedToSavings: false, // Minutes over the maximum go to the savings jar instead of being lost
+            // Chore streak of at least `days` multiplies the daily bonus (see getStreakMultiplier())
+            streakBonus: { enabled: false, days: 7, multiplier: 1.5 }
+        };
+        return { ...defaults, ...this.localCopy.read('settings') };
+    }
+    
+    saveFamilySettings() {
+        // Always save this device's copy first
+        this.localCopy.write({ settings: this.familySettings });
+        
+        // Then queue for the other devices
+        if (this.syncEnabled) {
+            this.queueFields({ settings: this.familySettings });
+        }
+    }
+    
+    // Per-child overrides fall back to the family defaults when unset
+    getDailyAllowance(child) {
+        return typeof child.dailyAllowance === 'number' ? child.dailyAllowance : this.familySettings.dailyAllowance;
+    }
+    
+    // Family settings an operation is applied with. Per-child overrides are part of the synced
+    // state, but the family-wide maximum and categories (and the allowances, for a dailyBonus)
+    // are copied into each operation, so a device whose settings haven't synced yet still
+    // applies it the same way as the device that made it.
+    getOpSettings(op) {
+        return {
+            ...this.familySettings,
+            ...(op && op.limits),
+            ...(op && op.allowances)
+        };
+    }
+    
+    // Copied into every operation (see dispatch())
+    getLimitSettings() {
+        return { maxBalance: this.familySettings.maxBalance, screenCategories: this.getCategories() };
+    }
+    
+    // Copied into dailyBonus operations
+    getAllowanceSettings() {
+        return {
+            dailyAllowance: this.familySettings.dailyAllowance,
+            weeklySchedule: this.familySettings.weeklySchedule,
+            holidays: this.familySettings.holidays || []
+        };
+    }
+    
+    // Categories other than the default one have their own maximum in separate mode
+    getMaxBalance(child, categoryId = this.DEFAULT_CATEGORY_ID, op = null) {
+        const settings = this.getOpSettings(op);
+        if (this.isExtraAccount(categoryId, op)) {
+            const category = this.getCategory(categoryId, op);
+            if (category && typeof category.maxBalance === 'number') {
+                return category.maxBalance;
+            }
+            return settings.maxBalance;
+        }
+        return typeof child.maxBalance === 'number' ? child.maxBalance : settings.maxBalance;
+    }
+    
+    // Allowance granted for a specific day. The most specific rule wins:
+    // holiday override > child's weekday schedule > child's daily allowance >
+    // family weekday schedule > family daily allowance
+    // In separate mode the other categories just get their own daily allowance.
+    getAllowanceForDate(child, date, categoryId = this.DEFAULT_CATEGORY_ID, op = null) {
+        if (this.isExtraAccount(categoryId, op)) {
+            const category = this.getCategory(categoryId, op);
+            return category && typeof category.dailyAllowance === 'number' ? category.dailyAllowance : 0;
+        }
+        
+        const settings = this.getOpSettings(op);
+        const holiday = this.getHolidayForDate(date, op);
+        if (holiday) {
+            return holiday.minutes;
+        }
+        
+        const weekday = date.getDay();
+        if (Array.isArray(child.weeklySchedule) && typeof child.weeklySchedule[weekday] === 'number') {
+            return child.weeklySchedule[weekday];
+        }
+        if (typeof child.dailyAllowance === 'number') {
+            return child.dailyAllowance;
+        }
+        const familySchedule = settings.weeklySchedule;
+        if (Array.isArray(familySchedule) && typeof familySchedule[weekday] === 'number') {
+            return familySchedule[weekday];
+        }
+        return settings.dailyAllowance;
+    }
+    
+    getHolidayForDate(date, op = null) {
+        const dateKey = this.toDateKey(date);
+        const holidays = this.getOpSettings(op).holidays || [];
+        return holidays.find(h => h.start <= dateKey && dateKey <= (h.end || h.start)) || null;
+    }
+    
+    // Local calendar date as YYYY-MM-DD (sorts correctly as a string)
+    toDateKey(date) {
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    
+    // Screen categories
+    // In 'separate' mode every category (TV, games, tablet...) has its own balance, allowance
+    // and maximum. In 'shared' mode there is one balance, and a category can have a daily
+    // limit on how much of it is spent on that screen.
+    // Operations record the mode they were made in (op.separateBalances), and applying one
+    // uses that rather than this device's setting, so every device credits the same balance.
+    // The default category's balance is the child's original one (child.timeBalance and
+    // child.lots), so data from before categories existed is already in it. The other
+    // categories are kept in child.categoryBalances[categoryId] = { timeBalance, lots }.
+    getCategories(op = null) {
+        const screenCategories = this.getOpSettings(op).screenCategories;
+        const categories = Array.isArray(screenCategories) ? screenCategories : [];
+        if (categories.some(c => c.id === this.DEFAULT_CATEGORY_ID)) {
+            return categories;
+        }
+        return [{ id: this.DEFAULT_CATEGORY_ID, name: 'TV', icon: '📺', dailyAllowance: null, maxBalance: null, dailyLimit: null }, ...categories];
+    }
+    
+    getCategory(categoryId, op = null) {
+        return this.getCategories(op).find(c => c.id === (categoryId || this.DEFAULT_CATEGORY_ID)) || null;
+    }
+    
+    hasSeparateBalances(op = null) {
+        if (op && typeof op.separateBalances === 'boolean') {
+            return op.separateBalances;
+        }
+        return this.familySettings.categoryMode !== 'shared';
+    }
+    
+    // True if the category's minutes live in child.categoryBalances rather than on the child
+    isExtraAccount(categoryId, op = null) {
+        return !!categoryId && categoryId !== this.DEFAULT_CATEGORY_ID && this.hasSeparateBalances(op);
+    }
+    
+    // The object holding a category's timeBalance and lots
+    getAccount(child, categoryId, op = null) {
+        if (!this.isExtraAccount(categoryId, op)) return child;
+        if (!child.categoryBalances) {
+            child.categoryBalances = {};
+        }
+        if (!child.categoryBalances[categoryId]) {
+            child.categoryBalances[categoryId] = { timeBalance: 0 };
+        }
+        return child.categoryBalances[categoryId];
+    }
+    
+    // Like getAccount() but without creating anything, for display
+    getCategoryBalance(child, categoryId, op = null) {
+        if (!this.isExtraAccount(categoryId, op)) return child.timeBalance;
+        const account = child.categoryBalances && child.categoryBalances[categoryId];
+        return account ? account.timeBalance : 0;
+    }
+    
+    getTotalBalance(child) {
+        if (!this.hasSeparateBalances()) return child.timeBalance;
+        return this.getCategories().reduce((sum, category) => sum + this.getCategoryBalance(child, category.id), 0);
+    }
+    
+    // Minutes spent on a category since local midnight: sessions plus time a parent took off
+    getCategoryUsedToday(child, categoryId, now) {
+        const date = new Date(now);
+        const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const tag = categoryId === this.DEFAULT_CATEGORY_ID ? undefined : categoryId;
+        const reverted = this.getRevertedOpIds(child);
+        return (child.history || [])
+            .filter(entry => (entry.source === 'session' || entry.source === 'manual') && entry.amount < 0 &&
+                entry.category === tag && !reverted.has(entry.opId) &&
+                new Date(entry.timestamp).getTime() >= startOfDay)
+            .reduce((sum, entry) => sum - entry.amount, 0);
+    }
+    
+    // Minutes that can still be watched in a category today: the balance,
+    // or less when a shared-mode daily limit is nearly used up
+    getAvailableMinutes(child, categoryId, now, op = null) {
+        const balance = this.getCategoryBalance(child, categoryId, op);
+        const category = this.getCategory(categoryId, op);
+        if (this.hasSeparateBalances(op) || !category || typeof category.dailyLimit !== 'number') {
+            return balance;
+        }
+        return Math.max(0, Math.min(balance, category.dailyLimit - this.getCategoryUsedToday(child, categoryId, now)));
+    }
+    
+    // Daily bonus and rollover run once per balance (a dailyBonus operation carries the list)
+    getBalanceCategoryIds(op = null) {
+        if (op && Array.isArray(op.categoryIds)) {
+            return op.categoryIds;
         }
+        return this.hasSeparateBalances(op) ? this.getCategories(op).map(c => c.id) : [this.DEFAULT_CATEGORY_ID];
     }
 
-    saveChildren() {
-        // Always save to localStorage first (instant)
+    // Operation-based sync
+    // Every change to the children is described as a serializable operation
+    // ({ id, type, timestamp, ...payload }) and applied with applyOperation().
+    // The operation applies locally right away, then is queued and applied again
+    // inside a storage transaction against the latest server copy, so concurrent
+    // edits from different devices all apply instead of overwriting each other.
+    // applyOperation() depends only on the operation and the state it is given and
+    // skips operations it has already seen, so replaying the queue is deterministic
+    // and retrying a write can never apply it twice. The family settings it needs
+    // (category mode, maximums, allowances, rollover and streak rules) are copied into
+    // the operation when it is made (see getOpSettings()).
+    //
+    // Operations are numbered per client (one page load): { clientId, seq }. A client's
+    // operations always reach the server in order, so the state only has to remember the
+    // highest seq applied from each client (state.opWatermarks) - however many operations
+    // other devices sent in between, a retried one is recognised.
+    dispatch(type, payload = {}) {
+        const op = {
+            ...payload,
+            id: Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9),
+            type: type,
+            timestamp: Date.now(),
+            clientId: this.clientId,
+            seq: this.nextOpSeq++,
+            separateBalances: this.hasSeparateBalances(), // See getAccount()
+            divertCappedToSavings: !!this.familySettings.divertCappedToSavings, // See creditTime()
+            limits: this.getLimitSettings() // See getOpSettings()
+        };
+        
+        const state = this.getLocalState();
+        this.applyOperation(state, op);
+        this.setLocalState(state);
+        
+        if (this.syncEnabled) {
+            this.pendingOps.push(op);
+            this.savePendingOps();
+            this.flushPendingOps();
+        }
+        return op;
+    }
+    
+    applyOperation(state, op) {
+        // Already applied (e.g. a retried write that actually reached the server)
+        if (this.isOpApplied(state, op)) return;
+        
+        const child = op.childId ? state.children.find(c => c.id === op.childId) : null;
+        switch (op.type) {
+            case 'addChild':
+                if (!state.children.some(c => c.id === op.child.id)) {
+                    state.children.push(JSON.parse(JSON.stringify(op.child)));
+                }
+                break;
+            case 'deleteChild':
+                state.children = state.children.filter(c => c.id !== op.childId);
+                state.choreRequests = state.choreRequests.filter(r => r.childId !== op.childId);
+                break;
+            case 'restoreChild':
+                // Undo of a deletion - put the child back where it was, with its requests
+                if (!state.children.some(c => c.id === op.child.id)) {
+                    state.children.splice(Math.min(op.index, state.children.length), 0, JSON.parse(JSON.stringify(op.child)));
+                    const knownRequests = new Set(state.choreRequests.map(r => r.id));
+                    op.choreRequests.forEach(request => {
+                        if (!knownRequests.has(request.id)) {
+                            state.choreRequests.push({ ...request });
+                        }
+                    });
+                }
+                break;
+            case 'adjustTime':
+                if (!child) break;
+                if (op.action === 'add') {
+                    if (this.isChoreLimitReached(state, child, op)) break;
+                    this.creditTime(child, op.amount, op.source, op.reason, op);
+                } else if (op.action === 'subtract') {
+                    this.debitTime(child, op.amount, op.source, op.reason, op);
+                }
+                break;
+            case 'correction':
+                this.applyCorrection(child, op);
+                break;
+            case 'moveSavings':
+                this.applyMoveSavings(child, op);
+                break;
+            case 'redeemReward':
+                this.applyRedeemReward(child, op);
+                break;
+            case 'cancelRedemption':
+                this.applyCancelRedemption(child, op);
+                break;
+            case 'updateChildSettings':
+                // A null value removes the override
+                if (!child) break;
+                Object.keys(op.settings).forEach(key => {
+                    if (op.settings[key] === null) {
+                        delete child[key];
+                    } else {
+                        child[key] = op.settings[key];
+                    }
+                });
+                break;
+            case 'startSession':
+                this.applyStartSession(child, op);
+                break;
+            case 'pauseSession':
+                this.applyPauseSession(child, op);
+                break;
+            case 'stopSession':
+                this.applyStopSession(child, op);
+                break;
+            case 'chargeSessions':
+                this.applyChargeSessions(state, op);
+                break;
+            case 'dailyBonus':
+                this.applyDailyBonus(state, op);
+                break;
+            case 'requestChore':
+                this.applyRequestChore(state, child, op);
+                break;
+            case 'approveChoreRequest':
+            case 'rejectChoreRequest':
+                this.applyResolveChoreRequest(state, op);
+                break;
+            case 'restoreBackup':
+                this.applyRestoreBackup(state, op);
+                break;
+            case 'importChildren':
+                // Seeds an empty family with this device's data, never overwrites
+                if (state.children.length === 0) {
+                    state.children = JSON.parse(JSON.stringify(op.children));
+                }
+                if (!state.lastMidnightCheck) {
+                    state.lastMidnightCheck = op.lastMidnightCheck;
+                }
+                break;
+            default:
+                console.warn('Unknown operation type:', op.type);
+        }
+        
+        // Badges are only ever added, so any device replaying these awards the same ones
+        if (this.BADGE_OP_TYPES.includes(op.type)) {
+            state.children.forEach(c => this.awardBadges(c, op));
+        }
+        
+        this.markOpApplied(state, op);
+    }
+    
+    isOpApplied(state, op) {
+        if (!op.clientId) {
+            return state.appliedOps.includes(op.id);
+        }
+        const watermark = state.opWatermarks[op.clientId];
+        return !!watermark && watermark.seq >= op.seq;
+    }
+    
+    markOpApplied(state, op) {
+        if (!op.clientId) {
+            state.appliedOps.push(op.id);
+            if (state.appliedOps.length > this.MAX_APPLIED_OPS) {
+                state.appliedOps = state.appliedOps.slice(-this.MAX_APPLIED_OPS);
+            }
+            return;
+        }
+        // Dated by the newest operation the state has seen, so a client that was offline
+        // for a while keeps its watermark for the full period after it comes back.
+        // Clients that have been quiet longer than that are forgotten.
+        const watermarks = Object.values(state.opWatermarks);
+        const at = Math.max(op.timestamp, ...watermarks.map(w => w.at));
+        const forgetBefore = at - this.OP_WATERMARK_DAYS * 24 * 60 * 60 * 1000;
+        const kept = {};
+        Object.keys(state.opWatermarks).forEach(clientId => {
+            if (state.opWatermarks[clientId].at >= forgetBefore) {
+                kept[clientId] = state.opWatermarks[clientId];
+            }
+        });
+        kept[op.clientId] = { seq: op.seq, at: at };
+        state.opWatermarks = kept;
+    }
+    
+    getLocalState() {
+        return {
+            children: this.children,
+            lastMidnightCheck: this.loadLastMidnightCheck(),
+            appliedOps: this.appliedOps,
+            opWatermarks: this.opWatermarks,
+            choreRequests: this.choreRequests
+        };
+    }
+    
+    setLocalState(state) {
+        this.children = state.children;
+        this.appliedOps = state.appliedOps;
+        this.opWatermarks = state.opWatermarks;
+        this.choreRequests = state.choreRequests;
+        this.localCopy.write({ lastMidnightCheck: state.lastMidnightCheck || null });
         this.saveToLocalStorage();
+    }
+    
+    stateFromCloud(data) {
+        return {
+            children: data.children || [],
+            lastMidnightCheck: data.lastMidnightCheck || null,
+            appliedOps: data.appliedOps || [],
+            opWatermarks: data.opWatermarks || {},
+            choreRequests: data.choreRequests || []
+        };
+    }
+    
+    // Local state = last confirmed server state + every operation still waiting to be sent
+    rebuildFromConfirmedState() {
+        const state = JSON.parse(JSON.stringify(this.confirmedState));
+        this.pendingOps.forEach(op => this.applyOperation(state, op));
+        this.setLocalState(state);
+        this.renderChildren();
+        if (this.currentChildId) {
+            this.updateModalBalance(this.currentChildId);
+        }
+        this.refreshStatsIfOpen();
+        this.refreshChoreRequestsUI();
+    }
+    
+    // Apply every queued operation to the server copy in one transaction.
+    // The transaction is retried if another device writes in between.
+    // Queued field writes (customChores, settings) go in the same transaction.
+    async flushPendingOps() {
+        if (!this.syncEnabled || this.isFlushingOps || this.getPendingCount() === 0) return;
         
-        // Then sync to Firebase (if enabled)
-        if (this.firebaseEnabled) {
-            db.collection('families').doc(this.familyId).set({
-                children: this.children,
-                lastUpdated: firebase.firestore.FieldValue.serverTimestamp(),
-                lastMidnightCheck: this.loadLastMidnightCheck()
-            }, { merge: true })
-            .then(() => {
-                console.log('Synced to cloud');
-            })
-            .catch((error) => {
-                console.error('Error syncing to Firebase:', error);
+        this.isFlushingOps = true;
+        clearTimeout(this.flushRetryTimer);
+        const ops = this.pendingOps.slice();
+        const fields = { ...this.pendingFields };
+        let succeeded = false;
+        this.updateSyncStatus();
+        
+        try {
+            await this.storage.transact((data) => {
+                if (ops.length === 0) return fields;
+                const state = this.stateFromCloud(data || {});
+                ops.forEach(op => this.applyOperation(state, op));
+                return {
+                    ...fields,
+                    children: state.children,
+                    lastMidnightCheck: state.lastMidnightCheck,
+                    appliedOps: state.appliedOps,
+                    opWatermarks: state.opWatermarks,
+                    choreRequests: state.choreRequests
+                };
+            });
+            
+            // Confirmed - the snapshot listener brings the new server state.
+            // Fields changed again while writing stay queued.
+            this.pendingOps = this.pendingOps.filter(op => !ops.includes(op));
+            Object.keys(fields).forEach(key => {
+                if (this.pendingFields[key] === fields[key]) {
+                    delete this.pendingFields[key];
+                }
             });
+            this.savePendingOps();
+            this.savePendingFields();
+            succeeded = true;
+            this.markSynced();
+            console.log('Synced to cloud');
+        } catch (error) {
+            console.error('Error syncing operations:', error);
+            this.lastSyncError = error && error.message ? error.message : String(error);
+            // Keep the queue and try again later
+            this.flushRetryTimer = setTimeout(() => this.flushPendingOps(), 30000);
+        } finally {
+            this.isFlushingOps = false;
+            this.updateSyncStatus();
+        }
+        
+        // Send anything that was dispatched while we were writing
+        if (succeeded && this.getPendingCount() > 0) {
+            this.flushPendingOps();
+        }
+    }
+    
+    async loadOutbox() {
+        try {
+            const { ops, fields } = await this.outbox.load();
+            this.pendingOps = ops;
+            this.pendingFields = fields;
+        } catch (error) {
+            console.error('Error loading the sync outbox:', error);
+        }
+    }
+    
+    savePendingOps() {
+        this.outbox.saveOps(this.pendingOps).catch(error => {
+            console.error('Error saving pending operations:', error);
+        });
+        this.updateSyncStatus();
+    }
+    
+    savePendingFields() {
+        this.outbox.saveFields(this.pendingFields).catch(error => {
+            console.error('Error saving pending changes:', error);
+        });
+    }
+    
+    // Queue whole-field writes, e.g. { customChores }. A newer value replaces a queued one.
+    queueFields(fields) {
+        Object.assign(this.pendingFields, fields);
+        this.savePendingFields();
+        this.updateSyncStatus();
+        this.flushPendingOps();
+    }
+    
+    getPendingCount() {
+        return this.pendingOps.length + Object.keys(this.pendingFields).length;
+    }
+    
+    // Called when the server has answered. "Last synced" only moves on once it has
+    // everything this device changed.
+    markSynced() {
+        this.lastSyncError = null;
+        if (this.getPendingCount() === 0) {
+            this.lastSyncAt = Date.now();
+            this.localCopy.write({ lastSyncAt: this.lastSyncAt });
+        }
+        this.updateSyncStatus();
+    }
+    
+    // Send everything queued and fetch the latest copy
+    async syncNow() {
+        if (!this.syncEnabled || this.isSyncingNow) return;
+        
+        this.isSyncingNow = true;
+        this.updateSyncStatus();
+        try {
+            await this.flushPendingOps();
+            const data = await this.storage.load({ fromServer: true });
+            if (data) {
+                this.handleRemoteData(data, true);
+            }
+        } catch (error) {
+            console.error('Error syncing:', error);
+            this.lastSyncError = error && error.message ? error.message : String(error);
+        } finally {
+            this.isSyncingNow = false;
+            this.updateSyncStatus();
         }
     }
 
     saveToLocalStorage() {
-        localStorage.setItem('tvTimeChildren', JSON.stringify(this.children));
+        this.localCopy.write({
+            children: this.children,
+            appliedOps: this.appliedOps,
+            opWatermarks: this.opWatermarks,
+            choreRequests: this.choreRequests
+        });
     }
 
     loadLastMidnightCheck() {
-        // Always use localStorage for now (Firebase syncs it separately)
-        // This ensures instant reads without async complexity
-        return localStorage.getItem('lastMidnightCheck') || null;
+        return this.localCopy.read('lastMidnightCheck') || null;
     }
-
-    saveLastMidnightCheck(date) {
-        localStorage.setItem('lastMidnightCheck', date);
-        // Also save to Firebase if enabled
-        if (this.firebaseEnabled) {
-            db.collection('families').doc(this.familyId).set({
-                lastMidnightCheck: date
-            }, { merge: true });
-        }
+    
+    // Parse a stored midnight check into local midnight, or null if missing/invalid
+    parseMidnightCheck(value) {
+        if (!value) return null;
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) return null;
+        parsed.setHours(0, 0, 0, 0);
+        return parsed;
     }
 
     initializeApp() {
@@ -290,6 +976,41 @@ class TVTimeManager {
         
         // Setup Family ID UI
         this.setupFamilyIdUI();
+        
+        // Setup parent PIN lock and kid mode
+        this.setupParentLockUI();
+        
+        // Setup language choice (Settings modal)
+        this.setupLanguageUI();
+        
+        // Setup sync backend choice (Settings modal)
+        this.setupStorageBackendUI();
+        
+        // Setup family passphrase (Settings modal)
+        this.setupEncryptionUI();
+        
+        // Setup backup export / import (Settings modal)
+        this.setupBackupUI();
+        
+        // Setup statistics dashboard
+        this.setupStatsUI();
+        
+        // Setup chore requests (kid mode) and the parent approval queue
+        this.setupChoreRequestsUI();
+        
+        // Setup the penalty catalog (time modal)
+        this.setupPenaltiesUI();
+        this.setupSavingsUI();
+        this.setupTrophyUI();
+        
+        // Setup undo / redo (toast and time modal)
+        this.setupUndoUI();
+        
+        // Setup local notifications (Settings modal)
+        this.setupNotificationsUI();
+        
+        // Manual "Sync now" (header)
+        document.getElementById('syncNowBtn').addEventListener('click', () => this.syncNow());
 
         // Setup event listeners
         document.getElementById('addChildBtn').addEventListener('click', () => this.addChild());
@@ -299,31 +1020,51 @@ class TVTimeManager {
         
         document.getElementById('closeModal').addEventListener('click', () => this.closeModal());
 
-        // Time adjustment controls - Add button (moves right through the array - higher values)
+        // Time adjustment controls - Add button (steps to the next higher amount)
         document.getElementById('modeAdd').addEventListener('click', () => {
-            // Check if we're at the last item (can't go further)
-            if (this.currentAmountIndex === this.timeAmounts.length - 1) {
-                // Already at maximum (+60), do nothing
-                return;
-            }
-            // Move to next higher value
-            this.currentAmountIndex++;
-            this.currentAmount = this.timeAmounts[this.currentAmountIndex];
-            this.updateAmountDisplay();
+            this.stepAmount(1);
         });
         
-        // Time adjustment controls - Subtract button (moves left through the array - lower values)
+        // Time adjustment controls - Subtract button (steps to the next lower amount)
         document.getElementById('modeSubtract').addEventListener('click', () => {
-            // Check if we're at the first item (can't go further)
-            if (this.currentAmountIndex === 0) {
-                // Already at minimum (-60), do nothing
-                return;
+            this.stepAmount(-1);
+        });
+        
+        // Keyboard stepper: arrow keys on the amount, + and - anywhere in the time modal
+        document.getElementById('amountStepper').addEventListener('keydown', (e) => {
+            const steps = { ArrowUp: 1, ArrowRight: 1, ArrowDown: -1, ArrowLeft: -1 };
+            if (steps[e.key]) {
+                e.preventDefault();
+                this.stepAmount(steps[e.key]);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                document.getElementById('applyTimeBtn').click();
+            }
+        });
+        document.getElementById('timeModal').addEventListener('keydown', (e) => {
+            if (e.target.matches('input, select, textarea') || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.key === '+' || e.key === '=') {
+                e.preventDefault();
+                this.stepAmount(1);
+            } else if (e.key === '-') {
+                e.preventDefault();
+                this.stepAmount(-1);
             }
-            // Move to next lower value
-            this.currentAmountIndex--;
-            this.currentAmount = this.timeAmounts[this.currentAmountIndex];
+        });
+        
+        // Typed amounts ("45", "1:30", "-20") replace the stepper value.
+        // Anything that isn't a duration counts as 0, so Apply can't use an older amount.
+        document.getElementById('customAmountInput').addEventListener('input', (e) => {
+            const amount = e.target.value.trim() === '' ? 0 : this.parseDuration(e.target.value);
+            e.target.classList.toggle('input-invalid', amount === null);
+            this.currentAmount = amount === null ? 0 : amount;
             this.updateAmountDisplay();
         });
+        document.getElementById('customAmountInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                document.getElementById('applyTimeBtn').click();
+            }
+        });
         
         // Time adjustment controls - Apply button
         document.getElementById('applyTimeBtn').addEventListener('click', () => {
@@ -331,15 +1072,13 @@ class TVTimeManager {
                 const amount = Math.abs(this.currentAmount);
                 // Determine if adding or subtracting based on current amount value
                 if (this.currentAmount > 0) {
-                    this.adjustTime(this.currentChildId, 'add', amount);
+                    this.adjustTime(this.currentChildId, 'add', amount, 'manual', '', null, this.currentCategoryId);
                 } else if (this.currentAmount < 0) {
-                    this.adjustTime(this.currentChildId, 'subtract', amount);
+                    this.adjustTime(this.currentChildId, 'subtract', amount, 'manual', '', null, this.currentCategoryId);
                 }
                 // Reset to 0 after applying (only if amount was not 0)
                 if (this.currentAmount !== 0) {
-                    this.currentAmountIndex = 5; // Reset to 0 (index 5)
-                    this.currentAmount = this.timeAmounts[this.currentAmountIndex];
-                    this.updateAmountDisplay();
+                    this.resetAmount();
                 }
             }
         });
@@ -351,27 +1090,89 @@ class TVTimeManager {
                 this.choresEditMode = false; // Reset edit mode when opening
                 this.renderChores();
                 choresList.style.display = 'block';
-                document.getElementById('showChoresBtn').textContent = '❌ Close Chores';
+                document.getElementById('showChoresBtn').textContent = t('❌ Close Chores');
             } else {
                 choresList.style.display = 'none';
-                document.getElementById('showChoresBtn').textContent = '📋 Chores';
+                document.getElementById('showChoresBtn').textContent = t('📋 Chores');
             }
         });
         
         // Toggle edit mode button
         document.getElementById('toggleEditModeBtn').addEventListener('click', () => {
+            if (!this.requireParent()) return;
             this.choresEditMode = !this.choresEditMode;
             this.renderChores();
         });
         
-        // Add Chore Modal
-        document.getElementById('closeAddChoreModal').addEventListener('click', () => {
-            this.closeAddChoreModal();
+        // History button - show/hide the child's ledger
+        document.getElementById('showHistoryBtn').addEventListener('click', () => {
+            const historyList = document.getElementById('historyList');
+            if (historyList.style.display === 'none') {
+                this.renderHistory();
+                historyList.style.display = 'block';
+                document.getElementById('showHistoryBtn').textContent = t('❌ Close History');
+            } else {
+                historyList.style.display = 'none';
+                document.getElementById('showHistoryBtn').textContent = t('📜 History');
+            }
         });
         
-        // Save Chore button
-        document.getElementById('saveChoreBtn').addEventListener('click', () => {
-            this.saveNewChore();
+        // Allowance button - show/hide the per-child allowance settings
+        document.getElementById('showAllowanceBtn').addEventListener('click', () => {
+            const allowanceSettings = document.getElementById('allowanceSettings');
+            if (allowanceSettings.style.display === 'none') {
+                this.updateAllowanceDisplay();
+                allowanceSettings.style.display = 'block';
+                document.getElementById('showAllowanceBtn').textContent = t('❌ Close Allowance');
+            } else {
+                allowanceSettings.style.display = 'none';
+                document.getElementById('showAllowanceBtn').textContent = t('⚙️ Allowance');
+            }
+        });
+        document.getElementById('saveChildAllowanceBtn').addEventListener('click', () => {
+            this.saveChildAllowance();
+        });
+        
+        // Family-wide allowance defaults (Settings modal)
+        this.populateFamilySettingsUI();
+        document.getElementById('saveFamilyDefaultsBtn').addEventListener('click', () => {
+            this.saveFamilyDefaults();
+        });
+        document.getElementById('addHolidayBtn').addEventListener('click', () => {
+            this.addHoliday();
+        });
+        document.getElementById('weeklyResetDayInput').addEventListener('change', () => {
+            this.updateRolloverFields();
+        });
+        document.getElementById('saveRolloverBtn').addEventListener('click', () => {
+            this.saveRollover();
+        });
+        document.getElementById('savePresetsBtn').addEventListener('click', () => {
+            this.savePresets();
+        });
+        document.getElementById('categoryModeInput').addEventListener('change', (e) => {
+            this.setCategoryMode(e.target.value);
+        });
+        document.getElementById('saveCategoryBtn').addEventListener('click', () => {
+            this.saveCategory();
+        });
+        document.getElementById('cancelCategoryEditBtn').addEventListener('click', () => {
+            this.resetCategoryForm();
+        });
+        
+        // Add Chore Modal
+        document.getElementById('closeAddChoreModal').addEventListener('click', () => {
+            this.closeAddChoreModal();
+        });
+        
+        // Show the weekday / limit fields that fit the chosen recurrence
+        document.getElementById('choreRecurrenceInput').addEventListener('change', () => {
+            this.updateChoreRecurrenceFields();
+        });
+        
+        // Save Chore button
+        document.getElementById('saveChoreBtn').addEventListener('click', () => {
+            this.saveNewChore();
         });
         
         // Allow Enter key in name input
@@ -422,20 +1223,28 @@ class TVTimeManager {
         }
 
         this.renderChildren();
+        
+        // Drive any running viewing sessions
+        this.startSessionTicker();
+        
+        // Opened from a family QR code / join link
+        this.handleJoinLink();
     }
 
     addChild() {
+        if (!this.requireParent(() => this.addChild())) return;
+        
         const input = document.getElementById('childNameInput');
         const name = input.value.trim();
         
         if (!name) {
-            alert('Please enter a child\'s name');
+            alert(t('Please enter a child\'s name'));
             return;
         }
         
         // Check if child already exists
         if (this.children.some(child => child.name.toLowerCase() === name.toLowerCase())) {
-            alert('A child with this name already exists');
+            alert(t('A child with this name already exists'));
             input.value = '';
             return;
         }
@@ -444,37 +1253,722 @@ class TVTimeManager {
             id: Date.now().toString(),
             name: name,
             timeBalance: 0, // Time in minutes
+            history: [], // Ledger of every balance change
             createdAt: new Date().toISOString()
         };
 
-        this.children.push(newChild);
-        this.saveChildren();
+        this.dispatch('addChild', { child: newChild });
         input.value = '';
         this.renderChildren();
     }
 
     deleteChild(id) {
-        if (confirm('Are you sure you want to remove this child?')) {
-            this.children = this.children.filter(child => child.id !== id);
-            this.saveChildren();
+        if (!this.requireParent(() => this.deleteChild(id))) return;
+        
+        if (confirm(t('Are you sure you want to remove this child?'))) {
+            const index = this.children.findIndex(c => c.id === id);
+            const child = JSON.parse(JSON.stringify(this.children[index]));
+            const choreRequests = this.choreRequests.filter(r => r.childId === id);
+            
+            this.dispatch('deleteChild', { childId: id });
             this.renderChildren();
+            
+            this.recordUndo(t('Removed {name}', { name: child.name }), () => {
+                this.dispatch('restoreChild', { child: child, index: index, choreRequests: choreRequests });
+                this.renderChildren();
+            }, () => {
+                this.dispatch('deleteChild', { childId: id });
+                this.renderChildren();
+            }, id);
         }
     }
 
-    openTimeModal(childId) {
+    openTimeModal(childId, categoryId = this.DEFAULT_CATEGORY_ID) {
         const child = this.children.find(c => c.id === childId);
         if (!child) return;
+        if (!this.requireParent(() => this.openTimeModal(childId, categoryId))) return;
 
         this.currentChildId = childId;
-        this.currentAmountIndex = 5; // Reset to 0 (index 5)
-        this.currentAmount = this.timeAmounts[this.currentAmountIndex];
+        this.currentCategoryId = this.getCategory(categoryId) ? categoryId : this.DEFAULT_CATEGORY_ID;
         document.getElementById('modalChildName').textContent = child.name;
-        document.getElementById('modalCurrentTime').textContent = this.formatTime(child.timeBalance);
-        this.updateAmountDisplay();
+        this.renderCategoryPicker();
+        document.getElementById('modalCurrentTime').textContent = this.formatTime(this.getCategoryBalance(child, this.currentCategoryId));
+        this.resetAmount();
         // Hide chores list when opening modal
         document.getElementById('choresList').style.display = 'none';
-        document.getElementById('showChoresBtn').textContent = '📋 Chores';
-        document.getElementById('timeModal').style.display = 'block';
+        document.getElementById('showChoresBtn').textContent = t('📋 Chores');
+        document.getElementById('penaltiesList').style.display = 'none';
+        document.getElementById('showPenaltiesBtn').textContent = t('⚠️ Penalties');
+        document.getElementById('savingsList').style.display = 'none';
+        document.getElementById('showSavingsBtn').textContent = t('🐷 Savings');
+        document.getElementById('historyList').style.display = 'none';
+        document.getElementById('showHistoryBtn').textContent = t('📜 History');
+        document.getElementById('allowanceSettings').style.display = 'none';
+        document.getElementById('showAllowanceBtn').textContent = t('⚙️ Allowance');
+        this.updateAllowanceDisplay();
+        this.updateUndoButtons();
+        showDialog('timeModal');
+    }
+    
+    // Screen category buttons in the time modal - adjustments, chores and penalties
+    // apply to the selected category. Hidden while the family has just one.
+    renderCategoryPicker() {
+        const picker = document.getElementById('modalCategoryPicker');
+        const child = this.children.find(c => c.id === this.currentChildId);
+        const categories = this.getCategories();
+        picker.innerHTML = '';
+        if (!child || categories.length <= 1) {
+            picker.style.display = 'none';
+            return;
+        }
+        
+        const now = Date.now();
+        categories.forEach(category => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'category-picker-btn' + (category.id === this.currentCategoryId ? ' active' : '');
+            button.innerHTML = `
+                <span>${this.escapeHtml(`${category.icon || ''} ${category.name}`.trim())}</span>
+                <span class="category-picker-time">${this.formatTime(this.getAvailableMinutes(child, category.id, now))}</span>
+            `;
+            button.addEventListener('click', () => {
+                this.currentCategoryId = category.id;
+                this.renderCategoryPicker();
+                this.updateModalBalance(child.id);
+                this.updateAllowanceDisplay();
+            });
+            picker.appendChild(button);
+        });
+        picker.style.display = 'flex';
+    }
+    
+    // Refresh the daily bonus disclaimer and the per-child allowance inputs for the open child
+    updateAllowanceDisplay() {
+        const child = this.children.find(c => c.id === this.currentChildId);
+        if (!child) return;
+        
+        // The bonus at midnight is tomorrow's allowance
+        const categoryId = this.hasSeparateBalances() ? this.currentCategoryId : this.DEFAULT_CATEGORY_ID;
+        const now = new Date();
+        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const allowance = this.getAllowanceForDate(child, tomorrow, categoryId);
+        const maxBalance = this.getMaxBalance(child, categoryId);
+        const disclaimer = document.getElementById('dailyBonusText');
+        if (allowance > 0) {
+            disclaimer.textContent = t('⏰ {time} will be automatically added at midnight (up to {max})', { time: this.formatTime(allowance), max: this.formatTime(maxBalance) });
+        } else {
+            disclaimer.textContent = t('⏰ No time will be added at midnight (maximum balance {max})', { max: this.formatTime(maxBalance) });
+        }
+        const account = this.isExtraAccount(categoryId) && child.categoryBalances ? child.categoryBalances[categoryId] || {} : child;
+        const expiring = this.getExpiringLots(account, tomorrow, this.familySettings.rollover).reduce((sum, lot) => sum + lot.amount, 0);
+        if (expiring > 0) {
+            disclaimer.textContent += ' · ' + t('{time} unused expires tonight', { time: this.formatTime(expiring) });
+        }
+        
+        const allowanceInput = document.getElementById('childAllowanceInput');
+        const maxBalanceInput = document.getElementById('childMaxBalanceInput');
+        allowanceInput.value = typeof child.dailyAllowance === 'number' ? child.dailyAllowance : '';
+        allowanceInput.placeholder = t('Family default ({minutes})', { minutes: this.familySettings.dailyAllowance });
+        maxBalanceInput.value = typeof child.maxBalance === 'number' ? child.maxBalance : '';
+        maxBalanceInput.placeholder = t('Family default ({minutes})', { minutes: this.familySettings.maxBalance });
+        this.renderScheduleInputs('childScheduleInputs', child.weeklySchedule, t('Default'));
+    }
+    
+    // Build one minutes input per weekday (Sun..Sat). Blank = fall back to the daily allowance.
+    renderScheduleInputs(containerId, schedule, placeholder) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        container.innerHTML = '';
+        
+        [0, 1, 2, 3, 4, 5, 6].forEach(weekday => {
+            const value = Array.isArray(schedule) && typeof schedule[weekday] === 'number' ? schedule[weekday] : '';
+            const cell = document.createElement('label');
+            cell.className = 'schedule-day';
+            cell.innerHTML = `
+                <span>${formatWeekday(weekday, 'short')}</span>
+                <input type="number" class="schedule-input" data-weekday="${weekday}" min="0" max="1440" step="1" inputmode="numeric" value="${value}" placeholder="${placeholder}">
+            `;
+            container.appendChild(cell);
+        });
+    }
+    
+    // Read a weekly schedule back from its inputs. Returns undefined if any value is invalid.
+    readScheduleInputs(containerId) {
+        const schedule = [null, null, null, null, null, null, null];
+        const inputs = document.querySelectorAll(`#${containerId} .schedule-input`);
+        for (const input of inputs) {
+            const minutes = this.parseMinutesInput(input.value, true);
+            if (minutes === undefined) {
+                return undefined;
+            }
+            schedule[parseInt(input.dataset.weekday)] = minutes;
+        }
+        return schedule;
+    }
+    
+    // Parse a minutes input. Blank means "not set" (null); invalid input returns undefined.
+    parseMinutesInput(value, allowBlank) {
+        const trimmed = value.trim();
+        if (trimmed === '') {
+            return allowBlank ? null : undefined;
+        }
+        const minutes = Number(trimmed);
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > 24 * 60) {
+            return undefined;
+        }
+        return minutes;
+    }
+    
+    saveChildAllowance() {
+        const child = this.children.find(c => c.id === this.currentChildId);
+        if (!child) return;
+        
+        const allowance = this.parseMinutesInput(document.getElementById('childAllowanceInput').value, true);
+        const maxBalance = this.parseMinutesInput(document.getElementById('childMaxBalanceInput').value, true);
+        const schedule = this.readScheduleInputs('childScheduleInputs');
+        if (allowance === undefined || maxBalance === undefined || schedule === undefined) {
+            alert(t('Please enter whole minutes between 0 and 1440, or leave blank to use the family default'));
+            return;
+        }
+        
+        // Blank fields fall back to the family default
+        this.dispatch('updateChildSettings', {
+            childId: child.id,
+            settings: {
+                dailyAllowance: allowance,
+                maxBalance: maxBalance,
+                weeklySchedule: schedule.every(minutes => minutes === null) ? null : schedule
+            }
+        });
+        this.renderChildren();
+        this.updateAllowanceDisplay();
+        
+        const saveBtn = document.getElementById('saveChildAllowanceBtn');
+        saveBtn.textContent = t('✓ Saved!');
+        setTimeout(() => {
+            saveBtn.textContent = t('Save Allowance');
+        }, 2000);
+    }
+    
+    populateFamilySettingsUI() {
+        const allowanceInput = document.getElementById('familyAllowanceInput');
+        const maxBalanceInput = document.getElementById('familyMaxBalanceInput');
+        if (allowanceInput && maxBalanceInput) {
+            allowanceInput.value = this.familySettings.dailyAllowance;
+            maxBalanceInput.value = this.familySettings.maxBalance;
+        }
+        this.renderScheduleInputs('familyScheduleInputs', this.familySettings.weeklySchedule, t('Daily'));
+        this.renderHolidays();
+        
+        const rollover = this.familySettings.rollover;
+        document.getElementById('expiryDaysInput').value = rollover.expiryDays || '';
+        document.getElementById('weeklyResetDayInput').value = rollover.weeklyResetDay === null ? '' : String(rollover.weeklyResetDay);
+        document.getElementById('weeklyResetAmountInput').value = rollover.weeklyResetAmount;
+        document.getElementById('keepEarnedTimeInput').checked = rollover.keepEarnedTime;
+        this.updateRolloverFields();
+        document.getElementById('divertCappedInput').checked = this.familySettings.divertCappedToSavings;
+        
+        const streakBonus = this.familySettings.streakBonus;
+        document.getElementById('streakBonusEnabledInput').checked = streakBonus.enabled;
+        document.getElementById('streakBonusDaysInput').value = streakBonus.days;
+        document.getElementById('streakBonusMultiplierInput').value = streakBonus.multiplier;
+        
+        const formatPresets = (presets) => presets.map(minutes => this.formatDurationInput(minutes)).join(', ');
+        document.getElementById('stepperPresetsInput').value = formatPresets(this.familySettings.stepperPresets);
+        document.getElementById('durationPresetsInput').value = formatPresets(this.familySettings.durationPresets);
+        
+        this.renderCategorySettings();
+    }
+    
+    renderCategorySettings() {
+        const categoryList = document.getElementById('categoryList');
+        if (!categoryList) return;
+        const separate = this.hasSeparateBalances();
+        document.getElementById('categoryModeInput').value = separate ? 'separate' : 'shared';
+        categoryList.innerHTML = '';
+        
+        this.getCategories().forEach(category => {
+            let meta;
+            if (!separate) {
+                meta = typeof category.dailyLimit === 'number' ? t('Up to {time} a day', { time: this.formatTime(category.dailyLimit) }) : t('No daily limit');
+            } else if (category.id === this.DEFAULT_CATEGORY_ID) {
+                meta = t('Daily allowance defaults');
+            } else {
+                const maxBalance = typeof category.maxBalance === 'number' ? category.maxBalance : this.familySettings.maxBalance;
+                meta = t('{time} per day · up to {max}', { time: this.formatTime(category.dailyAllowance || 0), max: this.formatTime(maxBalance) });
+            }
+            const row = document.createElement('div');
+            row.className = 'holiday-row';
+            row.innerHTML = `
+                <div class="holiday-info">
+                    <div class="holiday-label">${this.escapeHtml(this.getCategoryLabel(category.id))}</div>
+                    <div class="holiday-meta">${meta}</div>
+                </div>
+                <div>
+                    <button class="edit-icon-btn" title="${t('Edit')}">✏️</button>
+                    ${category.id === this.DEFAULT_CATEGORY_ID ? '' : `<button class="chore-delete-btn" title="${t('Remove')}">🗑️</button>`}
+                </div>
+            `;
+            row.querySelector('.edit-icon-btn').addEventListener('click', () => {
+                this.editCategory(category.id);
+            });
+            const deleteBtn = row.querySelector('.chore-delete-btn');
+            if (deleteBtn) {
+                deleteBtn.addEventListener('click', () => {
+                    this.deleteCategory(category.id);
+                });
+            }
+            categoryList.appendChild(row);
+        });
+        this.updateCategoryFields();
+    }
+    
+    // Allowance and maximum only apply to separate balances, the daily limit only to a shared one
+    updateCategoryFields() {
+        const separate = this.hasSeparateBalances();
+        const editingDefault = this.editingCategoryId === this.DEFAULT_CATEGORY_ID;
+        document.getElementById('categorySeparateFields').style.display = separate && !editingDefault ? 'block' : 'none';
+        document.getElementById('categoryDefaultHelp').style.display = separate && editingDefault ? 'block' : 'none';
+        document.getElementById('categorySharedFields').style.display = separate ? 'none' : 'block';
+    }
+    
+    setCategoryMode(mode) {
+        if (mode === this.familySettings.categoryMode) return;
+        if (mode === 'shared' && this.getCategories().length > 1 &&
+            !confirm(t('Switch to one shared balance? Time in the other categories is kept, but can\'t be used until you switch back.'))) {
+            this.renderCategorySettings();
+            return;
+        }
+        this.familySettings.categoryMode = mode;
+        this.saveFamilySettings();
+        this.renderCategorySettings();
+        this.refreshCategoryViews();
+    }
+    
+    editCategory(categoryId) {
+        const category = this.getCategory(categoryId);
+        if (!category) return;
+        this.editingCategoryId = categoryId;
+        document.getElementById('categoryIconInput').value = category.icon || '';
+        document.getElementById('categoryNameInput').value = category.name;
+        document.getElementById('categoryAllowanceInput').value = typeof category.dailyAllowance === 'number' ? category.dailyAllowance : '';
+        document.getElementById('categoryMaxBalanceInput').value = typeof category.maxBalance === 'number' ? category.maxBalance : '';
+        document.getElementById('categoryLimitInput').value = typeof category.dailyLimit === 'number' ? category.dailyLimit : '';
+        document.getElementById('saveCategoryBtn').textContent = t('Save Category');
+        document.getElementById('cancelCategoryEditBtn').style.display = 'block';
+        this.updateCategoryFields();
+        document.getElementById('categoryNameInput').focus();
+    }
+    
+    resetCategoryForm() {
+        this.editingCategoryId = null;
+        ['categoryIconInput', 'categoryNameInput', 'categoryAllowanceInput', 'categoryMaxBalanceInput', 'categoryLimitInput'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('saveCategoryBtn').textContent = t('Add Category');
+        document.getElementById('cancelCategoryEditBtn').style.display = 'none';
+        this.updateCategoryFields();
+    }
+    
+    saveCategory() {
+        const name = document.getElementById('categoryNameInput').value.trim();
+        const icon = document.getElementById('categoryIconInput').value.trim();
+        const allowance = this.parseMinutesInput(document.getElementById('categoryAllowanceInput').value, true);
+        const maxBalance = this.parseMinutesInput(document.getElementById('categoryMaxBalanceInput').value, true);
+        const dailyLimit = this.parseMinutesInput(document.getElementById('categoryLimitInput').value, true);
+        const categories = this.getCategories();
+        
+        if (!name) {
+            alert(t('Please enter a category name'));
+            return;
+        }
+        if (categories.some(c => c.id !== this.editingCategoryId && c.name.toLowerCase() === name.toLowerCase())) {
+            alert(t('A category with this name already exists'));
+            return;
+        }
+        if (allowance === undefined || maxBalance === undefined || dailyLimit === undefined) {
+            alert(t('Please enter whole minutes between 0 and 1440, or leave it blank'));
+            return;
+        }
+        if (!this.editingCategoryId && categories.length >= this.MAX_SCREEN_CATEGORIES) {
+            alert(t('A family can have up to {count} categories', { count: this.MAX_SCREEN_CATEGORIES }));
+            return;
+        }
+        
+        const fields = { name: name, icon: icon, dailyAllowance: allowance, maxBalance: maxBalance, dailyLimit: dailyLimit };
+        if (this.editingCategoryId) {
+            this.familySettings.screenCategories = categories.map(c => c.id === this.editingCategoryId ? { ...c, ...fields } : c);
+        } else {
+            this.familySettings.screenCategories = [...categories, { id: Date.now().toString(), ...fields }];
+        }
+        this.saveFamilySettings();
+        this.resetCategoryForm();
+        this.renderCategorySettings();
+        this.refreshCategoryViews();
+    }
+    
+    deleteCategory(categoryId) {
+        const category = this.getCategory(categoryId);
+        if (!category || categoryId === this.DEFAULT_CATEGORY_ID) return;
+        if (!confirm(t('Remove {name}? Time left in it can no longer be used, but stays in the history.', { name: category.name }))) return;
+        
+        this.familySettings.screenCategories = this.getCategories().filter(c => c.id !== categoryId);
+        this.saveFamilySettings();
+        if (this.editingCategoryId === categoryId) {
+            this.resetCategoryForm();
+        }
+        this.renderCategorySettings();
+        this.refreshCategoryViews();
+    }
+    
+    // Cards and the open time modal after the categories or the mode changed
+    refreshCategoryViews() {
+        if (!this.getCategory(this.currentCategoryId)) {
+            this.currentCategoryId = this.DEFAULT_CATEGORY_ID;
+        }
+        this.renderChildren();
+        if (this.currentChildId) {
+            this.updateModalBalance(this.currentChildId);
+            this.updateAllowanceDisplay();
+        }
+    }
+    
+    updateRolloverFields() {
+        document.getElementById('weeklyResetAmountField').style.display =
+            document.getElementById('weeklyResetDayInput').value === '' ? 'none' : 'block';
+    }
+    
+    saveRollover() {
+        const expiryText = document.getElementById('expiryDaysInput').value.trim();
+        const expiryDays = expiryText === '' ? null : Number(expiryText);
+        if (expiryDays !== null && (!Number.isInteger(expiryDays) || expiryDays < 1 || expiryDays > 365)) {
+            alert(t('Please enter whole days between 1 and 365, or leave it blank'));
+            return;
+        }
+        const resetDayValue = document.getElementById('weeklyResetDayInput').value;
+        const resetAmount = this.parseMinutesInput(document.getElementById('weeklyResetAmountInput').value, false);
+        if (resetAmount === undefined) {
+            alert(t('Please enter whole minutes between 0 and 1440'));
+            return;
+        }
+        
+        this.familySettings.rollover = {
+            expiryDays: expiryDays,
+            weeklyResetDay: resetDayValue === '' ? null : parseInt(resetDayValue),
+            weeklyResetAmount: resetAmount,
+            keepEarnedTime: document.getElementById('keepEarnedTimeInput').checked
+        };
+        this.saveFamilySettings();
+        if (this.currentChildId) {
+            this.updateAllowanceDisplay();
+        }
+        
+        const saveBtn = document.getElementById('saveRolloverBtn');
+        saveBtn.textContent = t('✓ Saved!');
+        setTimeout(() => {
+            saveBtn.textContent = t('Save Rules');
+        }, 2000);
+    }
+    
+    renderHolidays() {
+        const holidayList = document.getElementById('holidayList');
+        if (!holidayList) return;
+        holidayList.innerHTML = '';
+        
+        const holidays = (this.familySettings.holidays || []).slice().sort((a, b) => a.start.localeCompare(b.start));
+        if (holidays.length === 0) {
+            holidayList.innerHTML = `<p class="settings-help-text">${t('No holiday overrides.')}</p>`;
+            return;
+        }
+        
+        holidays.forEach(holiday => {
+            const row = document.createElement('div');
+            row.className = 'holiday-row';
+            const range = holiday.end && holiday.end !== holiday.start ? `${holiday.start} → ${holiday.end}` : holiday.start;
+            row.innerHTML = `
+                <div class="holiday-info">
+                    <div class="holiday-label">${this.escapeHtml(holiday.label || t('Holiday'))}</div>
+                    <div class="holiday-meta">${this.escapeHtml(range)} · ${t('{time} per day', { time: this.formatTime(holiday.minutes) })}</div>
+                </div>
+                <button class="chore-delete-btn" title="${t('Remove')}">🗑️</button>
+            `;
+            row.querySelector('.chore-delete-btn').addEventListener('click', () => {
+                this.deleteHoliday(holiday.id);
+            });
+            holidayList.appendChild(row);
+        });
+    }
+    
+    addHoliday() {
+        const start = document.getElementById('holidayStartInput').value;
+        const end = document.getElementById('holidayEndInput').value || start;
+        const minutes = this.parseMinutesInput(document.getElementById('holidayMinutesInput').value, false);
+        const label = document.getElementById('holidayLabelInput').value.trim();
+        
+        if (!start) {
+            alert(t('Please choose a start date'));
+            return;
+        }
+        if (end < start) {
+            alert(t('The end date must be on or after the start date'));
+            return;
+        }
+        if (minutes === undefined) {
+            alert(t('Please enter whole minutes between 0 and 1440'));
+            return;
+        }
+        
+        this.familySettings.holidays = [...(this.familySettings.holidays || []), {
+            id: Date.now().toString(),
+            start: start,
+            end: end,
+            minutes: minutes,
+            label: label
+        }];
+        this.saveFamilySettings();
+        this.renderHolidays();
+        
+        document.getElementById('holidayStartInput').value = '';
+        document.getElementById('holidayEndInput').value = '';
+        document.getElementById('holidayMinutesInput').value = '';
+        document.getElementById('holidayLabelInput').value = '';
+    }
+    
+    deleteHoliday(holidayId) {
+        this.familySettings.holidays = (this.familySettings.holidays || []).filter(h => h.id !== holidayId);
+        this.saveFamilySettings();
+        this.renderHolidays();
+    }
+    
+    saveFamilyDefaults() {
+        const allowance = this.parseMinutesInput(document.getElementById('familyAllowanceInput').value, false);
+        const maxBalance = this.parseMinutesInput(document.getElementById('familyMaxBalanceInput').value, false);
+        const schedule = this.readScheduleInputs('familyScheduleInputs');
+        if (allowance === undefined || maxBalance === undefined || schedule === undefined) {
+            alert(t('Please enter whole minutes between 0 and 1440'));
+            return;
+        }
+        
+        this.familySettings.dailyAllowance = allowance;
+        this.familySettings.maxBalance = maxBalance;
+        this.familySettings.weeklySchedule = schedule;
+        this.saveFamilySettings();
+        
+        const saveBtn = document.getElementById('saveFamilyDefaultsBtn');
+        saveBtn.textContent = t('✓ Saved!');
+        setTimeout(() => {
+            saveBtn.textContent = t('Save Defaults');
+        }, 2000);
+    }
+    
+    renderHistory() {
+        const historyEntries = document.getElementById('historyEntries');
+        const child = this.children.find(c => c.id === this.currentChildId);
+        historyEntries.innerHTML = '';
+        
+        const history = child && Array.isArray(child.history) ? child.history : [];
+        if (history.length === 0) {
+            historyEntries.innerHTML = `<p class="history-empty">${t('No balance changes recorded yet.')}</p>`;
+            return;
+        }
+        
+        const sourceLabels = {
+            manual: t('Manual'),
+            chore: t('Chore'),
+            daily_bonus: t('Daily bonus'),
+            penalty: t('Penalty'),
+            savings: t('Savings jar'),
+            cap_clipped: t('Cap clipped'),
+            expired: t('Expired'),
+            session: t('Watching'),
+            correction: t('Undo / redo')
+        };
+        
+        const showCategories = this.getCategories().length > 1;
+        
+        // Newest first
+        history.slice().reverse().forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'history-entry';
+            const when = new Date(entry.timestamp);
+            const sign = entry.amount >= 0 ? '+' : '-';
+            const amountClass = entry.amount >= 0 ? 'history-amount-positive' : 'history-amount-negative';
+            row.innerHTML = `
+                <div class="history-entry-main">
+                    <div class="history-reason">${this.escapeHtml(this.formatMessage(entry.reason))}</div>
+                    <div class="history-meta">${showCategories ? this.escapeHtml(this.getCategoryLabel(entry.category)) + ' · ' : ''}${this.escapeHtml(sourceLabels[entry.source] || entry.source)} · ${formatDate(when)} ${formatDate(when, { hour: 'numeric', minute: '2-digit' })}</div>
+                </div>
+                <div class="history-entry-values">
+                    <div class="history-amount ${amountClass}">${sign}${this.formatTime(Math.abs(entry.amount))}</div>
+                    <div class="history-balance">= ${this.formatTime(entry.balanceAfter)}</div>
+                </div>
+            `;
+            historyEntries.appendChild(row);
+        });
+    }
+    
+    // "📺 TV" - entries without a category belong to the default one
+    getCategoryLabel(categoryId) {
+        const category = this.getCategory(categoryId);
+        if (!category) return t('Removed category');
+        return `${category.icon || ''} ${category.name}`.trim();
+    }
+    
+    refreshHistoryIfOpen() {
+        if (document.getElementById('historyList').style.display !== 'none') {
+            this.renderHistory();
+        }
+    }
+    
+    // Statistics dashboard
+    // Everything is computed from each child's ledger (child.history), so the
+    // figures only go back as far as the ledger does (MAX_HISTORY_ENTRIES).
+    setupStatsUI() {
+        const statsModal = document.getElementById('statsModal');
+        document.getElementById('statsBtn').addEventListener('click', () => this.openStats());
+        document.getElementById('closeStatsModal').addEventListener('click', () => this.closeStats());
+        statsModal.addEventListener('click', (e) => {
+            if (e.target === statsModal) {
+                this.closeStats();
+            }
+        });
+        
+        document.querySelectorAll('.stats-range-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.statsRange = btn.dataset.range;
+                this.renderStats();
+            });
+        });
+    }
+    
+    openStats() {
+        showDialog('statsModal');
+        this.renderStats();
+    }
+    
+    closeStats() {
+        hideDialog('statsModal');
+    }
+    
+    refreshStatsIfOpen() {
+        if (isDialogOpen('statsModal')) {
+            this.renderStats();
+        }
+    }
+    
+    // Chart buckets for a range: hours of today, or the last 7 / 30 days.
+    // Days start at local midnight, the same boundary the daily bonus uses.
+    getStatsBuckets(range, now = new Date()) {
+        const buckets = [];
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        
+        if (range === 'day') {
+            for (let hour = 0; hour < 24; hour++) {
+                const start = new Date(today.getFullYear(), today.getMonth(), today.getDate(), hour);
+                const end = new Date(today.getFullYear(), today.getMonth(), today.getDate(), hour + 1);
+                buckets.push({ start: start, end: end, label: hour % 6 === 0 ? formatDate(start, { hour: 'numeric' }) : '' });
+            }
+            return buckets;
+        }
+        
+        const days = range === 'month' ? 30 : 7;
+        for (let i = days - 1; i >= 0; i--) {
+            const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i + 1);
+            const label = range === 'month'
+                ? (i % 5 === 0 ? formatDate(start, { month: 'numeric', day: 'numeric' }) : '')
+                : formatDate(start, { weekday: 'short' });
+            buckets.push({ start: start, end: end, label: label });
+        }
+        return buckets;
+    }
+    
+    // Totals by source and earned / spent minutes per bucket for one child. Every source that
+    // changes the balance has a total, so earned + added - spent - penalties - expired - saved
+    // adds up to the change in balance (the cap is already taken off the earned minutes).
+    computeChildStats(child, buckets) {
+        const totals = { chore: 0, bonus: 0, added: 0, spent: 0, penalty: 0, expired: 0, saved: 0, capLost: 0 };
+        const perBucket = buckets.map(() => ({ earned: 0, spent: 0 }));
+        const rangeStart = buckets[0].start.getTime();
+        const rangeEnd = buckets[buckets.length - 1].end.getTime();
+        const reverted = this.getRevertedOpIds(child); // Undone changes don't count
+        
+        (child.history || []).forEach(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            if (!(time >= rangeStart && time < rangeEnd) || reverted.has(entry.opId)) return;
+            
+            const index = buckets.findIndex(b => time >= b.start.getTime() && time < b.end.getTime());
+            if (entry.source === 'chore' && entry.amount > 0) {
+                totals.chore += entry.amount;
+                perBucket[index].earned += entry.amount;
+            } else if (entry.source === 'daily_bonus' && entry.amount > 0) {
+                totals.bonus += entry.amount;
+                perBucket[index].earned += entry.amount;
+            } else if (entry.source === 'manual' && entry.amount > 0) {
+                totals.added += entry.amount;
+            } else if (entry.source === 'cap_clipped') {
+                totals.capLost += Math.abs(entry.amount);
+            } else if ((entry.source === 'session' || entry.source === 'manual') && entry.amount < 0) {
+                totals.spent += Math.abs(entry.amount);
+                perBucket[index].spent += Math.abs(entry.amount);
+            } else if (entry.source === 'penalty') {
+                totals.penalty -= entry.amount;
+            } else if (entry.source === 'expired') {
+                totals.expired -= entry.amount;
+            } else if (entry.source === 'savings') {
+                totals.saved -= entry.amount; // Net: taking minutes out of the jar counts against it
+            }
+        });
+        
+        return { totals: totals, perBucket: perBucket };
+    }
+    
+    renderStats() {
+        const range = this.statsRange || 'week';
+        document.querySelectorAll('.stats-range-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.range === range);
+        });
+        
+        const container = document.getElementById('statsContent');
+        container.innerHTML = '';
+        if (this.children.length === 0) {
+            container.innerHTML = `<p class="history-empty">${t('Add a child to see statistics.')}</p>`;
+            return;
+        }
+        
+        const buckets = this.getStatsBuckets(range);
+        this.children.forEach(child => {
+            const { totals, perBucket } = this.computeChildStats(child, buckets);
+            const chartMax = Math.max(1, ...perBucket.map(b => Math.max(b.earned, b.spent)));
+            
+            const columns = perBucket.map((bucket, i) => `
+                <div class="stats-column" title="${this.escapeHtml(formatDate(buckets[i].start, { dateStyle: 'medium', timeStyle: 'short' }))}: +${this.formatTime(bucket.earned)} / -${this.formatTime(bucket.spent)}">
+                    <div class="stats-bars">
+                        <div class="stats-bar stats-bar-earned" style="height: ${(bucket.earned / chartMax) * 100}%;"></div>
+                        <div class="stats-bar stats-bar-spent" style="height: ${(bucket.spent / chartMax) * 100}%;"></div>
+                    </div>
+                    <div class="stats-column-label">${this.escapeHtml(buckets[i].label)}</div>
+                </div>
+            `).join('');
+            
+            const card = document.createElement('div');
+            card.className = 'stats-child';
+            card.innerHTML = `
+                <h3 class="stats-child-name">${this.escapeHtml(child.name)}</h3>
+                <div class="stats-tiles">
+                    <div class="stats-tile stats-tile-chore"><div class="stats-tile-value">${this.formatTime(totals.chore)}</div><div class="stats-tile-label">${t('Earned from chores')}</div></div>
+                    <div class="stats-tile stats-tile-bonus"><div class="stats-tile-value">${this.formatTime(totals.bonus)}</div><div class="stats-tile-label">${t('Daily bonus')}</div></div>
+                    <div class="stats-tile stats-tile-added"><div class="stats-tile-value">${this.formatTime(totals.added)}</div><div class="stats-tile-label">${t('Added by a parent')}</div></div>
+                    <div class="stats-tile stats-tile-spent"><div class="stats-tile-value">${this.formatTime(totals.spent)}</div><div class="stats-tile-label">${t('Spent')}</div></div>
+                    <div class="stats-tile stats-tile-penalty"><div class="stats-tile-value">${this.formatTime(totals.penalty)}</div><div class="stats-tile-label">${t('Penalties')}</div></div>
+                    <div class="stats-tile stats-tile-expired"><div class="stats-tile-value">${this.formatTime(totals.expired)}</div><div class="stats-tile-label">${t('Expired')}</div></div>
+                    <div class="stats-tile stats-tile-saved"><div class="stats-tile-value">${totals.saved < 0 ? '-' : ''}${this.formatTime(Math.abs(totals.saved))}</div><div class="stats-tile-label">${t('Saved to jar')}</div></div>
+                    <div class="stats-tile stats-tile-cap"><div class="stats-tile-value">${this.formatTime(totals.capLost)}</div><div class="stats-tile-label">${t('Lost to cap')}</div></div>
+                </div>
+                <div class="stats-chart">${columns}</div>
+            `;
+            container.appendChild(card);
+        });
     }
     
     renderChores() {
@@ -485,16 +1979,19 @@ class TVTimeManager {
         // Update edit mode button
         if (this.choresEditMode) {
             toggleEditBtn.textContent = '✓';
-            toggleEditBtn.title = 'Done editing';
+            toggleEditBtn.title = t('Done editing');
             toggleEditBtn.classList.add('edit-mode-active');
         } else {
             toggleEditBtn.textContent = '✏️';
-            toggleEditBtn.title = 'Edit chores';
+            toggleEditBtn.title = t('Edit chores');
             toggleEditBtn.classList.remove('edit-mode-active');
         }
         
-        // Render all custom chores
-        this.customChores.forEach((chore) => {
+        // Render the custom chores for this child (edit mode shows every chore so all can be managed)
+        const chores = this.choresEditMode
+            ? this.customChores
+            : this.customChores.filter(chore => this.isChoreForChild(chore, this.currentChildId));
+        chores.forEach((chore) => {
             const choreCard = document.createElement('div');
             choreCard.className = 'chore-card';
             
@@ -504,10 +2001,11 @@ class TVTimeManager {
                     <div class="chore-card-content">
                         <div class="chore-name">${this.escapeHtml(chore.name)}</div>
                         <div class="chore-time">+${this.formatTime(chore.time)}</div>
+                        ${this.renderChoreAssigneeLabel(chore)}
                     </div>
                     <div class="chore-actions">
-                        <button class="chore-edit-btn" data-chore-id="${chore.id}" title="Edit">✏️</button>
-                        <button class="chore-delete-btn" data-chore-id="${chore.id}" title="Delete">🗑️</button>
+                        <button class="chore-edit-btn" data-chore-id="${chore.id}" title="${t('Edit')}">✏️</button>
+                        <button class="chore-delete-btn" data-chore-id="${chore.id}" title="${t('Delete')}">🗑️</button>
                     </div>
                 `;
                 
@@ -516,6 +2014,7 @@ class TVTimeManager {
                 cardContent.addEventListener('click', () => {
                     this.editChore(chore.id);
                 });
+                makeKeyboardClickable(cardContent);
                 
                 // Edit button
                 const editBtn = choreCard.querySelector('.chore-edit-btn');
@@ -532,22 +2031,33 @@ class TVTimeManager {
                 });
             } else {
                 // Normal mode - just show chore, clicking adds time
+                const child = this.children.find(c => c.id === this.currentChildId);
+                const done = child && this.getChoreRemaining(child, chore) <= 0;
                 choreCard.innerHTML = `
                     <div class="chore-card-content">
                         <div class="chore-name">${this.escapeHtml(chore.name)}</div>
                         <div class="chore-time">+${this.formatTime(chore.time)}</div>
+                        ${this.renderChoreLimitLabel(child, chore)}
                     </div>
                 `;
                 
+                // Chores already done for this period can't be tapped again
+                if (done) {
+                    choreCard.classList.add('chore-card-done');
+                    choresGrid.appendChild(choreCard);
+                    return;
+                }
+                
                 // Click to add time
                 choreCard.addEventListener('click', () => {
                     if (this.currentChildId) {
-                        this.adjustTime(this.currentChildId, 'add', chore.time);
+                        this.adjustTime(this.currentChildId, 'add', chore.time, 'chore', chore.name, chore.id, this.currentCategoryId);
                         // Close chores list after selection
                         document.getElementById('choresList').style.display = 'none';
-                        document.getElementById('showChoresBtn').textContent = '📋 Chores';
+                        document.getElementById('showChoresBtn').textContent = t('📋 Chores');
                     }
                 });
+                makeKeyboardClickable(choreCard);
             }
             
             choresGrid.appendChild(choreCard);
@@ -558,48 +2068,239 @@ class TVTimeManager {
         addChoreCard.className = 'chore-card add-chore-card';
         addChoreCard.innerHTML = `
             <div class="add-chore-icon">➕</div>
-            <div class="add-chore-text">Add Chore</div>
+            <div class="add-chore-text">${t('Add Chore')}</div>
         `;
+        makeKeyboardClickable(addChoreCard);
         addChoreCard.addEventListener('click', () => {
             this.openAddChoreModal();
         });
         choresGrid.appendChild(addChoreCard);
     }
     
-    editChore(choreId) {
-        const chore = this.customChores.find(c => c.id === choreId);
-        if (!chore) return;
-        
-        this.editingChoreId = choreId;
-        document.getElementById('choreNameInput').value = chore.name;
-        document.getElementById('choreTimeInput').value = chore.time.toString();
-        document.getElementById('addChoreModal').style.display = 'block';
-        document.querySelector('#addChoreModal h2').textContent = 'Edit Chore';
-        document.getElementById('saveChoreBtn').textContent = 'Update Chore';
-        setTimeout(() => {
-            document.getElementById('choreNameInput').focus();
-        }, 100);
+    // Chore assignment
+    // chore.childIds limits a chore to some children. Chores without it (including every
+    // chore created before assignment existed) are shown to everyone. Ids of deleted
+    // children are ignored, and a chore whose children are all gone is shown to no one
+    // (it comes back if a removal is undone) until it is assigned again.
+    getChoreAssignees(chore) {
+        if (!Array.isArray(chore.childIds)) return [];
+        return chore.childIds.filter(id => this.children.some(c => c.id === id));
     }
     
-    deleteChore(choreId) {
-        const chore = this.customChores.find(c => c.id === choreId);
+    isChoreAssigned(chore) {
+        return Array.isArray(chore.childIds) && chore.childIds.length > 0;
+    }
+    
+    isChoreForChild(chore, childId) {
+        if (!this.isChoreAssigned(chore)) return true;
+        return this.getChoreAssignees(chore).includes(childId);
+    }
+    
+    renderChoreAssigneeLabel(chore) {
+        const assignees = this.getChoreAssignees(chore);
+        if (this.isChoreAssigned(chore) && assignees.length === 0) {
+            return `<div class="chore-limit">${t('Only removed children - edit to assign')}</div>`;
+        }
+        if (assignees.length === 0) return '';
+        const names = assignees.map(id => this.children.find(c => c.id === id).name);
+        return `<div class="chore-limit">${this.escapeHtml(t('Only {names}', { names: names.join(', ') }))}</div>`;
+    }
+    
+    // One checkbox per child. None checked = everyone.
+    renderChoreChildInputs(chore) {
+        const container = document.getElementById('choreChildInputs');
+        container.innerHTML = '';
+        const assignees = chore ? this.getChoreAssignees(chore) : [];
+        
+        this.children.forEach(child => {
+            const label = document.createElement('label');
+            label.className = 'chore-child-option';
+            label.innerHTML = `
+                <input type="checkbox" value="${child.id}" ${assignees.includes(child.id) ? 'checked' : ''}>
+                <span>${this.escapeHtml(child.name)}</span>
+            `;
+            container.appendChild(label);
+        });
+    }
+    
+    readChoreChildInputs() {
+        return Array.from(document.querySelectorAll('#choreChildInputs input:checked')).map(input => input.value);
+    }
+    
+    // Recurring chores
+    // A chore can be limited to maxPerPeriod completions per day, per week, or on
+    // specific weekdays only. Chores without a recurrence ('anytime') have no limit.
+    // Periods start at local midnight, the same boundary the daily bonus uses, and
+    // weeks start on Sunday like the weekly allowance schedule.
+    getChorePeriodStart(chore, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        switch (chore.recurrence) {
+            case 'daily':
+            case 'weekdays':
+                return today;
+            case 'weekly':
+                return new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
+            default:
+                return null;
+        }
+    }
+    
+    isChoreAvailableToday(chore, now = new Date()) {
+        if (chore.recurrence !== 'weekdays') return true;
+        return Array.isArray(chore.weekdays) && chore.weekdays.includes(now.getDay());
+    }
+    
+    // Completions in the period containing `now`: credited chore entries plus requests still
+    // waiting for a parent. An approved request counts on the day it was asked for (entry.doneAt).
+    getChoreCompletions(child, chore, now = new Date(), choreRequests = this.choreRequests) {
+        const periodStart = this.getChorePeriodStart(chore, now);
+        if (!periodStart) return 0;
+        const days = chore.recurrence === 'weekly' ? 7 : 1;
+        const since = periodStart.getTime();
+        const until = new Date(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate() + days).getTime();
+        const inPeriod = (time) => {
+            const ms = new Date(time).getTime();
+            return ms >= since && ms < until;
+        };
+        const reverted = this.getRevertedOpIds(child);
+        
+        const credited = (child.history || []).filter(entry =>
+            entry.source === 'chore' && entry.choreId === chore.id && entry.amount > 0 &&
+            !reverted.has(entry.opId) && inPeriod(entry.doneAt || entry.timestamp)
+        ).length;
+        const pending = choreRequests.filter(request =>
+            request.status === 'pending' && request.childId === child.id && request.choreId === chore.id &&
+            inPeriod(request.requestedAt)
+        ).length;
+        return credited + pending;
+    }
+    
+    // How many more times the child can do the chore this period (Infinity = no limit)
+    getChoreRemaining(child, chore, now = new Date(), choreRequests = this.choreRequests) {
+        if (!chore.recurrence || chore.recurrence === 'anytime') return Infinity;
+        if (!this.isChoreAvailableToday(chore, now)) return 0;
+        return Math.max(0, (chore.maxPerPeriod || 1) - this.getChoreCompletions(child, chore, now, choreRequests));
+    }
+    
+    // The limit travels with chore operations (op.choreLimit) and is checked again when they
+    // are applied, so two devices - or a kid's request and a parent's tap - can't go past it
+    // together, and every device decides the same way.
+    getChoreLimit(chore) {
+        if (!chore || !chore.recurrence || chore.recurrence === 'anytime') return null;
+        return { recurrence: chore.recurrence, maxPerPeriod: chore.maxPerPeriod || 1, weekdays: chore.weekdays || [] };
+    }
+    
+    // doneAt: when the chore was done (an approval passes the time it was asked for)
+    isChoreLimitReached(state, child, op, doneAt = new Date(op.timestamp)) {
+        if (!op.choreId || !op.choreLimit) return false;
+        const chore = { id: op.choreId, ...op.choreLimit };
+        return this.getChoreRemaining(child, chore, doneAt, state.choreRequests) <= 0;
+    }
+    
+    renderChoreLimitLabel(child, chore) {
+        if (!chore.recurrence || chore.recurrence === 'anytime') return '';
+        
+        let text;
+        if (!this.isChoreAvailableToday(chore)) {
+            text = t('Not today');
+        } else if (child && this.getChoreRemaining(child, chore) <= 0) {
+            text = chore.recurrence === 'weekly' ? t('Done this week') : t('Done today');
+        } else {
+            const done = child ? this.getChoreCompletions(child, chore) : 0;
+            const params = { done: done, max: chore.maxPerPeriod || 1 };
+            text = chore.recurrence === 'weekly' ? t('{done}/{max} this week', params) : t('{done}/{max} this day', params);
+        }
+        return `<div class="chore-limit">${text}</div>`;
+    }
+    
+    setChoreRecurrenceInputs(chore) {
+        document.getElementById('choreRecurrenceInput').value = (chore && chore.recurrence) || 'anytime';
+        document.getElementById('choreMaxInput').value = (chore && chore.maxPerPeriod) || 1;
+        
+        const weekdays = chore && Array.isArray(chore.weekdays) ? chore.weekdays : [];
+        document.querySelectorAll('#choreWeekdayInputs input').forEach(input => {
+            input.checked = weekdays.includes(parseInt(input.value));
+        });
+        this.updateChoreRecurrenceFields();
+    }
+    
+    updateChoreRecurrenceFields() {
+        const recurrence = document.getElementById('choreRecurrenceInput').value;
+        document.getElementById('choreWeekdayField').style.display = recurrence === 'weekdays' ? 'block' : 'none';
+        document.getElementById('choreMaxField').style.display = recurrence === 'anytime' ? 'none' : 'block';
+    }
+    
+    // Read the recurrence fields. Returns undefined (after alerting) if they are invalid.
+    readChoreRecurrenceInputs() {
+        const recurrence = document.getElementById('choreRecurrenceInput').value;
+        if (recurrence === 'anytime') {
+            return { recurrence: 'anytime' };
+        }
+        
+        const maxPerPeriod = Number(document.getElementById('choreMaxInput').value);
+        if (!Number.isInteger(maxPerPeriod) || maxPerPeriod < 1 || maxPerPeriod > 20) {
+            alert(t('Please enter how many times per period, between 1 and 20'));
+            return undefined;
+        }
+        
+        const result = { recurrence: recurrence, maxPerPeriod: maxPerPeriod };
+        if (recurrence === 'weekdays') {
+            result.weekdays = Array.from(document.querySelectorAll('#choreWeekdayInputs input:checked'))
+                .map(input => parseInt(input.value));
+            if (result.weekdays.length === 0) {
+                alert(t('Please choose at least one day'));
+                return undefined;
+            }
+        }
+        return result;
+    }
+    
+    editChore(choreId) {
+        const chore = this.customChores.find(c => c.id === choreId);
+        if (!chore) return;
+        if (!this.requireParent(() => this.editChore(choreId))) return;
+        
+        this.editingChoreId = choreId;
+        document.getElementById('choreNameInput').value = chore.name;
+        document.getElementById('choreTimeInput').value = this.formatDurationInput(chore.time);
+        this.renderDurationPresets('choreTimePresets', 'choreTimeInput');
+        this.setChoreRecurrenceInputs(chore);
+        this.renderChoreChildInputs(chore);
+        showDialog('addChoreModal');
+        document.querySelector('#addChoreModal h2').textContent = t('Edit Chore');
+        document.getElementById('saveChoreBtn').textContent = t('Update Chore');
+        setTimeout(() => {
+            document.getElementById('choreNameInput').focus();
+        }, 100);
+    }
+    
+    deleteChore(choreId) {
+        const chore = this.customChores.find(c => c.id === choreId);
         if (!chore) return;
+        if (!this.requireParent(() => this.deleteChore(choreId))) return;
         
-        if (confirm(`Are you sure you want to delete "${chore.name}"?`)) {
+        if (confirm(t('Are you sure you want to delete "{name}"?', { name: chore.name }))) {
+            const before = this.snapshotChore(choreId);
             this.customChores = this.customChores.filter(c => c.id !== choreId);
             this.updateChoresList();
             this.saveCustomChores();
             this.renderChores(); // Refresh display
+            this.recordChoreUndo(t('Deleted chore {name}', { name: chore.name }), before, null);
         }
     }
     
     openAddChoreModal() {
+        if (!this.requireParent(() => this.openAddChoreModal())) return;
+        
         this.editingChoreId = null; // Reset editing state
         document.getElementById('choreNameInput').value = '';
-        document.getElementById('choreTimeInput').value = '5'; // Reset to default (5 minutes)
-        document.querySelector('#addChoreModal h2').textContent = 'Add Custom Chore';
-        document.getElementById('saveChoreBtn').textContent = 'Save Chore';
-        document.getElementById('addChoreModal').style.display = 'block';
+        document.getElementById('choreTimeInput').value = this.formatDurationInput(this.familySettings.durationPresets[0]);
+        this.renderDurationPresets('choreTimePresets', 'choreTimeInput');
+        this.setChoreRecurrenceInputs(null);
+        this.renderChoreChildInputs(null);
+        document.querySelector('#addChoreModal h2').textContent = t('Add Custom Chore');
+        document.getElementById('saveChoreBtn').textContent = t('Save Chore');
+        showDialog('addChoreModal');
         // Focus on name input
         setTimeout(() => {
             document.getElementById('choreNameInput').focus();
@@ -607,322 +2308,3272 @@ class TVTimeManager {
     }
     
     closeAddChoreModal() {
-        document.getElementById('addChoreModal').style.display = 'none';
+        hideDialog('addChoreModal');
         document.getElementById('choreNameInput').value = '';
-        document.getElementById('choreTimeInput').value = '5'; // Reset to default (5 minutes)
+        document.getElementById('choreTimeInput').value = '';
         this.editingChoreId = null;
     }
     
-    saveNewChore() {
-        const name = document.getElementById('choreNameInput').value.trim();
-        const time = parseInt(document.getElementById('choreTimeInput').value);
+    saveNewChore() {
+        const name = document.getElementById('choreNameInput').value.trim();
+        const time = this.parseDuration(document.getElementById('choreTimeInput').value);
+        
+        if (!name) {
+            alert(t('Please enter a chore name'));
+            return;
+        }
+        if (time === null || time <= 0) {
+            alert(t('Please enter the time in minutes (e.g. 20) or hours and minutes (e.g. 1:30)'));
+            return;
+        }
+        
+        const choreFields = this.readChoreRecurrenceInputs();
+        if (!choreFields) return;
+        
+        // Leave childIds off entirely for everyone's chores, like chores saved before assignment existed
+        const childIds = this.readChoreChildInputs();
+        if (childIds.length > 0) {
+            choreFields.childIds = childIds;
+        }
+        
+        if (this.editingChoreId) {
+            // Editing existing chore
+            const choreIndex = this.customChores.findIndex(c => c.id === this.editingChoreId);
+            if (choreIndex === -1) return;
+            
+            // Check if name changed and conflicts with another chore
+            const existingChore = this.customChores[choreIndex];
+            if (existingChore.name.toLowerCase() !== name.toLowerCase()) {
+                if (this.customChores.some(chore => chore.id !== this.editingChoreId && chore.name.toLowerCase() === name.toLowerCase())) {
+                    alert(t('A chore with this name already exists'));
+                    return;
+                }
+            }
+            
+            const before = this.snapshotChore(existingChore.id);
+            
+            // Update the chore (the old limit and assignment fields are replaced, not merged)
+            existingChore.name = name;
+            existingChore.time = time;
+            delete existingChore.recurrence;
+            delete existingChore.maxPerPeriod;
+            delete existingChore.weekdays;
+            delete existingChore.childIds;
+            Object.assign(existingChore, choreFields);
+            this.updateChoresList();
+            this.saveCustomChores();
+            this.renderChores();
+            this.closeAddChoreModal();
+            this.recordChoreUndo(t('Edited chore {name}', { name: name }), before, this.snapshotChore(existingChore.id));
+            
+            // Show success feedback
+            const saveBtn = document.getElementById('saveChoreBtn');
+            const originalText = saveBtn.textContent;
+            saveBtn.textContent = t('✓ Updated!');
+            setTimeout(() => {
+                saveBtn.textContent = originalText;
+            }, 2000);
+        } else {
+            // Adding new chore
+            // Check if chore with same name already exists
+            if (this.customChores.some(chore => chore.name.toLowerCase() === name.toLowerCase())) {
+                alert(t('A chore with this name already exists'));
+                return;
+            }
+            
+            // Add new custom chore
+            const newChore = {
+                name: name,
+                time: time,
+                id: Date.now().toString(), // Unique ID for the chore
+                ...choreFields
+            };
+            
+            this.customChores.push(newChore);
+            this.updateChoresList();
+            this.saveCustomChores();
+            this.recordChoreUndo(t('Added chore {name}', { name: name }), null, this.snapshotChore(newChore.id));
+            
+            // Refresh the chores display
+            this.renderChores();
+            
+            // Close modal
+            this.closeAddChoreModal();
+            
+            // Show success feedback
+            const saveBtn = document.getElementById('saveChoreBtn');
+            const originalText = saveBtn.textContent;
+            saveBtn.textContent = t('✓ Saved!');
+            setTimeout(() => {
+                saveBtn.textContent = originalText;
+            }, 2000);
+        }
+    }
+    
+    // Penalties
+    // A catalog of named deductions ("Not in bed on time"), the counterpart of chores.
+    // Applying one subtracts its minutes with the penalty's name as the history reason.
+    setupPenaltiesUI() {
+        document.getElementById('showPenaltiesBtn').addEventListener('click', () => {
+            const penaltiesList = document.getElementById('penaltiesList');
+            if (penaltiesList.style.display === 'none') {
+                this.penaltiesEditMode = false; // Reset edit mode when opening
+                this.renderPenalties();
+                penaltiesList.style.display = 'block';
+                document.getElementById('showPenaltiesBtn').textContent = t('❌ Close Penalties');
+            } else {
+                penaltiesList.style.display = 'none';
+                document.getElementById('showPenaltiesBtn').textContent = t('⚠️ Penalties');
+            }
+        });
+        document.getElementById('togglePenaltyEditBtn').addEventListener('click', () => {
+            if (!this.requireParent()) return;
+            this.penaltiesEditMode = !this.penaltiesEditMode;
+            this.renderPenalties();
+        });
+        
+        const addPenaltyModal = document.getElementById('addPenaltyModal');
+        document.getElementById('closeAddPenaltyModal').addEventListener('click', () => this.closeAddPenaltyModal());
+        addPenaltyModal.addEventListener('click', (e) => {
+            if (e.target === addPenaltyModal) {
+                this.closeAddPenaltyModal();
+            }
+        });
+        document.getElementById('savePenaltyBtn').addEventListener('click', () => this.savePenalty());
+        document.getElementById('penaltyNameInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.savePenalty();
+            }
+        });
+    }
+    
+    renderPenalties() {
+        const penaltiesGrid = document.getElementById('penaltiesGrid');
+        const toggleEditBtn = document.getElementById('togglePenaltyEditBtn');
+        penaltiesGrid.innerHTML = '';
+        
+        toggleEditBtn.textContent = this.penaltiesEditMode ? '✓' : '✏️';
+        toggleEditBtn.title = this.penaltiesEditMode ? t('Done editing') : t('Edit penalties');
+        toggleEditBtn.classList.toggle('edit-mode-active', this.penaltiesEditMode);
+        
+        this.penalties.forEach(penalty => {
+            const penaltyCard = document.createElement('div');
+            penaltyCard.className = 'chore-card penalty-card';
+            
+            if (this.penaltiesEditMode) {
+                penaltyCard.innerHTML = `
+                    <div class="chore-card-content">
+                        <div class="chore-name">${this.escapeHtml(penalty.name)}</div>
+                        <div class="chore-time">-${this.formatTime(penalty.time)}</div>
+                    </div>
+                    <div class="chore-actions">
+                        <button class="chore-edit-btn" title="${t('Edit')}">✏️</button>
+                        <button class="chore-delete-btn" title="${t('Delete')}">🗑️</button>
+                    </div>
+                `;
+                penaltyCard.querySelector('.chore-card-content').addEventListener('click', () => {
+                    this.openAddPenaltyModal(penalty.id);
+                });
+                makeKeyboardClickable(penaltyCard.querySelector('.chore-card-content'));
+                penaltyCard.querySelector('.chore-edit-btn').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.openAddPenaltyModal(penalty.id);
+                });
+                penaltyCard.querySelector('.chore-delete-btn').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deletePenalty(penalty.id);
+                });
+            } else {
+                penaltyCard.innerHTML = `
+                    <div class="chore-card-content">
+                        <div class="chore-name">${this.escapeHtml(penalty.name)}</div>
+                        <div class="chore-time">-${this.formatTime(penalty.time)}</div>
+                    </div>
+                `;
+                // Click to deduct time
+                penaltyCard.addEventListener('click', () => {
+                    if (this.currentChildId) {
+                        this.adjustTime(this.currentChildId, 'subtract', penalty.time, 'penalty', penalty.name, null, this.currentCategoryId);
+                        // Close penalties list after selection
+                        document.getElementById('penaltiesList').style.display = 'none';
+                        document.getElementById('showPenaltiesBtn').textContent = t('⚠️ Penalties');
+                    }
+                });
+                makeKeyboardClickable(penaltyCard);
+            }
+            
+            penaltiesGrid.appendChild(penaltyCard);
+        });
+        
+        const addPenaltyCard = document.createElement('div');
+        addPenaltyCard.className = 'chore-card add-chore-card';
+        addPenaltyCard.innerHTML = `
+            <div class="add-chore-icon">➕</div>
+            <div class="add-chore-text">${t('Add Penalty')}</div>
+        `;
+        makeKeyboardClickable(addPenaltyCard);
+        addPenaltyCard.addEventListener('click', () => {
+            this.openAddPenaltyModal(null);
+        });
+        penaltiesGrid.appendChild(addPenaltyCard);
+    }
+    
+    // penaltyId = null adds a new penalty
+    openAddPenaltyModal(penaltyId) {
+        if (!this.requireParent(() => this.openAddPenaltyModal(penaltyId))) return;
+        
+        const penalty = penaltyId ? this.penalties.find(p => p.id === penaltyId) : null;
+        this.editingPenaltyId = penalty ? penalty.id : null;
+        document.getElementById('penaltyNameInput').value = penalty ? penalty.name : '';
+        document.getElementById('penaltyTimeInput').value = this.formatDurationInput(penalty ? penalty.time : this.familySettings.durationPresets[0]);
+        this.renderDurationPresets('penaltyTimePresets', 'penaltyTimeInput');
+        document.querySelector('#addPenaltyModal h2').textContent = penalty ? t('Edit Penalty') : t('Add Penalty');
+        document.getElementById('savePenaltyBtn').textContent = penalty ? t('Update Penalty') : t('Save Penalty');
+        showDialog('addPenaltyModal');
+        setTimeout(() => {
+            document.getElementById('penaltyNameInput').focus();
+        }, 100);
+    }
+    
+    closeAddPenaltyModal() {
+        hideDialog('addPenaltyModal');
+        document.getElementById('penaltyNameInput').value = '';
+        this.editingPenaltyId = null;
+    }
+    
+    savePenalty() {
+        const name = document.getElementById('penaltyNameInput').value.trim();
+        const time = this.parseDuration(document.getElementById('penaltyTimeInput').value);
+        
+        if (!name) {
+            alert(t('Please enter a penalty name'));
+            return;
+        }
+        if (time === null || time <= 0) {
+            alert(t('Please enter the time in minutes (e.g. 20) or hours and minutes (e.g. 1:30)'));
+            return;
+        }
+        if (this.penalties.some(p => p.id !== this.editingPenaltyId && p.name.toLowerCase() === name.toLowerCase())) {
+            alert(t('A penalty with this name already exists'));
+            return;
+        }
+        
+        if (this.editingPenaltyId) {
+            const penalty = this.penalties.find(p => p.id === this.editingPenaltyId);
+            if (!penalty) return;
+            penalty.name = name;
+            penalty.time = time;
+        } else {
+            this.penalties.push({
+                id: Date.now().toString(),
+                name: name,
+                time: time
+            });
+        }
+        this.savePenalties();
+        this.renderPenalties();
+        this.closeAddPenaltyModal();
+    }
+    
+    deletePenalty(penaltyId) {
+        const penalty = this.penalties.find(p => p.id === penaltyId);
+        if (!penalty) return;
+        if (!this.requireParent(() => this.deletePenalty(penaltyId))) return;
+        
+        if (confirm(t('Are you sure you want to delete "{name}"?', { name: penalty.name }))) {
+            this.penalties = this.penalties.filter(p => p.id !== penaltyId);
+            this.savePenalties();
+            this.renderPenalties();
+        }
+    }
+    
+    // Savings jar and rewards
+    // Parents move minutes between the open child's balance and their jar, pick a reward as
+    // the child's goal (shown as a progress bar on the card) and redeem rewards from the jar.
+    setupSavingsUI() {
+        document.getElementById('showSavingsBtn').addEventListener('click', () => {
+            const savingsList = document.getElementById('savingsList');
+            if (savingsList.style.display === 'none') {
+                this.rewardsEditMode = false; // Reset edit mode when opening
+                this.renderSavings();
+                savingsList.style.display = 'block';
+                document.getElementById('showSavingsBtn').textContent = t('❌ Close Savings');
+            } else {
+                savingsList.style.display = 'none';
+                document.getElementById('showSavingsBtn').textContent = t('🐷 Savings');
+            }
+        });
+        document.getElementById('toggleRewardEditBtn').addEventListener('click', () => {
+            if (!this.requireParent()) return;
+            this.rewardsEditMode = !this.rewardsEditMode;
+            this.renderSavings();
+        });
+        document.getElementById('saveToJarBtn').addEventListener('click', () => this.moveSavings(1));
+        document.getElementById('takeFromJarBtn').addEventListener('click', () => this.moveSavings(-1));
+        document.getElementById('divertCappedInput').addEventListener('change', (e) => {
+            this.familySettings.divertCappedToSavings = e.target.checked;
+            this.saveFamilySettings();
+        });
+        
+        const addRewardModal = document.getElementById('addRewardModal');
+        document.getElementById('closeAddRewardModal').addEventListener('click', () => this.closeAddRewardModal());
+        addRewardModal.addEventListener('click', (e) => {
+            if (e.target === addRewardModal) {
+                this.closeAddRewardModal();
+            }
+        });
+        document.getElementById('saveRewardBtn').addEventListener('click', () => this.saveReward());
+        document.getElementById('rewardNameInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.saveReward();
+            }
+        });
+    }
+    
+    renderSavings() {
+        const child = this.children.find(c => c.id === this.currentChildId);
+        if (!child) return;
+        const saved = child.savings || 0;
+        const goal = child.savingsGoal;
+        let summary = t('🐷 {time} saved', { time: this.formatTime(saved) });
+        if (goal) {
+            summary += ' · ' + (saved >= goal.minutes
+                ? t('ready for {reward}!', { reward: goal.name })
+                : t('{time} more for {reward}', { time: this.formatTime(goal.minutes - saved), reward: goal.name }));
+        }
+        document.getElementById('savingsSummary').textContent = summary;
+        
+        const rewardsGrid = document.getElementById('rewardsGrid');
+        const toggleEditBtn = document.getElementById('toggleRewardEditBtn');
+        rewardsGrid.innerHTML = '';
+        
+        toggleEditBtn.textContent = this.rewardsEditMode ? '✓' : '✏️';
+        toggleEditBtn.title = this.rewardsEditMode ? t('Done editing') : t('Edit rewards');
+        toggleEditBtn.classList.toggle('edit-mode-active', this.rewardsEditMode);
+        
+        this.rewards.forEach(reward => {
+            const rewardCard = document.createElement('div');
+            const isGoal = !!goal && goal.rewardId === reward.id;
+            rewardCard.className = 'chore-card reward-card' + (isGoal ? ' reward-goal' : '');
+            
+            if (this.rewardsEditMode) {
+                rewardCard.innerHTML = `
+                    <div class="chore-card-content">
+                        <div class="chore-name">${this.escapeHtml(reward.name)}</div>
+                        <div class="chore-time">${this.formatTime(reward.time)}</div>
+                    </div>
+                    <div class="chore-actions">
+                        <button class="chore-edit-btn" title="${t('Edit')}">✏️</button>
+                        <button class="chore-delete-btn" title="${t('Delete')}">🗑️</button>
+                    </div>
+                `;
+                rewardCard.querySelector('.chore-card-content').addEventListener('click', () => {
+                    this.openAddRewardModal(reward.id);
+                });
+                makeKeyboardClickable(rewardCard.querySelector('.chore-card-content'));
+                rewardCard.querySelector('.chore-edit-btn').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.openAddRewardModal(reward.id);
+                });
+                rewardCard.querySelector('.chore-delete-btn').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deleteReward(reward.id);
+                });
+            } else {
+                rewardCard.innerHTML = `
+                    <div class="chore-card-content">
+                        <div class="chore-name">${this.escapeHtml(reward.name)}</div>
+                        <div class="chore-time">${this.formatTime(reward.time)}</div>
+                    </div>
+                    <div class="chore-actions">
+                        <button class="chore-edit-btn reward-goal-btn" title="${isGoal ? t('Clear goal') : t('Set as goal')}">🎯</button>
+                    </div>
+                `;
+                // Click to redeem from the jar
+                rewardCard.addEventListener('click', () => {
+                    this.redeemReward(reward.id);
+                });
+                // The card holds the goal button, so only its content is the button
+                makeKeyboardClickable(rewardCard.querySelector('.chore-card-content'));
+                rewardCard.querySelector('.reward-goal-btn').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.setSavingsGoal(isGoal ? null : reward);
+                });
+            }
+            
+            rewardsGrid.appendChild(rewardCard);
+        });
+        
+        const addRewardCard = document.createElement('div');
+        addRewardCard.className = 'chore-card add-chore-card';
+        addRewardCard.innerHTML = `
+            <div class="add-chore-icon">➕</div>
+            <div class="add-chore-text">${t('Add Reward')}</div>
+        `;
+        makeKeyboardClickable(addRewardCard);
+        addRewardCard.addEventListener('click', () => {
+            this.openAddRewardModal(null);
+        });
+        rewardsGrid.appendChild(addRewardCard);
+        
+        // Most recent redemptions first
+        const redemptionList = document.getElementById('redemptionList');
+        const redemptions = (child.redemptions || []).slice().reverse();
+        redemptionList.innerHTML = redemptions.length === 0 ? '' : `
+            <div class="settings-label">${t('Redeemed')}</div>
+            ${redemptions.map(r => `
+                <div class="redemption-row">
+                    <span>${this.escapeHtml(r.name)} · ${this.formatTime(r.minutes)}</span>
+                    <span class="redemption-date">${formatDate(r.redeemedAt)}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+    
+    // Redraw everything that shows the jar after it changed
+    refreshSavings(childId) {
+        this.renderChildren();
+        this.updateModalBalance(childId);
+        if (this.currentChildId === childId && document.getElementById('savingsList').style.display !== 'none') {
+            this.renderSavings();
+        }
+    }
+    
+    // direction 1 = from the balance into the jar, -1 = back out of the jar
+    moveSavings(direction) {
+        const childId = this.currentChildId;
+        const child = this.children.find(c => c.id === childId);
+        if (!child) return;
+        const input = document.getElementById('savingsAmountInput');
+        const amount = this.parseDuration(input.value);
+        if (amount === null || amount <= 0) {
+            alert(t('Please enter the time in minutes (e.g. 20) or hours and minutes (e.g. 1:30)'));
+            return;
+        }
+        
+        const before = child.savings || 0;
+        const reason = this.message(direction > 0 ? 'Saved to jar' : 'Taken from jar');
+        const move = (minutes, prefix) => {
+            const payload = { childId: childId, amount: minutes, reason: prefix ? [this.message(prefix), ': ', reason] : reason };
+            if (this.currentCategoryId !== this.DEFAULT_CATEGORY_ID) {
+                payload.category = this.currentCategoryId;
+            }
+            this.dispatch('moveSavings', payload);
+            this.refreshSavings(childId);
+        };
+        move(direction * amount);
+        
+        const updated = this.children.find(c => c.id === childId);
+        const moved = (updated.savings || 0) - before;
+        if (moved === 0) {
+            alert(direction > 0 ? t('There is no time left in the balance to save.') : t('Nothing can be taken out - the jar is empty or the balance is at its maximum.'));
+            return;
+        }
+        input.value = '';
+        const label = moved > 0
+            ? t('Saved {time} for {name}', { time: this.formatTime(moved), name: child.name })
+            : t('Took {time} out of {name}\'s jar', { time: this.formatTime(-moved), name: child.name });
+        this.recordUndo(label, () => move(-moved, 'Undo'), () => move(moved, 'Redo'), childId);
+    }
+    
+    redeemReward(rewardId) {
+        const childId = this.currentChildId;
+        const child = this.children.find(c => c.id === childId);
+        const reward = this.rewards.find(r => r.id === rewardId);
+        if (!child || !reward) return;
+        
+        const saved = child.savings || 0;
+        if (saved < reward.time) {
+            alert(t('{name} needs {time} more in the jar for {reward}.', { name: child.name, time: this.formatTime(reward.time - saved), reward: reward.name }));
+            return;
+        }
+        if (!confirm(t('Redeem {reward} for {time} from {name}\'s jar?', { reward: reward.name, time: this.formatTime(reward.time), name: child.name }))) return;
+        
+        const redeem = () => this.dispatch('redeemReward', {
+            childId: childId,
+            rewardId: reward.id,
+            name: reward.name,
+            minutes: reward.time
+        });
+        let op = redeem();
+        this.refreshSavings(childId);
+        this.recordUndo(t('{name} redeemed {reward}', { name: child.name, reward: reward.name }), () => {
+            this.dispatch('cancelRedemption', { childId: childId, redemptionId: op.id });
+            this.refreshSavings(childId);
+        }, () => {
+            op = redeem();
+            this.refreshSavings(childId);
+        }, childId);
+    }
+    
+    // The goal keeps its own copy of the reward, so editing the catalog doesn't move it
+    setSavingsGoal(reward) {
+        const childId = this.currentChildId;
+        const goal = reward ? { rewardId: reward.id, name: reward.name, minutes: reward.time } : null;
+        this.dispatch('updateChildSettings', { childId: childId, settings: { savingsGoal: goal } });
+        this.refreshSavings(childId);
+    }
+    
+    // rewardId = null adds a new reward
+    openAddRewardModal(rewardId) {
+        if (!this.requireParent(() => this.openAddRewardModal(rewardId))) return;
+        
+        const reward = rewardId ? this.rewards.find(r => r.id === rewardId) : null;
+        this.editingRewardId = reward ? reward.id : null;
+        document.getElementById('rewardNameInput').value = reward ? reward.name : '';
+        document.getElementById('rewardTimeInput').value = this.formatDurationInput(reward ? reward.time : 120);
+        this.renderDurationPresets('rewardTimePresets', 'rewardTimeInput');
+        document.querySelector('#addRewardModal h2').textContent = reward ? t('Edit Reward') : t('Add Reward');
+        document.getElementById('saveRewardBtn').textContent = reward ? t('Update Reward') : t('Save Reward');
+        showDialog('addRewardModal');
+        setTimeout(() => {
+            document.getElementById('rewardNameInput').focus();
+        }, 100);
+    }
+    
+    closeAddRewardModal() {
+        hideDialog('addRewardModal');
+        document.getElementById('rewardNameInput').value = '';
+        this.editingRewardId = null;
+    }
+    
+    saveReward() {
+        const name = document.getElementById('rewardNameInput').value.trim();
+        const time = this.parseDuration(document.getElementById('rewardTimeInput').value);
+        
+        if (!name) {
+            alert(t('Please enter a reward name'));
+            return;
+        }
+        if (time === null || time <= 0) {
+            alert(t('Please enter the time in minutes (e.g. 20) or hours and minutes (e.g. 1:30)'));
+            return;
+        }
+        if (this.rewards.some(r => r.id !== this.editingRewardId && r.name.toLowerCase() === name.toLowerCase())) {
+            alert(t('A reward with this name already exists'));
+            return;
+        }
+        
+        if (this.editingRewardId) {
+            const reward = this.rewards.find(r => r.id === this.editingRewardId);
+            if (!reward) return;
+            reward.name = name;
+            reward.time = time;
+        } else {
+            this.rewards.push({
+                id: Date.now().toString(),
+                name: name,
+                time: time
+            });
+        }
+        this.saveRewards();
+        this.renderSavings();
+        this.closeAddRewardModal();
+    }
+    
+    deleteReward(rewardId) {
+        const reward = this.rewards.find(r => r.id === rewardId);
+        if (!reward) return;
+        if (!this.requireParent(() => this.deleteReward(rewardId))) return;
+        
+        if (confirm(t('Are you sure you want to delete "{name}"?', { name: reward.name }))) {
+            this.rewards = this.rewards.filter(r => r.id !== rewardId);
+            this.saveRewards();
+            this.renderSavings();
+        }
+    }
+    
+    // Streaks and earned badge icons on the child's card; opens the trophy view
+    renderStreaks(child) {
+        const stats = this.getStreakStats(child, Date.now());
+        const earned = this.BADGES.filter(badge => child.badges && child.badges[badge.id]);
+        const parts = [];
+        if (stats.choreStreak > 0) {
+            parts.push(`<span title="${t('Days in a row with a chore')}">🔥 ${stats.choreStreak}</span>`);
+        }
+        if (stats.budgetStreak > 0) {
+            parts.push(`<span title="${t('Days in a row within the allowance')}">⚖️ ${stats.budgetStreak}</span>`);
+        }
+        return `
+            <button id="streakBtn-${child.id}" class="streak-row" onclick="app.openTrophyModal('${child.id}')" aria-label="${this.escapeAttribute(t('Streaks and badges for {name}', { name: child.name }))}">
+                <span class="streak-counts">${parts.length > 0 ? parts.join('') : `<span>${t('🏆 Trophies')}</span>`}</span>
+                <span class="streak-badges">${earned.map(badge => badge.icon).join('')}</span>
+            </button>
+        `;
+    }
+    
+    setupTrophyUI() {
+        const trophyModal = document.getElementById('trophyModal');
+        document.getElementById('closeTrophyModal').addEventListener('click', () => this.closeTrophyModal());
+        trophyModal.addEventListener('click', (e) => {
+            if (e.target === trophyModal) {
+                this.closeTrophyModal();
+            }
+        });
+        document.getElementById('saveStreakBonusBtn').addEventListener('click', () => this.saveStreakBonus());
+    }
+    
+    // Kids can look at their trophies too, so this doesn't ask for the PIN
+    openTrophyModal(childId) {
+        if (!this.children.some(c => c.id === childId)) return;
+        this.trophyChildId = childId;
+        this.renderTrophies();
+        showDialog('trophyModal');
+    }
+    
+    closeTrophyModal() {
+        hideDialog('trophyModal');
+        this.trophyChildId = null;
+    }
+    
+    renderTrophies() {
+        const child = this.children.find(c => c.id === this.trophyChildId);
+        if (!child) return;
+        const stats = this.getStreakStats(child, Date.now());
+        const badges = child.badges || {};
+        const plural = (n) => tp('{count} days', n);
+        
+        document.getElementById('trophyTitle').textContent = t('{name}\'s Trophies', { name: child.name });
+        let streakText = t('🔥 Chore streak: {chore} · ⚖️ Within allowance: {budget}', { chore: plural(stats.choreStreak), budget: plural(stats.budgetStreak) });
+        const streakBonus = this.familySettings.streakBonus;
+        if (streakBonus && streakBonus.enabled) {
+            streakText += ' · ' + (stats.choreStreak >= streakBonus.days
+                ? t('Daily bonus ×{multiplier}!', { multiplier: formatNumber(streakBonus.multiplier) })
+                : t('{days} more for a ×{multiplier} daily bonus', { days: plural(streakBonus.days - stats.choreStreak), multiplier: formatNumber(streakBonus.multiplier) }));
+        }
+        document.getElementById('trophyStreaks').textContent = streakText;
+        
+        document.getElementById('trophyBadges').innerHTML = this.BADGES.map(badge => {
+            const earnedAt = badges[badge.id];
+            return `
+                <div class="badge-card ${earnedAt ? 'badge-earned' : 'badge-locked'}">
+                    <div class="badge-icon">${badge.icon}</div>
+                    <div class="badge-name">${t(badge.name)}</div>
+                    <div class="badge-description">${earnedAt ? t('Earned {date}', { date: formatDate(earnedAt) }) : t(badge.description)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    saveStreakBonus() {
+        const days = Number(document.getElementById('streakBonusDaysInput').value);
+        const multiplier = Number(document.getElementById('streakBonusMultiplierInput').value);
+        if (!Number.isInteger(days) || days < 2 || days > 60) {
+            alert(t('Please enter a streak between 2 and 60 days'));
+            return;
+        }
+        if (!(multiplier > 1 && multiplier <= 3)) {
+            alert(t('Please enter a multiplier above 1 and up to 3 (e.g. 1.5)'));
+            return;
+        }
+        
+        this.familySettings.streakBonus = {
+            enabled: document.getElementById('streakBonusEnabledInput').checked,
+            days: days,
+            multiplier: Math.round(multiplier * 10) / 10
+        };
+        this.saveFamilySettings();
+        
+        const saveBtn = document.getElementById('saveStreakBonusBtn');
+        saveBtn.textContent = t('✓ Saved!');
+        setTimeout(() => {
+            saveBtn.textContent = t('Save Streak Bonus');
+        }, 2000);
+    }
+    
+    // Progress towards the child's goal on their card, or just what's in the jar
+    renderSavingsProgress(child) {
+        const saved = child.savings || 0;
+        const goal = child.savingsGoal;
+        if (!goal) {
+            return saved > 0 ? `<div class="savings-progress"><div class="savings-progress-label"><span>${t('🐷 {time} saved', { time: this.formatTime(saved) })}</span></div></div>` : '';
+        }
+        const percent = Math.min(100, Math.round(saved / goal.minutes * 100));
+        return `
+            <div class="savings-progress">
+                <div class="savings-progress-label">
+                    <span>🎯 ${this.escapeHtml(goal.name)}</span>
+                    <span>${saved >= goal.minutes ? t('✓ Ready!') : `${this.formatTime(saved)} / ${this.formatTime(goal.minutes)}`}</span>
+                </div>
+                <div class="savings-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                    <div class="savings-progress-fill" style="width: ${percent}%;"></div>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Stepper amounts ordered from negative to positive, e.g. [-60, ..., -5, 0, 5, ..., 60]
+    getTimeAmounts() {
+        const presets = this.familySettings.stepperPresets;
+        return [...presets.map(p => -p).reverse(), 0, ...presets];
+    }
+    
+    // Move to the next higher (1) or lower (-1) stepper amount. Works from typed amounts too.
+    stepAmount(direction) {
+        const amounts = this.getTimeAmounts();
+        const next = direction > 0
+            ? amounts.find(a => a > this.currentAmount)
+            : amounts.slice().reverse().find(a => a < this.currentAmount);
+        if (next === undefined) return; // Already at the end
+        this.currentAmount = next;
+        document.getElementById('customAmountInput').value = '';
+        document.getElementById('customAmountInput').classList.remove('input-invalid');
+        this.updateAmountDisplay();
+    }
+    
+    resetAmount() {
+        this.currentAmount = 0;
+        document.getElementById('customAmountInput').value = '';
+        document.getElementById('customAmountInput').classList.remove('input-invalid');
+        this.updateAmountDisplay();
+    }
+    
+    // Parse a typed duration: "45", "1:30", "1h 30m", "2h", "90m" - optionally signed ("-15").
+    // Returns whole minutes (negative when signed), or null if it isn't a duration up to 24 hours.
+    parseDuration(text) {
+        const trimmed = String(text).trim().toLowerCase();
+        const sign = trimmed.startsWith('-') ? -1 : 1;
+        const body = trimmed.replace(/^[+-]\s*/, '');
+        let minutes = null;
+        let match;
+        if ((match = body.match(/^(\d+)$/))) {
+            minutes = parseInt(match[1]);
+        } else if ((match = body.match(/^(\d+):([0-5]\d)$/))) {
+            minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+        } else if ((match = body.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/)) && (match[1] || match[2])) {
+            minutes = (parseInt(match[1]) || 0) * 60 + (parseInt(match[2]) || 0);
+        }
+        if (minutes === null || minutes > 24 * 60) return null;
+        return sign * minutes;
+    }
+    
+    // Amounts and durations: "45 min", "1h", "1h 30m" (in the current language)
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        if (hours === 0) return formatUnit(mins, 'minute', 'short');
+        const hoursText = formatUnit(hours, 'hour', 'narrow');
+        return mins === 0 ? hoursText : `${hoursText} ${formatUnit(mins, 'minute', 'narrow')}`;
+    }
+    
+    // Value for a duration input: "45" or "1:30"
+    formatDurationInput(minutes) {
+        if (minutes < 60) return String(minutes);
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    
+    // Quick-pick buttons that fill a duration input from the family's presets
+    renderDurationPresets(containerId, inputId) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        this.familySettings.durationPresets.forEach(minutes => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'duration-preset-btn';
+            button.textContent = this.formatDuration(minutes);
+            button.addEventListener('click', () => {
+                document.getElementById(inputId).value = this.formatDurationInput(minutes);
+            });
+            container.appendChild(button);
+        });
+    }
+    
+    // "5, 10, 1:30" -> [5, 10, 90] (sorted, no duplicates), or null if any entry is invalid
+    parsePresetList(text) {
+        const parts = text.split(',').map(part => part.trim()).filter(part => part !== '');
+        const presets = [];
+        for (const part of parts) {
+            const minutes = this.parseDuration(part);
+            if (minutes === null || minutes <= 0) return null;
+            if (!presets.includes(minutes)) {
+                presets.push(minutes);
+            }
+        }
+        if (presets.length === 0 || presets.length > this.MAX_TIME_PRESETS) return null;
+        return presets.sort((a, b) => a - b);
+    }
+    
+    savePresets() {
+        const stepperPresets = this.parsePresetList(document.getElementById('stepperPresetsInput').value);
+        const durationPresets = this.parsePresetList(document.getElementById('durationPresetsInput').value);
+        if (!stepperPresets || !durationPresets) {
+            alert(t('Please enter 1 to {max} times separated by commas, e.g. 5, 10, 15, 30, 1:00', { max: this.MAX_TIME_PRESETS }));
+            return;
+        }
+        
+        this.familySettings.stepperPresets = stepperPresets;
+        this.familySettings.durationPresets = durationPresets;
+        this.saveFamilySettings();
+        this.populateFamilySettingsUI();
+        
+        const saveBtn = document.getElementById('savePresetsBtn');
+        saveBtn.textContent = t('✓ Saved!');
+        setTimeout(() => {
+            saveBtn.textContent = t('Save Presets');
+        }, 2000);
+    }
+    
+    updateAmountDisplay() {
+        const amount = this.currentAmount;
+        let displayText;
+        
+        if (amount === 0) {
+            displayText = '0';
+        } else {
+            // "+45 min", "-1h", "+1h 30m"
+            displayText = (amount > 0 ? '+' : '-') + this.formatDuration(Math.abs(amount));
+        }
+        
+        document.getElementById('selectedAmount').textContent = displayText;
+        const stepper = document.getElementById('amountStepper');
+        stepper.setAttribute('aria-valuenow', amount);
+        stepper.setAttribute('aria-valuetext', displayText);
+        
+        // Update modal display after adjustment
+        if (this.currentChildId) {
+            const child = this.children.find(c => c.id === this.currentChildId);
+            if (child) {
+                document.getElementById('modalCurrentTime').textContent = this.formatTime(this.getCategoryBalance(child, this.currentCategoryId));
+            }
+        }
+    }
+
+    closeModal() {
+        hideDialog('timeModal');
+        this.currentChildId = null;
+    }
+
+    // Chore requests
+    // In kid mode a chore tap doesn't credit time. It files a request that syncs
+    // with the family, and only a parent's approval credits the minutes.
+    setupChoreRequestsUI() {
+        const choreRequestModal = document.getElementById('choreRequestModal');
+        document.getElementById('closeChoreRequestModal').addEventListener('click', () => this.closeChoreRequestModal());
+        choreRequestModal.addEventListener('click', (e) => {
+            if (e.target === choreRequestModal) {
+                this.closeChoreRequestModal();
+            }
+        });
+        
+        const approvalsModal = document.getElementById('approvalsModal');
+        document.getElementById('approvalsBtn').addEventListener('click', () => this.openApprovalsModal());
+        document.getElementById('closeApprovalsModal').addEventListener('click', () => this.closeApprovalsModal());
+        approvalsModal.addEventListener('click', (e) => {
+            if (e.target === approvalsModal) {
+                this.closeApprovalsModal();
+            }
+        });
+        
+        this.refreshChoreRequestsUI();
+    }
+    
+    getPendingChoreRequests(childId = null) {
+        return this.choreRequests.filter(r => r.status === 'pending' && (!childId || r.childId === childId));
+    }
+    
+    openChoreRequestModal(childId) {
+        const child = this.children.find(c => c.id === childId);
+        if (!child) return;
+        
+        this.requestingChildId = childId;
+        document.getElementById('choreRequestTitle').textContent = t('What did {name} do?', { name: child.name });
+        this.renderChoreRequestModal();
+        showDialog('choreRequestModal');
+    }
+    
+    closeChoreRequestModal() {
+        hideDialog('choreRequestModal');
+        this.requestingChildId = null;
+    }
+    
+    renderChoreRequestModal() {
+        const childId = this.requestingChildId;
+        const grid = document.getElementById('choreRequestGrid');
+        grid.innerHTML = '';
+        
+        if (!this.customChores.some(chore => this.isChoreForChild(chore, childId))) {
+            grid.innerHTML = `<p class="history-empty">${t('No chores yet. Ask a parent to add some.')}</p>`;
+        }
+        const child = this.children.find(c => c.id === childId);
+        const chores = this.customChores.filter(chore => this.isChoreForChild(chore, childId));
+        chores.forEach(chore => {
+            const choreCard = document.createElement('div');
+            choreCard.className = 'chore-card';
+            choreCard.innerHTML = `
+                <div class="chore-card-content">
+                    <div class="chore-name">${this.escapeHtml(chore.name)}</div>
+                    <div class="chore-time">+${this.formatTime(chore.time)}</div>
+                    ${this.renderChoreLimitLabel(child, chore)}
+                </div>
+            `;
+            if (child && this.getChoreRemaining(child, chore) <= 0) {
+                choreCard.classList.add('chore-card-done');
+            } else {
+                choreCard.addEventListener('click', () => this.requestChore(childId, chore.id));
+                makeKeyboardClickable(choreCard);
+            }
+            grid.appendChild(choreCard);
+        });
+        
+        // The child's recent requests, newest first
+        const list = document.getElementById('choreRequestStatusList');
+        list.innerHTML = '';
+        const requests = this.choreRequests.filter(r => r.childId === childId).slice(-10).reverse();
+        const statusLabels = { pending: t('⏳ Waiting'), approved: t('✅ Approved'), rejected: t('❌ Not approved') };
+        requests.forEach(request => {
+            const row = document.createElement('div');
+            row.className = `chore-request-row chore-request-${request.status}`;
+            row.innerHTML = `
+                <div class="chore-request-main">
+                    <div class="history-reason">${this.escapeHtml(request.choreName)} (+${this.formatTime(request.minutes)})</div>
+                    ${request.note ? `<div class="history-meta">“${this.escapeHtml(this.formatMessage(request.note))}”</div>` : ''}
+                </div>
+                <div class="chore-request-status">${statusLabels[request.status]}</div>
+            `;
+            list.appendChild(row);
+        });
+    }
+    
+    requestChore(childId, choreId) {
+        const child = this.children.find(c => c.id === childId);
+        const chore = this.customChores.find(c => c.id === choreId);
+        if (!child || !chore || !this.isChoreForChild(chore, childId) || this.getChoreRemaining(child, chore) <= 0) return;
+        
+        const payload = {
+            childId: childId,
+            choreId: chore.id,
+            choreName: chore.name,
+            minutes: chore.time
+        };
+        const choreLimit = this.getChoreLimit(chore);
+        if (choreLimit) {
+            payload.choreLimit = choreLimit;
+        }
+        this.dispatch('requestChore', payload);
+        this.renderChildren();
+        this.refreshChoreRequestsUI();
+        alert(t('Sent! A parent needs to approve "{chore}" before the time is added.', { chore: chore.name }));
+    }
+    
+    openApprovalsModal() {
+        if (!this.requireParent(() => this.openApprovalsModal())) return;
+        this.renderApprovals();
+        showDialog('approvalsModal');
+    }
+    
+    closeApprovalsModal() {
+        hideDialog('approvalsModal');
+    }
+    
+    renderApprovals() {
+        const list = document.getElementById('approvalsList');
+        list.innerHTML = '';
+        
+        const pending = this.getPendingChoreRequests();
+        if (pending.length === 0) {
+            list.innerHTML = `<p class="history-empty">${t('No chores waiting for approval.')}</p>`;
+            return;
+        }
+        
+        pending.forEach(request => {
+            const child = this.children.find(c => c.id === request.childId);
+            const when = new Date(request.requestedAt);
+            const row = document.createElement('div');
+            row.className = 'history-entry';
+            row.innerHTML = `
+                <div class="history-entry-main">
+                    <div class="history-reason">${this.escapeHtml(child ? child.name : '')}: ${this.escapeHtml(request.choreName)} (+${this.formatTime(request.minutes)})</div>
+                    <div class="history-meta">${formatDate(when)} ${formatDate(when, { hour: 'numeric', minute: '2-digit' })}</div>
+                </div>
+                <div class="approval-buttons">
+                    <button class="btn btn-primary approval-btn" data-action="approve" title="${t('Approve')}">✓</button>
+                    <button class="btn btn-danger approval-btn" data-action="reject" title="${t('Reject')}">✕</button>
+                </div>
+            `;
+            row.querySelector('[data-action="approve"]').addEventListener('click', () => this.approveChoreRequest(request.id));
+            row.querySelector('[data-action="reject"]').addEventListener('click', () => this.rejectChoreRequest(request.id));
+            list.appendChild(row);
+        });
+    }
+    
+    approveChoreRequest(requestId) {
+        if (!this.requireParent()) return;
+        const request = this.choreRequests.find(r => r.id === requestId);
+        if (!request || request.status !== 'pending') return;
+        
+        const payload = { requestId: requestId, childId: request.childId, choreId: request.choreId };
+        const choreLimit = this.getChoreLimit(this.customChores.find(c => c.id === request.choreId));
+        if (choreLimit) {
+            payload.choreLimit = choreLimit;
+        }
+        this.dispatch('approveChoreRequest', payload);
+        this.renderChildren();
+        this.updateModalBalance(request.childId);
+        this.refreshChoreRequestsUI();
+    }
+    
+    rejectChoreRequest(requestId) {
+        if (!this.requireParent()) return;
+        const request = this.choreRequests.find(r => r.id === requestId);
+        if (!request || request.status !== 'pending') return;
+        
+        const note = prompt(t('Why isn\'t "{chore}" approved? (optional)', { chore: request.choreName }), '');
+        if (note === null) return; // Cancelled
+        
+        this.dispatch('rejectChoreRequest', { requestId: requestId, note: note.trim() });
+        this.renderChildren();
+        this.refreshChoreRequestsUI();
+    }
+    
+    // Keep the header badge and any open request views in step with the synced queue
+    refreshChoreRequestsUI() {
+        const pendingCount = this.getPendingChoreRequests().length;
+        const approvalsBtn = document.getElementById('approvalsBtn');
+        if (approvalsBtn) {
+            // Kids can see their own requests waiting, but only parents get the queue
+            approvalsBtn.style.display = pendingCount > 0 && this.isParentUnlocked() ? 'inline-block' : 'none';
+            approvalsBtn.textContent = tp('✅ {count} chores to approve', pendingCount);
+        }
+        if (isDialogOpen('approvalsModal')) {
+            this.renderApprovals();
+        }
+        if (this.requestingChildId) {
+            this.renderChoreRequestModal();
+        }
+    }
+    
+    applyRequestChore(state, child, op) {
+        if (!child || this.isChoreLimitReached(state, child, op)) return;
+        state.choreRequests.push({
+            id: op.id,
+            childId: op.childId,
+            choreId: op.choreId,
+            choreName: op.choreName,
+            minutes: op.minutes,
+            status: 'pending',
+            requestedAt: new Date(op.timestamp).toISOString()
+        });
+    }
+    
+    // Only the first decision counts, so two parents approving at once credit the time once
+    applyResolveChoreRequest(state, op) {
+        const request = state.choreRequests.find(r => r.id === op.requestId);
+        if (!request || request.status !== 'pending') return;
+        
+        if (op.type === 'approveChoreRequest') {
+            const child = state.children.find(c => c.id === request.childId);
+            if (!child) return;
+            request.status = 'approved'; // No longer waiting, so it doesn't count against the limit
+            // The chore counts for the period it was done in, not the one it was approved in
+            const doneAt = new Date(request.requestedAt);
+            if (this.isChoreLimitReached(state, child, op, doneAt)) {
+                request.status = 'rejected';
+                request.note = this.message('The limit for this chore was already reached');
+            } else {
+                this.creditTime(child, request.minutes, 'chore', request.choreName, op, doneAt.getTime());
+                child.history
+                    .filter(entry => entry.opId === op.id && entry.source === 'chore')
+                    .forEach(entry => {
+                        entry.doneAt = request.requestedAt;
+                    });
+            }
+        } else {
+            request.status = 'rejected';
+            request.note = op.note || '';
+        }
+        request.resolvedAt = new Date(op.timestamp).toISOString();
+        
+        // Drop the oldest resolved requests so the family document stays small
+        const resolved = state.choreRequests.filter(r => r.status !== 'pending');
+        if (resolved.length > this.MAX_RESOLVED_REQUESTS) {
+            const dropped = new Set(resolved.slice(0, resolved.length - this.MAX_RESOLVED_REQUESTS).map(r => r.id));
+            state.choreRequests = state.choreRequests.filter(r => !dropped.has(r.id));
+        }
+    }
+
+    adjustTime(childId, action, amount, source = 'manual', reason = '', choreId = null, categoryId = this.DEFAULT_CATEGORY_ID) {
+        const child = this.children.find(c => c.id === childId);
+        if (!child) return;
+
+        const payload = {
+            childId: childId,
+            action: action,
+            amount: amount,
+            source: source,
+            reason: reason || this.message(action === 'add' ? 'Added time' : 'Removed time')
+        };
+        if (choreId) {
+            payload.choreId = choreId; // Lets recurring chores count completions from the ledger
+            const choreLimit = this.getChoreLimit(this.customChores.find(c => c.id === choreId));
+            if (choreLimit) {
+                payload.choreLimit = choreLimit;
+            }
+        }
+        if (categoryId !== this.DEFAULT_CATEGORY_ID) {
+            payload.category = categoryId; // Screen category the time is for (see getAccount())
+        }
+        const op = this.dispatch('adjustTime', payload);
+        this.renderChildren();
+        
+        // Update modal display
+        this.updateModalBalance(childId);
+        
+        // Screen readers hear what actually changed (after the maximum, the zero floor
+        // and chore limits) and the new balance
+        const updated = this.children.find(c => c.id === childId);
+        if (updated) {
+            const net = this.getOpNetAmount(updated, op.id);
+            const params = {
+                name: updated.name,
+                time: this.formatDuration(Math.abs(net)),
+                balance: this.formatTime(this.getCategoryBalance(updated, categoryId))
+            };
+            if (net > 0) {
+                announce(t('{name}: {time} added. Balance: {balance}', params));
+            } else if (net < 0) {
+                announce(t('{name}: {time} removed. Balance: {balance}', params));
+            } else {
+                announce(t('{name}: no change. Balance: {balance}', params));
+            }
+        }
+        
+        this.recordAdjustmentUndo(childId, op);
+    }
+
+    // Undo / redo
+    // Every undoable action records a pair of functions. Balance changes are undone by a
+    // 'correction' operation that reverses the exact net effect of the original operation
+    // (after the cap and the zero floor), so the prior balance comes back even if the
+    // change was clipped, and the correction syncs to other devices like any other change.
+    setupUndoUI() {
+        document.getElementById('undoToastBtn').addEventListener('click', () => {
+            this.hideUndoToast();
+            this.undo();
+        });
+        // The time modal only undoes changes to the child it is open for
+        document.getElementById('modalUndoBtn').addEventListener('click', () => this.undo(this.currentChildId));
+        document.getElementById('modalRedoBtn').addEventListener('click', () => this.redo(this.currentChildId));
+        this.updateUndoButtons();
+    }
+    
+    // childId ties the step to a child, or null for family-wide changes (chores)
+    recordUndo(label, undo, redo, childId = null) {
+        this.undoStack.push({ label: label, undo: undo, redo: redo, childId: childId });
+        if (this.undoStack.length > this.MAX_UNDO_STEPS) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateUndoButtons();
+        this.showUndoToast(label);
+    }
+    
+    // Without a childId the latest step of all, otherwise the latest one for that child
+    undo(childId) {
+        const index = this.findUndoStep(this.undoStack, childId);
+        if (index === -1) return;
+        if (!this.requireParent(() => this.undo(childId))) return;
+        
+        const step = this.undoStack.splice(index, 1)[0];
+        step.undo();
+        this.redoStack.push(step);
+        this.updateUndoButtons();
+    }
+    
+    redo(childId) {
+        const index = this.findUndoStep(this.redoStack, childId);
+        if (index === -1) return;
+        if (!this.requireParent(() => this.redo(childId))) return;
+        
+        const step = this.redoStack.splice(index, 1)[0];
+        step.redo();
+        this.undoStack.push(step);
+        this.updateUndoButtons();
+    }
+    
+    findUndoStep(stack, childId) {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (childId === undefined || stack[i].childId === childId) return i;
+        }
+        return -1;
+    }
+    
+    // Net change an operation made to a child's balance, from its ledger entries
+    getOpNetAmount(child, opId) {
+        return (child.history || [])
+            .filter(entry => entry.opId === opId)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+    }
+    
+    recordAdjustmentUndo(childId, op) {
+        const child = this.children.find(c => c.id === childId);
+        if (!child) return;
+        const net = this.getOpNetAmount(child, op.id);
+        if (net === 0) return; // Nothing changed (e.g. already at the cap)
+        
+        const label = net > 0
+            ? t('Added {time} to {name}', { time: this.formatTime(net), name: child.name })
+            : t('Removed {time} from {name}', { time: this.formatTime(-net), name: child.name });
+        const correct = (amount, prefix, link) => {
+            if (op.category) {
+                link = { ...link, category: op.category }; // Undo in the category that changed
+            }
+            this.dispatch('correction', { childId: childId, amount: amount, reason: [this.message(prefix), ': ', op.reason], ...link });
+            this.renderChildren();
+            this.updateModalBalance(childId);
+            if (document.getElementById('choresList').style.display !== 'none') {
+                this.renderChores(); // Recurring chore limits may have changed
+            }
+        };
+        this.recordUndo(label,
+            () => correct(-net, 'Undo', { revertsOpId: op.id }),
+            () => correct(net, 'Redo', { restoresOpId: op.id }),
+            childId);
+    }
+    
+    // Apply a raw balance change - no cap, only the zero floor
+    applyCorrection(child, op) {
+        if (!child) return;
+        const account = this.getAccount(child, op.category, op);
+        const amount = Math.max(op.amount, -account.timeBalance);
+        if (amount === 0) return;
+        const lots = this.getLots(account, op);
+        if (amount > 0) {
+            lots.push({ source: 'correction', amount: amount, earnedAt: new Date(op.timestamp).toISOString() });
+        } else {
+            this.spendLots(lots, -amount);
+        }
+        account.timeBalance += amount;
+        const entry = this.recordTransaction(child, amount, 'correction', op.reason, op);
+        if (op.revertsOpId) entry.revertsOpId = op.revertsOpId;
+        if (op.restoresOpId) entry.restoresOpId = op.restoresOpId;
+    }
+    
+    // Ids of operations that are currently undone, so chore limits and statistics skip them
+    getRevertedOpIds(child) {
+        const reverted = new Set();
+        (child.history || []).forEach(entry => {
+            if (entry.revertsOpId) reverted.add(entry.revertsOpId);
+            if (entry.restoresOpId) reverted.delete(entry.restoresOpId);
+        });
+        return reverted;
+    }
+    
+    // Chores sync as one list, so undo puts back just the one chore that changed
+    snapshotChore(choreId) {
+        const index = this.customChores.findIndex(c => c.id === choreId);
+        if (index === -1) return null;
+        return { index: index, chore: JSON.parse(JSON.stringify(this.customChores[index])) };
+    }
+    
+    restoreChore(choreId, snapshot) {
+        this.customChores = this.customChores.filter(c => c.id !== choreId);
+        if (snapshot) {
+            this.customChores.splice(Math.min(snapshot.index, this.customChores.length), 0, JSON.parse(JSON.stringify(snapshot.chore)));
+        }
+        this.updateChoresList();
+        this.saveCustomChores();
+        if (document.getElementById('choresList').style.display !== 'none') {
+            this.renderChores();
+        }
+    }
+    
+    recordChoreUndo(label, before, after) {
+        const choreId = (before || after).chore.id;
+        this.recordUndo(label, () => this.restoreChore(choreId, before), () => this.restoreChore(choreId, after));
+    }
+    
+    showUndoToast(label) {
+        document.getElementById('undoToastText').textContent = label;
+        document.getElementById('undoToast').style.display = 'flex';
+        clearTimeout(this.undoToastTimer);
+        this.undoToastTimer = setTimeout(() => this.hideUndoToast(), 6000);
+    }
+    
+    hideUndoToast() {
+        clearTimeout(this.undoToastTimer);
+        document.getElementById('undoToast').style.display = 'none';
+    }
+    
+    updateUndoButtons() {
+        const undoBtn = document.getElementById('modalUndoBtn');
+        const redoBtn = document.getElementById('modalRedoBtn');
+        const childId = this.currentChildId;
+        const nextUndo = childId ? this.undoStack[this.findUndoStep(this.undoStack, childId)] : null;
+        const nextRedo = childId ? this.redoStack[this.findUndoStep(this.redoStack, childId)] : null;
+        undoBtn.disabled = !nextUndo;
+        undoBtn.title = nextUndo ? `${t('Undo')}: ${nextUndo.label}` : t('Nothing to undo');
+        redoBtn.disabled = !nextRedo;
+        redoBtn.title = nextRedo ? `${t('Redo')}: ${nextRedo.label}` : t('Nothing to redo');
+    }
+
+    // Add time to a child's balance, capped at the child's maximum balance.
+    // Anything over the cap is recorded as a separate 'cap_clipped' entry so the
+    // ledger always sums to the current balance. Returns the minutes actually kept.
+    // earnedAt dates the minutes for the rollover rules (the daily bonus passes the day it is for).
+    // categoryId picks the screen category's balance (see getAccount()).
+    // Whether the clipped minutes go to the savings jar is decided by the device that made the operation.
+    creditTime(child, amount, source, reason, op, earnedAt = op.timestamp, categoryId = op.category) {
+        const account = this.getAccount(child, categoryId, op);
+        const lots = this.getLots(account, op);
+        const before = account.timeBalance;
+        account.timeBalance += amount;
+        this.recordTransaction(child, amount, source, reason, op, categoryId);
+
+        // Cap at the child's maximum time balance
+        const maxBalance = this.getMaxBalance(child, categoryId, op);
+        const clipped = account.timeBalance - Math.max(before, maxBalance);
+        if (clipped > 0) {
+            account.timeBalance -= clipped;
+            if (op.divertCappedToSavings) {
+                child.savings = (child.savings || 0) + clipped;
+                this.recordTransaction(child, -clipped, 'savings', this.message('Over {max} limit - saved to jar', { max: { minutes: maxBalance } }), op, categoryId);
+            } else {
+                this.recordTransaction(child, -clipped, 'cap_clipped', this.message('Over {max} limit', { max: { minutes: maxBalance } }), op, categoryId);
+            }
+        }
+        const kept = account.timeBalance - before;
+        if (kept > 0) {
+            lots.push({ source: source, amount: kept, earnedAt: new Date(earnedAt).toISOString() });
+        }
+        return kept;
+    }
+
+    // Remove time from a child's balance without going below zero.
+    // Returns the minutes actually removed.
+    debitTime(child, amount, source, reason, op, categoryId = op.category) {
+        const account = this.getAccount(child, categoryId, op);
+        const removed = Math.min(amount, Math.max(0, account.timeBalance));
+        if (removed <= 0) return 0;
+
+        this.spendLots(this.getLots(account, op), removed);
+        account.timeBalance -= removed;
+        this.recordTransaction(child, -removed, source, reason, op, categoryId);
+        return removed;
+    }
+
+    // Time lots
+    // child.lots remembers where the unspent minutes came from, oldest first:
+    // [{ source, amount, earnedAt }]. Spending always takes the oldest minutes, so the
+    // rollover rules expire whatever has been sitting unused the longest.
+    // Each screen category account (see getAccount()) keeps its own lots.
+    // Call before changing the account's timeBalance.
+    getLots(account, op) {
+        if (!Array.isArray(account.lots)) {
+            account.lots = [];
+        }
+        // Balances from before lots existed (or from a backup) become one 'legacy' lot.
+        // When they were earned isn't known, so they never expire (see isLotExpirable()).
+        const tracked = account.lots.reduce((sum, lot) => sum + lot.amount, 0);
+        if (tracked < account.timeBalance) {
+            account.lots.unshift({ source: 'legacy', amount: account.timeBalance - tracked, earnedAt: new Date(op.timestamp).toISOString() });
+        } else if (tracked > account.timeBalance) {
+            this.spendLots(account.lots, tracked - account.timeBalance);
+        }
+        return account.lots;
+    }
+    
+    // Take minutes from the oldest lots first
+    spendLots(lots, minutes) {
+        let remaining = minutes;
+        while (remaining > 0 && lots.length > 0) {
+            const taken = Math.min(remaining, lots[0].amount);
+            lots[0].amount -= taken;
+            remaining -= taken;
+            if (lots[0].amount <= 0) {
+                lots.shift();
+            }
+        }
+    }
+    
+    isLotExpirable(lot, rollover) {
+        if (lot.source === 'legacy') return false;
+        return lot.source === 'daily_bonus' || !rollover.keepEarnedTime;
+    }
+    
+    // Lots the rollover rules (familySettings.rollover, or the copy in a dailyBonus operation)
+    // remove at the start of the given day (local midnight)
+    getExpiringLots(account, day, rollover) {
+        const lots = Array.isArray(account.lots) ? account.lots : [];
+        if (rollover.weeklyResetDay === day.getDay()) {
+            return lots.filter(lot => this.isLotExpirable(lot, rollover));
+        }
+        if (rollover.expiryDays) {
+            // Minutes earned on day D with a 1-day expiry are gone at midnight of D + 1
+            const expiresBefore = new Date(day.getFullYear(), day.getMonth(), day.getDate() - rollover.expiryDays + 1);
+            return lots.filter(lot => this.isLotExpirable(lot, rollover) && new Date(lot.earnedAt) < expiresBefore);
+        }
+        return [];
+    }
+    
+    // Apply the rollover rules for one day, before that day's bonus. The expired minutes
+    // are recorded as one 'expired' ledger entry so they show up in the child's history.
+    // The weekly reset amount only goes to the default category.
+    // The rules come from the operation, so every device expires the same minutes.
+    applyRollover(child, day, dayLabel, op, categoryId = this.DEFAULT_CATEGORY_ID) {
+        const rollover = op.rollover || this.NO_ROLLOVER;
+        const account = this.getAccount(child, categoryId, op);
+        this.getLots(account, op);
+        const expiring = this.getExpiringLots(account, day, rollover);
+        const expired = expiring.reduce((sum, lot) => sum + lot.amount, 0);
+        const weeklyReset = rollover.weeklyResetDay === day.getDay();
+        
+        if (expired > 0) {
+            account.lots = account.lots.filter(lot => !expiring.includes(lot));
+            account.timeBalance -= expired;
+            this.recordTransaction(child, -expired, 'expired',
+                this.message(weeklyReset ? 'Weekly reset ({day})' : 'Unused time expired ({day})', { day: dayLabel }), op, categoryId);
+        }
+        if (weeklyReset && rollover.weeklyResetAmount > 0 && categoryId === this.DEFAULT_CATEGORY_ID) {
+            this.creditTime(child, rollover.weeklyResetAmount, 'daily_bonus', this.message('Weekly reset ({day})', { day: dayLabel }), op, day, categoryId);
+        }
+    }
+
+    // Append an entry to the child's ledger. Call after the account's timeBalance has been updated.
+    // The entry id and time come from the operation, so every device records the same entry.
+    // Entries for a category other than the default one carry its id.
+    recordTransaction(child, amount, source, reason, op, categoryId = op.category) {
+        if (!Array.isArray(child.history)) {
+            child.history = [];
+        }
+        const entryIndex = child.history.filter(e => e.opId === op.id).length;
+        const entry = {
+            id: `${op.id}_${entryIndex}`,
+            opId: op.id,
+            timestamp: new Date(op.timestamp).toISOString(),
+            amount: amount,
+            reason: reason,
+            source: source,
+            balanceAfter: this.getAccount(child, categoryId, op).timeBalance
+        };
+        if (categoryId && categoryId !== this.DEFAULT_CATEGORY_ID) {
+            entry.category = categoryId;
+        }
+        if (op.choreId) {
+            entry.choreId = op.choreId;
+        }
+        child.history.push(entry);
+        // Keep the ledger from growing without bound in the family document
+        if (child.history.length > this.MAX_HISTORY_ENTRIES) {
+            child.history = child.history.slice(-this.MAX_HISTORY_ENTRIES);
+        }
+        return entry;
+    }
+
+    // Savings jar
+    // child.savings holds minutes set aside for a reward. They can't be watched, so they sit
+    // outside the balance: moving minutes into the jar is a 'savings' debit in the ledger and
+    // taking them out a 'savings' credit. Redeemed rewards are kept in child.redemptions.
+    applyMoveSavings(child, op) {
+        if (!child) return;
+        const saved = child.savings || 0;
+        if (op.amount > 0) {
+            child.savings = saved + this.debitTime(child, op.amount, 'savings', op.reason, op);
+        } else if (op.amount < 0) {
+            // Only as much as fits under the maximum, so nothing taken out is clipped
+            const room = this.getMaxBalance(child, op.category, op) - this.getAccount(child, op.category, op).timeBalance;
+            const amount = Math.min(-op.amount, saved, room);
+            if (amount <= 0) return;
+            child.savings = saved - amount;
+            this.creditTime(child, amount, 'savings', op.reason, op);
+        }
+    }
+    
+    applyRedeemReward(child, op) {
+        if (!child || !(op.minutes > 0) || (child.savings || 0) < op.minutes) return;
+        child.savings -= op.minutes;
+        if (!Array.isArray(child.redemptions)) {
+            child.redemptions = [];
+        }
+        child.redemptions.push({
+            id: op.id,
+            rewardId: op.rewardId,
+            name: op.name,
+            minutes: op.minutes,
+            redeemedAt: new Date(op.timestamp).toISOString()
+        });
+        if (child.redemptions.length > this.MAX_REDEMPTIONS) {
+            child.redemptions = child.redemptions.slice(-this.MAX_REDEMPTIONS);
+        }
+    }
+    
+    // Undo of a redemption - the minutes go back into the jar
+    applyCancelRedemption(child, op) {
+        if (!child || !Array.isArray(child.redemptions)) return;
+        const redemption = child.redemptions.find(r => r.id === op.redemptionId);
+        if (!redemption) return;
+        child.redemptions = child.redemptions.filter(r => r.id !== op.redemptionId);
+        child.savings = (child.savings || 0) + redemption.minutes;
+    }
+
+    // Streaks and badges
+    // Worked out from the ledger, so they sync with it: a chore day has at least one chore
+    // credit, and a day is within budget when the screen time used (sessions and time a
+    // parent took off) was no more than that day's allowance. Undone entries don't count.
+    // A day without any screen time or chores says nothing about the budget (the child may
+    // not have used the app at all), so it ends the budget streak instead of adding to it.
+    getDailyActivity(child) {
+        const reverted = this.getRevertedOpIds(child);
+        const days = {};
+        (child.history || []).forEach(entry => {
+            if (reverted.has(entry.opId)) return;
+            const key = this.toDateKey(new Date(entry.timestamp));
+            const day = days[key] || (days[key] = { chores: 0, used: 0 });
+            if (entry.source === 'chore' && entry.amount > 0) {
+                day.chores++;
+            } else if ((entry.source === 'session' || entry.source === 'manual') && entry.amount < 0) {
+                day.used -= entry.amount;
+            }
+        });
+        return days;
+    }
+    
+    // { choreStreak, budgetStreak, choreCount, redemptions } as of the given time. Streaks count
+    // back from yesterday; today adds to the chore streak once a chore is done, but never to
+    // the budget streak because the day isn't over.
+    getStreakStats(child, now, op = null) {
+        const days = this.getDailyActivity(child);
+        const date = new Date(now);
+        const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        // Nothing is known about days before the ledger starts (or was trimmed)
+        const history = child.history || [];
+        const firstEntry = history.length > 0 ? new Date(history[0].timestamp) : today;
+        const firstDay = new Date(firstEntry.getFullYear(), firstEntry.getMonth(), firstEntry.getDate());
+        
+        const countBack = (test) => {
+            let streak = 0;
+            let day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+            while (day >= firstDay && streak < 365 && test(day, days[this.toDateKey(day)] || { chores: 0, used: 0 })) {
+                streak++;
+                day = new Date(day.getFullYear(), day.getMonth(), day.getDate() - 1);
+            }
+            return streak;
+        };
+        const todayActivity = days[this.toDateKey(today)];
+        return {
+            choreStreak: countBack((day, activity) => activity.chores > 0) + (todayActivity && todayActivity.chores > 0 ? 1 : 0),
+            budgetStreak: countBack((day, activity) => (activity.used > 0 || activity.chores > 0) &&
+                activity.used <= this.getDailyBudget(child, day, op)),
+            choreCount: Object.values(days).reduce((sum, activity) => sum + activity.chores, 0),
+            redemptions: (child.redemptions || []).length
+        };
+    }
+    
+    // Allowance for a day across every balance
+    getDailyBudget(child, date, op = null) {
+        return this.getBalanceCategoryIds(op).reduce((sum, categoryId) => sum + this.getAllowanceForDate(child, date, categoryId, op), 0);
+    }
+    
+    // Multiplier for the daily bonus of the given day, from the chore streak up to the day before.
+    // The streak bonus settings come from the dailyBonus operation.
+    getStreakMultiplier(child, day, op) {
+        const streakBonus = op.streakBonus;
+        if (!streakBonus || !streakBonus.enabled) return 1;
+        // As of just before midnight, so the streak ends the day before
+        return this.getStreakStats(child, day.getTime() - 1, op).choreStreak >= streakBonus.days ? streakBonus.multiplier : 1;
+    }
+    
+    // child.badges = { badgeId: earnedAt }
+    awardBadges(child, op) {
+        const stats = this.getStreakStats(child, op.timestamp, op);
+        this.BADGES.forEach(badge => {
+            if (stats[badge.stat] >= badge.target && !(child.badges && child.badges[badge.id])) {
+                child.badges = { ...(child.badges || {}), [badge.id]: new Date(op.timestamp).toISOString() };
+            }
+        });
+    }
+
+    // Viewing sessions
+    // A running session is stored on the child as { status: 'running', startedAt, chargedMinutes, entryId, category }.
+    // Everything is derived from the startedAt timestamp, so the countdown survives reloads,
+    // device sleep and shows the same value on every synced device.
+    // A paused session keeps the unbilled part of the current minute in carryMs.
+    startSession(childId, categoryId = this.DEFAULT_CATEGORY_ID) {
+        if (!this.requireParent(() => this.startSession(childId, categoryId))) return;
+        const child = this.children.find(c => c.id === childId);
+        if (!child) return;
+        // Resuming keeps the paused session's category
+        if (child.session) {
+            categoryId = child.session.category || this.DEFAULT_CATEGORY_ID;
+        }
+        if (this.getAvailableMinutes(child, categoryId, Date.now()) <= 0) return;
+
+        this.dispatch('startSession', { childId: childId, category: categoryId });
+        this.renderChildren();
+    }
+
+    pauseSession(childId) {
+        if (!this.requireParent(() => this.pauseSession(childId))) return;
+        const child = this.children.find(c => c.id === childId);
+        if (!child || !child.session || child.session.status !== 'running') return;
+
+        this.dispatch('pauseSession', { childId: childId });
+        this.renderChildren();
+        this.updateModalBalance(childId);
+    }
+
+    stopSession(childId) {
+        if (!this.requireParent(() => this.stopSession(childId))) return;
+        const child = this.children.find(c => c.id === childId);
+        if (!child || !child.session) return;
+
+        this.dispatch('stopSession', { childId: childId });
+        this.renderChildren();
+        this.updateModalBalance(childId);
+    }
+
+    // Session operations use the operation's timestamp as "now" so they replay identically
+    applyStartSession(child, op) {
+        if (!child) return;
+        if (child.session && child.session.status === 'running') return;
+        const categoryId = child.session ? child.session.category : op.category;
+        if (this.getAvailableMinutes(child, categoryId, op.timestamp, op) <= 0) return;
+
+        const carryMs = child.session ? child.session.carryMs : 0;
+        child.session = {
+            status: 'running',
+            startedAt: op.timestamp - carryMs,
+            chargedMinutes: 0,
+            entryId: child.session ? child.session.entryId : null,
+            category: categoryId || this.DEFAULT_CATEGORY_ID
+        };
+    }
+
+    applyPauseSession(child, op) {
+        if (!child || !child.session || child.session.status !== 'running') return;
+
+        const now = op.timestamp;
+        this.chargeSession(child, now, op);
+        if (this.getAvailableMinutes(child, child.session.category, now, op) <= 0) {
+            child.session = null;
+        } else {
+            child.session = {
+                status: 'paused',
+                carryMs: now - child.session.startedAt - child.session.chargedMinutes * 60000,
+                entryId: child.session.entryId,
+                category: child.session.category || this.DEFAULT_CATEGORY_ID
+            };
+        }
+    }
+
+    applyStopSession(child, op) {
+        if (!child || !child.session) return;
+
+        const now = op.timestamp;
+        let partialMs = 0;
+        if (child.session.status === 'running') {
+            this.chargeSession(child, now, op);
+            partialMs = now - child.session.startedAt - child.session.chargedMinutes * 60000;
+        } else {
+            partialMs = child.session.carryMs || 0;
+        }
+        // Round the last partial minute to the nearest whole minute
+        if (partialMs >= 30000) {
+            this.chargeSessionMinutes(child, 1, op);
+        }
+        child.session = null;
+    }
+
+    applyChargeSessions(state, op) {
+        state.children.forEach(child => {
+            if (!child.session || child.session.status !== 'running') return;
+            this.chargeSession(child, op.timestamp, op);
+            if (this.getSessionRemainingMs(child, op.timestamp, op) <= 0) {
+                // Out of time - end the session
+                child.session = null;
+            }
+        });
+    }
+
+    // Debit every whole minute elapsed since the last charge. Returns true if the balance changed.
+    chargeSession(child, now, op) {
+        const session = child.session;
+        const due = Math.floor((now - session.startedAt) / 60000) - session.chargedMinutes;
+        if (due <= 0) return false;
+
+        session.chargedMinutes += due;
+        return this.chargeSessionMinutes(child, due, op) > 0;
+    }
+
+    // Debit minutes for the session, accumulating them in one ledger entry per session and hour
+    // (so statistics put the minutes in the hour they were watched, and a new day's entry
+    // keeps the shared-mode daily limits right)
+    chargeSessionMinutes(child, minutes, op) {
+        const categoryId = child.session.category;
+        const account = this.getAccount(child, categoryId, op);
+        // Never past the balance or a shared-mode daily limit (the device may have slept through it)
+        const removed = Math.min(minutes, this.getAvailableMinutes(child, categoryId, op.timestamp, op));
+        if (removed <= 0) return 0;
+
+        this.spendLots(this.getLots(account, op), removed);
+        account.timeBalance -= removed;
+        const history = Array.isArray(child.history) ? child.history : [];
+        const entry = history.find(e => e.id === child.session.entryId);
+        if (entry && this.isSameHour(new Date(entry.timestamp), new Date(op.timestamp))) {
+            entry.amount -= removed;
+            entry.balanceAfter = account.timeBalance;
+        } else {
+            const category = this.getCategory(categoryId, op);
+            const reason = category ? this.message('Watching {category}', { category: category.name }) : this.message('Watching TV');
+            child.session.entryId = this.recordTransaction(child, -removed, 'session', reason, op, categoryId).id;
+        }
+        return removed;
+    }
+
+    isSameHour(a, b) {
+        return this.toDateKey(a) === this.toDateKey(b) && a.getHours() === b.getHours();
+    }
+
+    getSessionRemainingMs(child, now, op = null) {
+        const session = child.session;
+        if (!session) return this.getAvailableMinutes(child, this.DEFAULT_CATEGORY_ID, now, op) * 60000;
+        const unbilledMs = session.status === 'running'
+            ? now - session.startedAt - session.chargedMinutes * 60000
+            : session.carryMs;
+        return Math.max(0, this.getAvailableMinutes(child, session.category, now, op) * 60000 - unbilledMs);
+    }
+
+    startSessionTicker() {
+        this.tickSessions();
+        setInterval(() => this.tickSessions(), 1000);
+        // Timers are throttled while the device sleeps - catch up as soon as we're visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.tickSessions();
+            }
+        });
+    }
+
+    tickSessions() {
+        const now = Date.now();
+
+        // Only record an operation when a whole minute is due or a session has run out
+        const needsCharge = this.children.some(child => {
+            const session = child.session;
+            if (!session || session.status !== 'running') return false;
+            return Math.floor((now - session.startedAt) / 60000) > session.chargedMinutes ||
+                this.getSessionRemainingMs(child, now) <= 0;
+        });
+
+        if (needsCharge) {
+            this.dispatch('chargeSessions');
+            this.renderChildren();
+            if (this.currentChildId) {
+                this.updateModalBalance(this.currentChildId);
+            }
+        } else {
+            this.updateSessionCountdowns(now);
+        }
+        
+        // Changes synced from other devices are picked up here too
+        this.checkNotifications(now);
+    }
+
+    // Notifications
+    // Shown through the service worker registration, so they appear even when the app is
+    // in the background, without any push server. They are only checked while the app is
+    // running, so a phone that has closed the app won't notify. Settings are per device:
+    // each parent chooses which children their own phone notifies about.
+    loadNotificationSettings() {
+        return { enabled: false, children: {}, ...this.localCopy.read('notificationSettings') };
+    }
+    
+    saveNotificationSettings() {
+        this.localCopy.write({ notificationSettings: this.notificationSettings });
+    }
+    
+    // Every notification type is on for a child until it is turned off
+    getChildNotificationPrefs(childId) {
+        return { warning: true, timesUp: true, allowance: true, ...(this.notificationSettings.children[childId] || {}) };
+    }
+    
+    setupNotificationsUI() {
+        document.getElementById('enableNotificationsBtn').addEventListener('click', () => this.toggleNotifications());
+        this.renderNotificationSettings();
+    }
+    
+    async toggleNotifications() {
+        if (this.notificationSettings.enabled) {
+            this.notificationSettings.enabled = false;
+            this.saveNotificationSettings();
+            this.renderNotificationSettings();
+            return;
+        }
+        
+        if (!('Notification' in window)) {
+            alert(t('This browser does not support notifications.'));
+            return;
+        }
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            alert(t('Notifications are blocked. Allow them for this site in your browser settings, then try again.'));
+            return;
+        }
+        this.notificationSettings.enabled = true;
+        this.saveNotificationSettings();
+        this.renderNotificationSettings();
+    }
+    
+    renderNotificationSettings() {
+        const enabled = this.notificationSettings.enabled;
+        document.getElementById('enableNotificationsBtn').textContent = enabled
+            ? t('Turn Off Notifications')
+            : t('Turn On Notifications');
+        
+        const container = document.getElementById('notificationChildList');
+        container.innerHTML = '';
+        container.style.display = enabled ? 'block' : 'none';
+        if (!enabled) return;
+        
+        if (this.children.length === 0) {
+            container.innerHTML = `<p class="settings-help-text">${t('Add a child to choose notifications.')}</p>`;
+            return;
+        }
+        
+        const options = [
+            { key: 'warning', label: t('{time} left', { time: this.formatDuration(this.WARNING_MINUTES) }) },
+            { key: 'timesUp', label: t('Time\'s up') },
+            { key: 'allowance', label: t('Allowance added') }
+        ];
+        this.children.forEach(child => {
+            const prefs = this.getChildNotificationPrefs(child.id);
+            const row = document.createElement('div');
+            row.className = 'notification-child-row';
+            row.innerHTML = `
+                <div class="notification-child-name">${this.escapeHtml(child.name)}</div>
+                <div class="notification-options">
+                    ${options.map(option => `
+                        <label class="notification-option">
+                            <input type="checkbox" data-pref="${option.key}" ${prefs[option.key] ? 'checked' : ''}>
+                            <span>${option.label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+            row.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => {
+                    this.notificationSettings.children[child.id] = {
+                        ...this.getChildNotificationPrefs(child.id),
+                        [input.dataset.pref]: input.checked
+                    };
+                    this.saveNotificationSettings();
+                });
+            });
+            container.appendChild(row);
+        });
+    }
+    
+    // Compare each child with the last check and notify about anything that crossed a threshold
+    checkNotifications(now) {
+        const snapshot = {};
+        this.children.forEach(child => {
+            const running = !!child.session && child.session.status === 'running';
+            const bonusEntries = (child.history || []).filter(e => e.source === 'daily_bonus' && e.amount > 0);
+            snapshot[child.id] = {
+                balance: this.getTotalBalance(child),
+                remainingMs: running ? this.getSessionRemainingMs(child, now) : null,
+                lastBonusOpId: bonusEntries.length > 0 ? bonusEntries[bonusEntries.length - 1].opId : null
+            };
+        });
+        
+        const previous = this.notificationSnapshot;
+        this.notificationSnapshot = snapshot;
+        // The first check only records where things stand
+        if (!previous || !this.notificationSettings.enabled) return;
+        
+        this.children.forEach(child => {
+            const before = previous[child.id];
+            const after = snapshot[child.id];
+            if (!before) return;
+            const prefs = this.getChildNotificationPrefs(child.id);
+            const warningMs = this.WARNING_MINUTES * 60000;
+            
+            if (prefs.warning && after.remainingMs !== null && after.remainingMs > 0 && after.remainingMs <= warningMs &&
+                (before.remainingMs === null || before.remainingMs > warningMs)) {
+                this.showNotification(t('{name}: {time} left', { name: child.name, time: this.formatDuration(this.WARNING_MINUTES) }), t('TV time is almost up.'), `warning-${child.id}`);
+            }
+            
+            if (prefs.timesUp && before.balance > 0 && after.balance <= 0) {
+                this.showNotification(t('{name}: time\'s up!', { name: child.name }), t('No TV time left.'), `timesup-${child.id}`);
+            }
+            
+            if (prefs.allowance && after.lastBonusOpId && after.lastBonusOpId !== before.lastBonusOpId) {
+                const added = child.history
+                    .filter(e => e.opId === after.lastBonusOpId && e.source === 'daily_bonus')
+                    .reduce((sum, e) => sum + e.amount, 0);
+                this.showNotification(t('{name}: allowance added', { name: child.name }), t('+{time} of TV time. Balance: {balance}.', { time: this.formatTime(added), balance: this.formatTime(after.balance) }), `allowance-${child.id}`);
+            }
+        });
+    }
+    
+    async showNotification(title, body, tag) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        // The badge is shown as a silhouette in the Android status bar, so it has a transparent background
+        const options = { body: body, tag: tag, icon: './icon-192.png', badge: './badge-72.png' };
+        try {
+            // The service worker can show notifications while the page is in the background
+            if ('serviceWorker' in navigator && window.location.protocol !== 'file:') {
+                const registration = await navigator.serviceWorker.ready;
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.error('Error showing notification:', error);
+        }
+    }
+
+    // Update countdown text in place so the cards aren't rebuilt every second
+    updateSessionCountdowns(now) {
+        document.querySelectorAll('[data-session-countdown]').forEach(el => {
+            const child = this.children.find(c => c.id === el.dataset.sessionCountdown);
+            if (child) {
+                el.textContent = this.formatCountdown(this.getSessionRemainingMs(child, now));
+            }
+        });
+    }
+
+    formatCountdown(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const mins = Math.floor((totalSeconds % 3600) / 60);
+        const secs = totalSeconds % 60;
+        const pad = (n) => n.toString().padStart(2, '0');
+
+        if (hours > 0) {
+            return `${hours}:${pad(mins)}:${pad(secs)}`;
+        }
+        return `${mins}:${pad(secs)}`;
+    }
+
+    updateModalBalance(childId) {
+        if (this.currentChildId !== childId) return;
+        const child = this.children.find(c => c.id === childId);
+        if (child) {
+            document.getElementById('modalCurrentTime').textContent = this.formatTime(this.getCategoryBalance(child, this.currentCategoryId));
+            this.renderCategoryPicker();
+            this.refreshHistoryIfOpen();
+        }
+    }
+
+    // Balances: "2h 5m", "45m" (in the current language)
+    formatTime(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        
+        if (hours > 0) {
+            return `${formatUnit(hours, 'hour', 'narrow')} ${formatUnit(mins, 'minute', 'narrow')}`;
+        }
+        return formatUnit(mins, 'minute', 'narrow');
+    }
+
+    // Ledger reasons and request notes are synced, so applying an operation stores them
+    // untranslated and each device translates them when they are shown. A reason is plain
+    // text (a chore name, a typed reason), a message { key, params }, or an array of these
+    // shown one after another. Params are formatted here too: { minutes } as a time,
+    // { day: 'YYYY-MM-DD' } as a short date and { number } as a number.
+    message(key, params) {
+        return params ? { key: key, params: params } : { key: key };
+    }
+
+    formatMessage(message) {
+        if (Array.isArray(message)) {
+            return message.map(part => this.formatMessage(part)).join('');
+        }
+        if (!message || typeof message !== 'object') {
+            return message === undefined || message === null ? '' : String(message);
+        }
+        if ('minutes' in message) return this.formatTime(message.minutes);
+        if ('number' in message) return formatNumber(message.number);
+        if ('day' in message) {
+            const [year, month, date] = message.day.split('-').map(Number);
+            return formatDate(new Date(year, month - 1, date), { weekday: 'short', month: 'short', day: 'numeric' });
+        }
+        const params = {};
+        Object.entries(message.params || {}).forEach(([name, value]) => {
+            params[name] = this.formatMessage(value);
+        });
+        return t(message.key, params);
+    }
+
+    checkDailyBonus() {
+        try {
+            const now = new Date();
+            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            
+            // Only record an operation if this device hasn't seen today's bonus yet.
+            // applyDailyBonus() checks again against the server copy, so two devices
+            // passing midnight together still only grant it once.
+            const lastMidnight = this.parseMidnightCheck(this.loadLastMidnightCheck());
+            if (!lastMidnight || lastMidnight.getTime() !== today.getTime()) {
+                this.dispatch('dailyBonus', {
+                    today: today.toISOString(),
+                    rollover: { ...this.familySettings.rollover },
+                    streakBonus: { ...this.familySettings.streakBonus },
+                    allowances: this.getAllowanceSettings(),
+                    categoryIds: this.getBalanceCategoryIds()
+                });
+            }
+
+            this.renderChildren();
+        } catch (error) {
+            console.error('Error in checkDailyBonus:', error);
+            // If there's an error, just render children without checking bonus
+            this.renderChildren();
+        }
+    }
+
+    applyDailyBonus(state, op) {
+        const today = this.parseMidnightCheck(op.today);
+        const lastMidnight = this.parseMidnightCheck(state.lastMidnightCheck);
+        
+        if (!lastMidnight) {
+            // First time - no bonus to add today
+            state.lastMidnightCheck = op.today;
+            return;
+        }
+        
+        // Already given today (possibly by another device)
+        if (lastMidnight.getTime() >= today.getTime()) return;
+        
+        // Calculate days since last check (rounded for daylight saving changes,
+        // with a safety limit of 365 days at once)
+        const daysToAdd = Math.min(Math.round((today.getTime() - lastMidnight.getTime()) / (1000 * 60 * 60 * 24)), 365);
+
+        // Add each missed day's allowance, evaluating that day's schedule rule
+        // The automatic bonus won't make the balance exceed the child's maximum
+        for (let i = daysToAdd - 1; i >= 0; i--) {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            const holiday = this.getHolidayForDate(day, op);
+            const dayLabel = { day: this.toDateKey(day) }; // Shown as a date (see formatMessage())
+            const reason = [this.message('Daily bonus ({day})', { day: dayLabel })];
+            if (holiday) {
+                reason.push(' - ', holiday.label || this.message('Holiday'));
+            }
+            state.children.forEach(child => {
+                const multiplier = this.getStreakMultiplier(child, day, op);
+                const childReason = multiplier > 1 ? [...reason, ' - ', this.message('🔥 streak ×{multiplier}', { multiplier: { number: multiplier } })] : reason;
+                this.getBalanceCategoryIds(op).forEach(categoryId => {
+                    // Unused time expires before the new day's bonus comes in
+                    this.applyRollover(child, day, dayLabel, op, categoryId);
+                    const bonusAmount = Math.round(this.getAllowanceForDate(child, day, categoryId, op) * multiplier);
+                    if (bonusAmount > 0) {
+                        // Anything over the maximum is recorded as clipped, not added
+                        this.creditTime(child, bonusAmount, 'daily_bonus', childReason, op, day, categoryId);
+                    }
+                });
+            });
+        }
+        state.lastMidnightCheck = op.today;
+    }
+
+    setupMidnightScheduler() {
+        // Check immediately when app loads
+        this.checkDailyBonus();
+
+        // Set up interval to check every minute
+        setInterval(() => {
+            this.checkDailyBonus();
+        }, 60000); // Check every minute
+
+        // Also schedule for exactly at midnight
+        this.scheduleMidnightCheck();
+    }
+
+    scheduleMidnightCheck() {
+        const now = new Date();
+        const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const msUntilMidnight = midnight - now;
+
+        setTimeout(() => {
+            this.checkDailyBonus();
+            // After first midnight check, continue checking daily
+            setInterval(() => {
+                this.checkDailyBonus();
+            }, 24 * 60 * 60 * 1000); // Check every 24 hours
+        }, msUntilMidnight);
+    }
+
+    renderChildren() {
+        const container = document.getElementById('childrenList');
+        const emptyState = document.getElementById('emptyState');
+        // The cards are rebuilt, so keyboard focus is put back on the same control afterwards
+        const focused = container.contains(document.activeElement) ? document.activeElement : null;
+        const focusedId = focused ? focused.id : '';
+        const focusedCard = focused ? focused.closest('.child-card') : null;
+
+        if (this.children.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = '';
+
+        this.children.forEach(child => {
+            const card = document.createElement('div');
+            card.className = 'child-card';
+            card.dataset.childId = child.id;
+            card.setAttribute('role', 'group');
+            card.setAttribute('aria-labelledby', `childName-${child.id}`);
+            
+            const balance = this.getTotalBalance(child);
+            const timeClass = balance > 60 ? 'time-high' : 
+                            balance > 0 ? 'time-medium' : 'time-low';
+            
+            card.innerHTML = `
+                <div class="child-header">
+                    <h3 id="childName-${child.id}">${this.escapeHtml(child.name)}</h3>
+                    <button id="deleteBtn-${child.id}" class="delete-btn" onclick="app.deleteChild('${child.id}')" aria-label="${t('Delete child')}">×</button>
+                </div>
+                <button type="button" id="timeBtn-${child.id}" class="time-display ${timeClass} clickable-time" onclick="app.openTimeModal('${child.id}')" aria-haspopup="dialog" style="cursor: pointer;">
+                    <span class="time-label">${t('Time Balance:')}</span>
+                    <span class="time-value">${this.formatTime(balance)}</span>
+                </button>
+                ${this.renderCategoryBalances(child)}
+                ${this.renderSavingsProgress(child)}
+                ${this.renderStreaks(child)}
+                ${this.renderSessionControls(child)}
+                ${this.renderChoreRequestControls(child)}
+            `;
+
+            container.appendChild(card);
+        });
+        this.restoreChildrenFocus(focusedId, focusedCard ? focusedCard.dataset.childId : null);
+        
+        if (this.trophyChildId) {
+            this.renderTrophies();
+        }
+    }
+
+    // Focus the control with the given id again. If it's gone (e.g. Start became Pause),
+    // fall back to the child's first session button, then the balance.
+    restoreChildrenFocus(focusedId, childId) {
+        if (!focusedId && !childId) return;
+        const card = Array.from(document.getElementById('childrenList').children).find(c => c.dataset.childId === childId);
+        const target = (focusedId && document.getElementById(focusedId)) ||
+            (card && card.querySelector('.session-btn:not([disabled])')) ||
+            (childId && document.getElementById(`timeBtn-${childId}`));
+        if (target) {
+            target.focus();
+        }
+    }
+
+    // One chip per screen category: its balance in separate mode, or what is left of its
+    // daily limit in shared mode. Tapping a chip opens the time modal on that category.
+    renderCategoryBalances(child) {
+        const categories = this.getCategories();
+        if (categories.length <= 1) return '';
+        
+        const now = Date.now();
+        const separate = this.hasSeparateBalances();
+        const chips = categories
+            .filter(category => separate || typeof category.dailyLimit === 'number')
+            .map(category => {
+                const text = separate
+                    ? this.formatTime(this.getCategoryBalance(child, category.id))
+                    : t('{time} left today', { time: this.formatTime(this.getAvailableMinutes(child, category.id, now)) });
+                return `
+                    <button id="categoryChip-${child.id}-${category.id}" class="category-chip" onclick="app.openTimeModal('${child.id}', '${category.id}')">
+                        ${this.escapeHtml(this.getCategoryLabel(category.id))} <strong>${text}</strong>
+                    </button>
+                `;
+            });
+        return chips.length > 0 ? `<div class="category-balances">${chips.join('')}</div>` : '';
+    }
+
+    renderSessionControls(child) {
+        const session = child.session;
+        if (!session) {
+            const categories = this.getCategories();
+            const now = Date.now();
+            if (categories.length <= 1) {
+                const disabled = this.getAvailableMinutes(child, this.DEFAULT_CATEGORY_ID, now) <= 0 ? 'disabled' : '';
+                return `
+                    <div class="session-controls">
+                        <button id="sessionStartBtn-${child.id}" class="btn session-btn session-start-btn" onclick="app.startSession('${child.id}')" ${disabled}>${t('▶ Start Watching')}</button>
+                    </div>
+                `;
+            }
+            // A start button per screen category
+            return `
+                <div class="session-controls">
+                    <div class="session-buttons session-category-buttons">
+                        ${categories.map(category => `
+                            <button id="sessionStartBtn-${child.id}-${category.id}" class="btn session-btn session-start-btn" onclick="app.startSession('${child.id}', '${category.id}')" ${this.getAvailableMinutes(child, category.id, now) <= 0 ? 'disabled' : ''}>▶ ${this.escapeHtml(this.getCategoryLabel(category.id))}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        const running = session.status === 'running';
+        const category = this.getCategory(session.category);
+        const icon = category && category.icon ? category.icon : '📺';
+        return `
+            <div class="session-controls ${running ? 'session-running' : 'session-paused'}">
+                <div class="session-countdown">
+                    <span class="session-label">${running ? `${this.escapeHtml(icon)} ${t('Watching now')}` : t('⏸ Paused')}</span>
+                    <span class="session-remaining" data-session-countdown="${child.id}">${this.formatCountdown(this.getSessionRemainingMs(child, Date.now()))}</span>
+                </div>
+                <div class="session-buttons">
+                    ${running
+                        ? `<button id="sessionToggleBtn-${child.id}" class="btn session-btn session-pause-btn" onclick="app.pauseSession('${child.id}')">${t('⏸ Pause')}</button>`
+                        : `<button id="sessionToggleBtn-${child.id}" class="btn session-btn session-start-btn" onclick="app.startSession('${child.id}')">${t('▶ Resume')}</button>`}
+                    <button id="sessionStopBtn-${child.id}" class="btn session-btn session-stop-btn" onclick="app.stopSession('${child.id}')">${t('⏹ Stop')}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Only shown in kid mode (see styles.css); parents add chore time from the time modal
+    renderChoreRequestControls(child) {
+        const pendingCount = this.getPendingChoreRequests(child.id).length;
+        return `
+            <div class="chore-request-controls">
+                <button id="choreRequestBtn-${child.id}" class="btn btn-secondary chore-request-btn" onclick="app.openChoreRequestModal('${child.id}')">${t('🙋 I did a chore')}</button>
+                ${pendingCount > 0 ? `<div class="chore-request-pending">⏳ ${tp('{count} waiting for a parent', pendingCount)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    // For text inside a quoted attribute (escapeHtml() leaves quotes alone)
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    updateSyncStatus() {
+        const statusEl = document.getElementById('syncStatus');
+        const detailsEl = document.getElementById('syncDetails');
+        const syncNowBtn = document.getElementById('syncNowBtn');
+        if (statusEl) {
+            if (this.syncEnabled) {
+                const pendingCount = this.getPendingCount();
+                if (!navigator.onLine) {
+                    statusEl.innerHTML = t('🟠 Offline - changes are saved on this device');
+                    statusEl.style.color = '#FFD591';
+                } else if (this.storage.isLocked()) {
+                    statusEl.innerHTML = t('🔒 Family passphrase needed to sync');
+                    statusEl.style.color = '#FFD591';
+                } else if (this.storage.isDowngraded()) {
+                    statusEl.innerHTML = t('🔒 Encryption was turned off - see Settings');
+                    statusEl.style.color = '#FFD591';
+                } else if (this.lastSyncError) {
+                    statusEl.innerHTML = t('🔴 Sync problem - will retry');
+                    statusEl.style.color = '#FFA39E';
+                } else if (pendingCount > 0 || this.isSyncingNow) {
+                    statusEl.innerHTML = t('🟡 Syncing...');
+                    statusEl.style.color = '#FFE58F';
+                } else {
+                    statusEl.innerHTML = this.storage.name === 'server'
+                        ? t('🟢 Syncing across devices (home server)')
+                        : t('🟢 Syncing across devices');
+                    statusEl.style.color = '#90EE90'; // Light green for better visibility
+                }
+                statusEl.style.fontWeight = '600';
+                
+                if (detailsEl) {
+                    const details = [];
+                    if (pendingCount > 0) {
+                        details.push(tp('{count} changes waiting', pendingCount));
+                    }
+                    details.push(this.lastSyncAt ? t('Last synced {time}', { time: this.formatTimeAgo(this.lastSyncAt) }) : t('Not synced yet'));
+                    if (this.lastSyncError) {
+                        details.push(t('Error: {message}', { message: this.lastSyncError }));
+                    }
+                    detailsEl.textContent = details.join(' · ');
+                    detailsEl.style.display = 'block';
+                }
+                if (syncNowBtn) {
+                    syncNowBtn.style.display = 'inline-block';
+                    syncNowBtn.disabled = this.isSyncingNow || !navigator.onLine;
+                    syncNowBtn.textContent = this.isSyncingNow ? t('⏳ Syncing...') : t('🔄 Sync now');
+                }
+            } else {
+                if (detailsEl) detailsEl.style.display = 'none';
+                if (syncNowBtn) syncNowBtn.style.display = 'none';
+                statusEl.innerHTML = loadStorageBackend().type === 'firebase'
+                    ? t('⚪ Local mode (Firebase not configured)')
+                    : t('⚪ Local mode (sync not configured)');
+                statusEl.style.color = 'rgba(255, 255, 255, 0.8)'; // White with slight transparency
+                statusEl.style.fontWeight = '500';
+            }
+        }
+    }
+
+    formatTimeAgo(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return t('just now');
+        if (minutes < 60) return t('{time} ago', { time: formatUnit(minutes, 'minute', 'short') });
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return t('{time} ago', { time: formatUnit(hours, 'hour', 'narrow') });
+        return formatDate(timestamp);
+    }
+
+    // Backup export / import
+    // A backup is a versioned JSON file holding everything that makes up the family.
+    setupBackupUI() {
+        document.getElementById('exportBackupBtn').addEventListener('click', () => this.exportBackup());
+        
+        const fileInput = document.getElementById('importBackupInput');
+        document.getElementById('importBackupBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.readBackupFile(fileInput.files[0]);
+            }
+            fileInput.value = ''; // Allow choosing the same file again
+        });
+        
+        document.getElementById('closeBackupModal').addEventListener('click', () => this.closeBackupModal());
+        document.getElementById('backupMergeBtn').addEventListener('click', () => this.restoreBackup('merge'));
+        document.getElementById('backupReplaceBtn').addEventListener('click', () => this.restoreBackup('replace'));
+        document.getElementById('backupCancelBtn').addEventListener('click', () => this.closeBackupModal());
+    }
+    
+    buildBackup() {
+        return {
+            format: this.BACKUP_FORMAT,
+            version: this.BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            familyId: this.familyId,
+            data: {
+                children: this.children,
+                customChores: this.customChores,
+                penalties: this.penalties,
+                rewards: this.rewards,
+                settings: this.getBackupSettings(this.familySettings),
+                lastMidnightCheck: this.loadLastMidnightCheck()
+            }
+        };
+    }
+    
+    // The parent PIN never goes into a backup: a salted hash of a short PIN is quickly guessed
+    // by whoever gets the file. Restoring keeps the current PIN (or lack of one).
+    getBackupSettings(settings) {
+        const { pinHash, pinSalt, ...rest } = settings;
+        return rest;
+    }
+    
+    exportBackup() {
+        const json = JSON.stringify(this.buildBackup(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tv-time-backup-${this.toDateKey(new Date())}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    readBackupFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let backup;
+            try {
+                backup = JSON.parse(reader.result);
+            } catch (error) {
+                alert(t('This file is not a valid backup (it is not JSON).'));
+                return;
+            }
+            const problem = this.validateBackup(backup);
+            if (problem) {
+                alert(t('This file can\'t be restored: {problem}', { problem }));
+                return;
+            }
+            this.pendingBackup = backup;
+            this.openBackupModal(backup);
+        };
+        reader.onerror = () => {
+            alert(t('Could not read the file.'));
+        };
+        reader.readAsText(file);
+    }
+    
+    // Returns a description of the first problem found, or null if the backup is usable
+    validateBackup(backup) {
+        if (!backup || typeof backup !== 'object' || backup.format !== this.BACKUP_FORMAT) {
+            return t('it is not a TV Time Manager backup.');
+        }
+        if (typeof backup.version !== 'number' || backup.version > this.BACKUP_VERSION) {
+            return t('it was made by a newer version of the app. Please update first.');
+        }
+        const data = backup.data;
+        if (!data || typeof data !== 'object') {
+            return t('it has no data.');
+        }
+        if (!Array.isArray(data.children)) {
+            return t('the children list is missing.');
+        }
+        for (const child of data.children) {
+            if (!child || typeof child.id !== 'string' || typeof child.name !== 'string' || !child.name.trim()) {
+                return t('a child is missing an id or name.');
+            }
+            if (typeof child.timeBalance !== 'number' || !isFinite(child.timeBalance) || child.timeBalance < 0) {
+                return t('{name} has an invalid time balance.', { name: child.name });
+            }
+            if (child.history !== undefined && !Array.isArray(child.history)) {
+                return t('{name} has an invalid history.', { name: child.name });
+            }
+        }
+        if (data.customChores !== undefined) {
+            if (!Array.isArray(data.customChores)) {
+                return t('the chores list is invalid.');
+            }
+            for (const chore of data.customChores) {
+                if (!chore || typeof chore.id !== 'string' || typeof chore.name !== 'string' || typeof chore.time !== 'number') {
+                    return t('a chore is missing its id, name or time.');
+                }
+            }
+        }
+        if (data.penalties !== undefined) {
+            if (!Array.isArray(data.penalties)) {
+                return t('the penalties list is invalid.');
+            }
+            for (const penalty of data.penalties) {
+                if (!penalty || typeof penalty.id !== 'string' || typeof penalty.name !== 'string' || typeof penalty.time !== 'number') {
+                    return t('a penalty is missing its id, name or time.');
+                }
+            }
+        }
+        if (data.rewards !== undefined) {
+            if (!Array.isArray(data.rewards)) {
+                return t('the rewards list is invalid.');
+            }
+            for (const reward of data.rewards) {
+                if (!reward || typeof reward.id !== 'string' || typeof reward.name !== 'string' || typeof reward.time !== 'number') {
+                    return t('a reward is missing its id, name or time.');
+                }
+            }
+        }
+        if (data.settings !== undefined && (data.settings === null || typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+            return t('the settings are invalid.');
+        }
+        return null;
+    }
+    
+    // Describe what restoring the backup would change, for the preview
+    diffBackup(backup) {
+        const lines = [];
+        const backupChildren = backup.data.children;
+        const backupChores = backup.data.customChores || [];
+        
+        backupChildren.forEach(child => {
+            const current = this.children.find(c => c.id === child.id);
+            if (!current) {
+                lines.push({ kind: 'add', text: t('Add child {name} ({time})', { name: child.name, time: this.formatTime(child.timeBalance) }) });
+            } else if (current.timeBalance !== child.timeBalance || current.name !== child.name) {
+                lines.push({ kind: 'change', text: t('{name}: {current} now, {backup} in backup (replace only)', { name: current.name, current: this.formatTime(current.timeBalance), backup: this.formatTime(child.timeBalance) }) });
+            }
+        });
+        this.children.forEach(child => {
+            if (!backupChildren.some(c => c.id === child.id)) {
+                lines.push({ kind: 'remove', text: t('Remove child {name} (replace only)', { name: child.name }) });
+            }
+        });
+        
+        backupChores.forEach(chore => {
+            const current = this.customChores.find(c => c.id === chore.id);
+            if (!current) {
+                lines.push({ kind: 'add', text: t('Add chore {name} (+{time})', { name: chore.name, time: this.formatTime(chore.time) }) });
+            } else if (current.name !== chore.name || current.time !== chore.time) {
+                lines.push({ kind: 'change', text: t('Chore {name} differs from backup (replace only)', { name: current.name }) });
+            }
+        });
+        this.customChores.forEach(chore => {
+            if (!backupChores.some(c => c.id === chore.id)) {
+                lines.push({ kind: 'remove', text: t('Remove chore {name} (replace only)', { name: chore.name }) });
+            }
+        });
+        
+        const backupPenalties = backup.data.penalties || [];
+        backupPenalties.forEach(penalty => {
+            const current = this.penalties.find(p => p.id === penalty.id);
+            if (!current) {
+                lines.push({ kind: 'add', text: t('Add penalty {name} (-{time})', { name: penalty.name, time: this.formatTime(penalty.time) }) });
+            } else if (current.name !== penalty.name || current.time !== penalty.time) {
+                lines.push({ kind: 'change', text: t('Penalty {name} differs from backup (replace only)', { name: current.name }) });
+            }
+        });
+        this.penalties.forEach(penalty => {
+            if (!backupPenalties.some(p => p.id === penalty.id)) {
+                lines.push({ kind: 'remove', text: t('Remove penalty {name} (replace only)', { name: penalty.name }) });
+            }
+        });
+        
+        const backupRewards = backup.data.rewards || [];
+        backupRewards.forEach(reward => {
+            const current = this.rewards.find(r => r.id === reward.id);
+            if (!current) {
+                lines.push({ kind: 'add', text: t('Add reward {name} ({time})', { name: reward.name, time: this.formatTime(reward.time) }) });
+            } else if (current.name !== reward.name || current.time !== reward.time) {
+                lines.push({ kind: 'change', text: t('Reward {name} differs from backup (replace only)', { name: current.name }) });
+            }
+        });
+        this.rewards.forEach(reward => {
+            if (!backupRewards.some(r => r.id === reward.id)) {
+                lines.push({ kind: 'remove', text: t('Remove reward {name} (replace only)', { name: reward.name }) });
+            }
+        });
+        
+        if (backup.data.settings && JSON.stringify(this.getBackupSettings(backup.data.settings)) !==
+            JSON.stringify(this.getBackupSettings(this.familySettings))) {
+            lines.push({ kind: 'change', text: t('Settings differ from backup (replace only)') });
+        }
+        return lines;
+    }
+    
+    openBackupModal(backup) {
+        const exported = new Date(backup.exportedAt);
+        document.getElementById('backupSummaryText').textContent =
+            t('Backup from {date} with {children} and {chores}.', {
+                date: isNaN(exported.getTime()) ? t('an unknown date') : formatDate(exported, { dateStyle: 'medium', timeStyle: 'short' }),
+                children: tp('{count} children', backup.data.children.length),
+                chores: tp('{count} chores', (backup.data.customChores || []).length)
+            });
+        
+        const diffList = document.getElementById('backupDiffList');
+        diffList.innerHTML = '';
+        const lines = this.diffBackup(backup);
+        if (lines.length === 0) {
+            diffList.innerHTML = `<p class="history-empty">${t('The backup matches the current data.')}</p>`;
+        }
+        const icons = { add: '➕', remove: '➖', change: '✏️' };
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            row.className = `backup-diff-row backup-diff-${line.kind}`;
+            row.textContent = `${icons[line.kind]} ${line.text}`;
+            diffList.appendChild(row);
+        });
+        
+        showDialog('backupModal');
+    }
+    
+    closeBackupModal() {
+        hideDialog('backupModal');
+        this.pendingBackup = null;
+    }
+    
+    // Merge adds children and chores that only exist in the backup and keeps everything else.
+    // Replace makes the family look exactly like the backup.
+    restoreBackup(mode) {
+        const backup = this.pendingBackup;
+        if (!backup) return;
+        if (mode === 'replace' && !confirm(t('Replace all current children, chores and settings with the backup? This cannot be undone.'))) {
+            return;
+        }
+        
+        this.dispatch('restoreBackup', {
+            mode: mode,
+            children: backup.data.children,
+            lastMidnightCheck: backup.data.lastMidnightCheck || null
+        });
+        
+        const backupChores = backup.data.customChores || [];
+        if (mode === 'replace') {
+            this.customChores = backupChores;
+        } else {
+            const missing = backupChores.filter(chore => !this.customChores.some(c => c.id === chore.id));
+            this.customChores = [...this.customChores, ...missing];
+        }
+        this.updateChoresList();
+        this.saveCustomChores();
+        
+        const backupPenalties = backup.data.penalties || [];
+        if (mode === 'replace') {
+            this.penalties = backupPenalties;
+        } else {
+            const missing = backupPenalties.filter(penalty => !this.penalties.some(p => p.id === penalty.id));
+            this.penalties = [...this.penalties, ...missing];
+        }
+        this.savePenalties();
+        
+        const backupRewards = backup.data.rewards || [];
+        if (mode === 'replace') {
+            this.rewards = backupRewards;
+        } else {
+            const missing = backupRewards.filter(reward => !this.rewards.some(r => r.id === reward.id));
+            this.rewards = [...this.rewards, ...missing];
+        }
+        this.saveRewards();
+        
+        if (mode === 'replace' && backup.data.settings) {
+            // Files from older versions still contain the PIN - leave it out
+            this.familySettings = { ...this.familySettings, ...this.getBackupSettings(backup.data.settings) };
+            this.saveFamilySettings();
+            this.populateFamilySettingsUI();
+            this.updateLockUI();
+        }
+        
+        this.closeBackupModal();
+        this.renderChildren();
+        alert(mode === 'replace' ? t('Backup restored.') : t('Backup merged.'));
+    }
+    
+    applyRestoreBackup(state, op) {
+        const backupChildren = JSON.parse(JSON.stringify(op.children));
+        if (op.mode === 'replace') {
+            state.children = backupChildren;
+            state.lastMidnightCheck = op.lastMidnightCheck || state.lastMidnightCheck;
+        } else {
+            backupChildren.forEach(child => {
+                if (!state.children.some(c => c.id === child.id)) {
+                    state.children.push(child);
+                }
+            });
+        }
+    }
+
+    // Language is chosen per device (see i18n.js)
+    setupLanguageUI() {
+        const languageInput = document.getElementById('languageInput');
+        Object.entries(SUPPORTED_LOCALES).forEach(([locale, name]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = name;
+            languageInput.appendChild(option);
+        });
+        languageInput.value = loadLocalePreference();
+        
+        languageInput.addEventListener('change', () => {
+            saveLocalePreference(languageInput.value);
+            location.reload(); // Every string is translated once, at startup
+        });
+    }
+
+    setupStorageBackendUI() {
+        const backendSelect = document.getElementById('storageBackendSelect');
+        const serverUrlInput = document.getElementById('syncServerUrlInput');
+        const serverTokenInput = document.getElementById('syncServerTokenInput');
+        const backend = loadStorageBackend();
+        
+        backendSelect.value = backend.type;
+        serverUrlInput.value = backend.serverUrl;
+        serverTokenInput.value = backend.serverToken;
+        
+        const updateServerFields = () => {
+            document.getElementById('syncServerFields').style.display = backendSelect.value === 'server' ? 'block' : 'none';
+        };
+        updateServerFields();
+        backendSelect.addEventListener('change', updateServerFields);
+        
+        document.getElementById('saveStorageBackendBtn').addEventListener('click', () => {
+            const type = backendSelect.value;
+            const serverUrl = serverUrlInput.value.trim();
+            if (type === 'server' && !/^https?:\/\//.test(serverUrl)) {
+                alert(t('Please enter the sync server address, e.g. http://192.168.1.20:8787'));
+                return;
+            }
+            if (confirm(t('The app will reload to switch sync backends. Continue?'))) {
+                saveStorageBackend({
+                    type: type,
+                    serverUrl: serverUrl,
+                    serverToken: serverTokenInput.value.trim()
+                });
+                location.reload(); // Simplest way to reconnect everything
+            }
+        });
+    }
+
+    // Family passphrase (end-to-end encryption - see family-crypto.js)
+    // The passphrase itself is never stored or synced. Each device keeps the derived key,
+    // so a new device (or one that missed a passphrase change) has to unlock once.
+    setupEncryptionUI() {
+        const unlockModal = document.getElementById('familyUnlockModal');
+        document.getElementById('closeFamilyUnlockModal').addEventListener('click', () => this.closeFamilyUnlockModal());
+        unlockModal.addEventListener('click', (e) => {
+            if (e.target === unlockModal) {
+                this.closeFamilyUnlockModal();
+            }
+        });
+        document.getElementById('familyUnlockBtn').addEventListener('click', () => this.submitFamilyUnlock());
+        document.getElementById('familyUnlockInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.submitFamilyUnlock();
+        });
+        
+        document.getElementById('enterPassphraseBtn').addEventListener('click', () => this.openFamilyUnlockModal());
+        document.getElementById('savePassphraseBtn').addEventListener('click', () => this.savePassphrase());
+        document.getElementById('removePassphraseBtn').addEventListener('click', () => this.removePassphrase());
+        this.renderEncryptionSettings();
+    }
+    
+    renderEncryptionSettings() {
+        const statusText = document.getElementById('encryptionStatusText');
+        if (!statusText) return;
+        const form = document.getElementById('passphraseForm');
+        const enterBtn = document.getElementById('enterPassphraseBtn');
+        const removeBtn = document.getElementById('removePassphraseBtn');
+        
+        form.style.display = 'none';
+        enterBtn.style.display = 'none';
+        removeBtn.style.display = 'none';
+        if (!this.syncEnabled) {
+            statusText.textContent = t('Available when this device syncs with a family.');
+        } else if (this.storage.isLocked()) {
+            statusText.textContent = t('This family is encrypted. Enter the passphrase to sync this device.');
+            enterBtn.style.display = 'block';
+        } else if (this.storage.isDowngraded()) {
+            // Set a passphrase again, or confirm turning encryption off on this device too
+            statusText.textContent = t('The synced data is no longer encrypted. If encryption was turned off on purpose, turn it off here too. Otherwise set a passphrase again.');
+            form.style.display = 'block';
+            removeBtn.style.display = 'block';
+            document.getElementById('savePassphraseBtn').textContent = t('Set Passphrase');
+        } else if (this.storage.isEncrypted()) {
+            statusText.textContent = t('On. Children, chores and settings are encrypted before they leave this device.');
+            form.style.display = 'block';
+            removeBtn.style.display = 'block';
+            document.getElementById('savePassphraseBtn').textContent = t('Change Passphrase');
+        } else {
+            statusText.textContent = t('Off. Anyone who knows the family ID can read the synced data.');
+            form.style.display = 'block';
+            document.getElementById('savePassphraseBtn').textContent = t('Set Passphrase');
+        }
+    }
+    
+    // The family document is encrypted with a passphrase this device doesn't know,
+    // or arrived in plain text although this device has the key
+    handleFamilyLocked() {
+        this.updateSyncStatus();
+        this.renderEncryptionSettings();
+        if (this.storage.isLocked() && !this.familyUnlockPrompted) {
+            this.familyUnlockPrompted = true;
+            this.openFamilyUnlockModal();
+        }
+    }
+    
+    openFamilyUnlockModal() {
+        document.getElementById('familyUnlockInput').value = '';
+        document.getElementById('familyUnlockErrorText').textContent = '';
+        showDialog('familyUnlockModal');
+        setTimeout(() => {
+            document.getElementById('familyUnlockInput').focus();
+        }, 100);
+    }
+    
+    closeFamilyUnlockModal() {
+        hideDialog('familyUnlockModal');
+        document.getElementById('familyUnlockInput').value = '';
+    }
+    
+    async submitFamilyUnlock() {
+        const passphrase = document.getElementById('familyUnlockInput').value;
+        const errorText = document.getElementById('familyUnlockErrorText');
+        const unlockBtn = document.getElementById('familyUnlockBtn');
+        if (!passphrase) return;
+        
+        const encryption = this.storage.encryption;
+        if (!encryption) {
+            // Turned off on another device in the meantime
+            this.closeFamilyUnlockModal();
+            this.syncNow();
+            return;
+        }
+        
+        unlockBtn.disabled = true;
+        unlockBtn.textContent = t('Unlocking...');
+        try {
+            const familyKey = await unlockFamilyKey(passphrase, encryption);
+            if (!familyKey) {
+                errorText.textContent = t('Incorrect passphrase');
+                return;
+            }
+            await saveFamilyKey(this.familyId, familyKey);
+            this.storage.familyKey = familyKey;
+        } catch (error) {
+            console.error('Error unlocking the family:', error);
+            errorText.textContent = t('Could not unlock on this device. A secure (https) connection is required.');
+            return;
+        } finally {
+            unlockBtn.disabled = false;
+            unlockBtn.textContent = t('Unlock');
+        }
+        
+        // Ask again if the passphrase is changed later
+        this.familyUnlockPrompted = false;
+        this.closeFamilyUnlockModal();
+        this.renderEncryptionSettings();
+        this.syncNow();
+    }
+    
+    async savePassphrase() {
+        if (!this.requireParent()) return;
+        const passphraseInput = document.getElementById('newPassphraseInput');
+        const confirmInput = document.getElementById('confirmPassphraseInput');
+        const passphrase = passphraseInput.value;
+        
+        if (passphrase.length < 8) {
+            alert(t('The passphrase must be at least 8 characters'));
+            return;
+        }
+        if (passphrase !== confirmInput.value) {
+            alert(t('The passphrases do not match'));
+            return;
+        }
+        if (!navigator.onLine) {
+            alert(t('Connect to the internet to change the family passphrase.'));
+            return;
+        }
+        if (!confirm(t('Every other device in the family will need this passphrase to keep syncing. Continue?'))) {
+            return;
+        }
+        
+        const saveBtn = document.getElementById('savePassphraseBtn');
+        saveBtn.disabled = true;
+        saveBtn.textContent = t('Encrypting...');
+        try {
+            const { familyKey, encryption } = await createFamilyKey(passphrase);
+            await this.storage.rekey(familyKey, encryption);
+            await saveFamilyKey(this.familyId, familyKey);
+        } catch (error) {
+            console.error('Error setting the family passphrase:', error);
+            alert(t('Could not encrypt the family data. Check the connection and try again.'));
+            this.renderEncryptionSettings();
+            return;
+        } finally {
+            saveBtn.disabled = false;
+        }
+        
+        passphraseInput.value = '';
+        confirmInput.value = '';
+        this.renderEncryptionSettings();
+        saveBtn.textContent = t('✓ Passphrase Saved!');
+        setTimeout(() => this.renderEncryptionSettings(), 2000);
+    }
+    
+    async removePassphrase() {
+        if (!this.requireParent()) return;
+        if (!confirm(t('Turn off encryption? Anyone who knows the family ID will be able to read the synced data.'))) {
+            return;
+        }
+        try {
+            await this.storage.rekey(null, null);
+            clearFamilyKey();
+        } catch (error) {
+            console.error('Error removing the family passphrase:', error);
+            alert(t('Could not turn off encryption. Check the connection and try again.'));
+        }
+        this.renderEncryptionSettings();
+    }
+
+    // Parent PIN lock
+    // The PIN is hashed with a random salt and stored in the family settings, so every
+    // synced device shares it. Unlocking is per device and is never persisted.
+    isPinSet() {
+        return !!this.familySettings.pinHash;
+    }
+    
+    isParentUnlocked() {
+        return !this.isPinSet() || this.parentUnlocked;
+    }
+    
+    // Returns true when a parent is present. Otherwise prompts for the PIN,
+    // runs the optional action once unlocked, and returns false.
+    requireParent(action = null) {
+        if (this.isParentUnlocked()) return true;
+        this.openPinModal(action);
+        return false;
+    }
+    
+    async hashPin(pin, salt) {
+        const data = new TextEncoder().encode(salt + ':' + pin);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    
+    setupParentLockUI() {
+        document.getElementById('lockBtn').addEventListener('click', () => {
+            if (this.parentUnlocked) {
+                this.lockApp();
+            } else {
+                this.openPinModal(null);
+            }
+        });
+        
+        document.getElementById('closePinModal').addEventListener('click', () => this.closePinModal());
+        document.getElementById('pinSubmitBtn').addEventListener('click', () => this.submitPin());
+        document.getElementById('pinInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.submitPin();
+        });
+        
+        document.getElementById('savePinBtn').addEventListener('click', () => this.savePin());
+        document.getElementById('removePinBtn').addEventListener('click', () => this.removePin());
+        document.getElementById('saveAutoLockBtn').addEventListener('click', () => this.saveAutoLock());
+        
+        // Auto-lock after inactivity
+        ['pointerdown', 'keydown', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+        setInterval(() => this.checkAutoLock(), 15000);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.checkAutoLock();
+            }
+        });
+        
+        this.updateLockUI();
+    }
+    
+    checkAutoLock() {
+        if (!this.isPinSet() || !this.parentUnlocked) return;
+        const autoLockMinutes = this.familySettings.autoLockMinutes;
+        if (autoLockMinutes > 0 && Date.now() - this.lastActivity > autoLockMinutes * 60000) {
+            this.lockApp();
+        }
+    }
+    
+    lockApp() {
+        this.parentUnlocked = false;
+        // Close anything a parent had open
+        this.closeModal();
+        this.closeAddChoreModal();
+        this.closeAddPenaltyModal();
+        this.closeAddRewardModal();
+        this.closeFamilyModal();
+        this.closeApprovalsModal();
+        hideDialog('settingsModal');
+        this.updateLockUI();
+    }
+    
+    updateLockUI() {
+        const kidMode = !this.isParentUnlocked();
+        document.body.classList.toggle('kid-mode', kidMode);
+        
+        const lockBtn = document.getElementById('lockBtn');
+        if (lockBtn) {
+            lockBtn.style.display = this.isPinSet() ? 'inline-block' : 'none';
+            lockBtn.textContent = kidMode ? t('🔒 Kid mode · Parent unlock') : t('🔓 Parent mode · Lock');
+        }
+        
+        const pinStatusText = document.getElementById('pinStatusText');
+        if (pinStatusText) {
+            pinStatusText.textContent = this.isPinSet()
+                ? t('A parent PIN is set. Kid mode turns on when the app is locked.')
+                : t('No PIN set. Anyone can change balances.');
+        }
+        const removePinBtn = document.getElementById('removePinBtn');
+        if (removePinBtn) {
+            removePinBtn.style.display = this.isPinSet() ? 'block' : 'none';
+        }
+        const autoLockInput = document.getElementById('autoLockInput');
+        if (autoLockInput && document.activeElement !== autoLockInput) {
+            autoLockInput.value = this.familySettings.autoLockMinutes;
+        }
+        this.refreshChoreRequestsUI();
+    }
+    
+    openPinModal(action) {
+        this.pendingParentAction = action;
+        document.getElementById('pinInput').value = '';
+        document.getElementById('pinErrorText').textContent = '';
+        showDialog('pinModal');
+        setTimeout(() => {
+            document.getElementById('pinInput').focus();
+        }, 100);
+    }
+    
+    closePinModal() {
+        hideDialog('pinModal');
+        document.getElementById('pinInput').value = '';
+        this.pendingParentAction = null;
+    }
+    
+    async submitPin() {
+        const pinInput = document.getElementById('pinInput');
+        const errorText = document.getElementById('pinErrorText');
+        const pin = pinInput.value.trim();
         
-        if (!name) {
-            alert('Please enter a chore name');
+        if (Date.now() < this.pinLockedUntil) {
+            errorText.textContent = t('Too many attempts. Please wait a moment.');
             return;
         }
         
-        // Time is from dropdown, so it's always valid (5, 10, 15, 30, or 60)
-        
-        if (this.editingChoreId) {
-            // Editing existing chore
-            const choreIndex = this.customChores.findIndex(c => c.id === this.editingChoreId);
-            if (choreIndex === -1) return;
-            
-            // Check if name changed and conflicts with another chore
-            const existingChore = this.customChores[choreIndex];
-            if (existingChore.name.toLowerCase() !== name.toLowerCase()) {
-                if (this.customChores.some(chore => chore.id !== this.editingChoreId && chore.name.toLowerCase() === name.toLowerCase())) {
-                    alert('A chore with this name already exists');
-                    return;
+        try {
+            const hash = await this.hashPin(pin, this.familySettings.pinSalt);
+            if (hash !== this.familySettings.pinHash) {
+                this.failedPinAttempts++;
+                if (this.failedPinAttempts >= 5) {
+                    this.failedPinAttempts = 0;
+                    this.pinLockedUntil = Date.now() + 30000;
+                    errorText.textContent = t('Too many attempts. Try again in 30 seconds.');
+                } else {
+                    errorText.textContent = t('Incorrect PIN');
                 }
-            }
-            
-            // Update the chore
-            this.customChores[choreIndex].name = name;
-            this.customChores[choreIndex].time = time;
-            this.updateChoresList();
-            this.saveCustomChores();
-            this.renderChores();
-            this.closeAddChoreModal();
-            
-            // Show success feedback
-            const saveBtn = document.getElementById('saveChoreBtn');
-            const originalText = saveBtn.textContent;
-            saveBtn.textContent = '✓ Updated!';
-            setTimeout(() => {
-                saveBtn.textContent = originalText;
-            }, 2000);
-        } else {
-            // Adding new chore
-            // Check if chore with same name already exists
-            if (this.customChores.some(chore => chore.name.toLowerCase() === name.toLowerCase())) {
-                alert('A chore with this name already exists');
+                pinInput.value = '';
                 return;
             }
-            
-            // Add new custom chore
-            const newChore = {
-                name: name,
-                time: time,
-                id: Date.now().toString() // Unique ID for the chore
-            };
-            
-            this.customChores.push(newChore);
-            this.updateChoresList();
-            this.saveCustomChores();
-            
-            // Refresh the chores display
-            this.renderChores();
-            
-            // Close modal
-            this.closeAddChoreModal();
-            
-            // Show success feedback
-            const saveBtn = document.getElementById('saveChoreBtn');
-            const originalText = saveBtn.textContent;
-            saveBtn.textContent = '✓ Saved!';
-            setTimeout(() => {
-                saveBtn.textContent = originalText;
-            }, 2000);
+        } catch (error) {
+            console.error('Error checking PIN:', error);
+            errorText.textContent = t('Could not check the PIN on this device.');
+            return;
+        }
+        
+        this.failedPinAttempts = 0;
+        this.parentUnlocked = true;
+        this.lastActivity = Date.now();
+        const action = this.pendingParentAction;
+        this.closePinModal();
+        this.updateLockUI();
+        if (action) {
+            action();
         }
     }
     
-    updateAmountDisplay() {
-        const amount = this.currentAmount;
-        let displayText;
+    async savePin() {
+        const pinInput = document.getElementById('newPinInput');
+        const confirmInput = document.getElementById('confirmPinInput');
+        const pin = pinInput.value.trim();
         
-        if (amount === 0) {
-            displayText = '0';
-        } else if (amount > 0) {
-            // Positive amounts (for adding)
-            displayText = amount === 60 ? '+1 hour' : `+${amount} min`;
-        } else {
-            // Negative amounts (for subtracting)
-            const absAmount = Math.abs(amount);
-            displayText = absAmount === 60 ? '-1 hour' : `-${absAmount} min`;
+        if (!/^\d{4,8}$/.test(pin)) {
+            alert(t('The PIN must be 4 to 8 digits'));
+            return;
+        }
+        if (pin !== confirmInput.value.trim()) {
+            alert(t('The PINs do not match'));
+            return;
         }
         
-        document.getElementById('selectedAmount').textContent = displayText;
-        
-        // Update modal display after adjustment
-        if (this.currentChildId) {
-            const child = this.children.find(c => c.id === this.currentChildId);
-            if (child) {
-                document.getElementById('modalCurrentTime').textContent = this.formatTime(child.timeBalance);
-            }
+        try {
+            const salt = Array.from(crypto.getRandomValues(new Uint8Array(16))).map(b => b.toString(16).padStart(2, '0')).join('');
+            this.familySettings.pinHash = await this.hashPin(pin, salt);
+            this.familySettings.pinSalt = salt;
+        } catch (error) {
+            console.error('Error setting PIN:', error);
+            alert(t('Could not set a PIN on this device. A secure (https) connection is required.'));
+            return;
         }
+        
+        // Whoever just set the PIN stays unlocked
+        this.parentUnlocked = true;
+        this.lastActivity = Date.now();
+        this.saveFamilySettings();
+        this.updateLockUI();
+        pinInput.value = '';
+        confirmInput.value = '';
+        
+        const saveBtn = document.getElementById('savePinBtn');
+        saveBtn.textContent = t('✓ PIN Saved!');
+        setTimeout(() => {
+            saveBtn.textContent = t('Set PIN');
+        }, 2000);
     }
-
-    closeModal() {
-        document.getElementById('timeModal').style.display = 'none';
-        this.currentChildId = null;
+    
+    removePin() {
+        if (!this.requireParent()) return;
+        if (confirm(t('Remove the parent PIN? Anyone will be able to change balances.'))) {
+            this.familySettings.pinHash = null;
+            this.familySettings.pinSalt = null;
+            this.saveFamilySettings();
+            this.updateLockUI();
+        }
     }
-
-    adjustTime(childId, action, amount) {
-        const child = this.children.find(c => c.id === childId);
-        if (!child) return;
-
-        if (action === 'add') {
-            child.timeBalance += amount;
-            // Cap at maximum time balance (5 hours)
-            child.timeBalance = Math.min(child.timeBalance, this.MAX_TIME_BALANCE);
-        } else if (action === 'subtract') {
-            child.timeBalance = Math.max(0, child.timeBalance - amount);
+    
+    saveAutoLock() {
+        const minutes = this.parseMinutesInput(document.getElementById('autoLockInput').value, false);
+        if (minutes === undefined) {
+            alert(t('Please enter whole minutes between 0 and 1440'));
+            return;
         }
-
-        this.saveChildren();
-        this.renderChildren();
+        this.familySettings.autoLockMinutes = minutes;
+        this.saveFamilySettings();
         
-        // Update modal display
-        if (this.currentChildId === childId) {
-            document.getElementById('modalCurrentTime').textContent = this.formatTime(child.timeBalance);
-        }
+        const saveBtn = document.getElementById('saveAutoLockBtn');
+        saveBtn.textContent = t('✓ Saved!');
+        setTimeout(() => {
+            saveBtn.textContent = t('Save');
+        }, 2000);
     }
 
-    formatTime(minutes) {
-        const hours = Math.floor(minutes / 60);
-        const mins = minutes % 60;
+    openFamilyModal() {
+        if (!this.requireParent(() => this.openFamilyModal())) return;
         
-        if (hours > 0) {
-            return `${hours}h ${mins}m`;
+        // Update Family ID display
+        const familyIdDisplay = document.getElementById('familyIdDisplay');
+        if (familyIdDisplay) {
+            familyIdDisplay.value = this.familyId;
         }
-        return `${mins}m`;
+        this.renderFamilyQrCode();
+        showDialog('familyModal');
     }
 
-    checkDailyBonus() {
+    closeFamilyModal() {
+        this.stopQrScan();
+        hideDialog('familyModal');
+    }
+    
+    // QR pairing
+    // The QR code holds a join link (index.html?join=<familyId>), so the other phone can
+    // scan it with its normal camera app, or with "Scan to join" inside the app.
+    getJoinLink() {
+        if (window.location.protocol === 'file:') {
+            return this.familyId; // No link to open - the in-app scanner reads the bare ID
+        }
+        return `${window.location.origin}${window.location.pathname}?join=${encodeURIComponent(this.familyId)}`;
+    }
+    
+    renderFamilyQrCode() {
+        const canvas = document.getElementById('familyQrCanvas');
         try {
-            // Set flag to prevent Firebase overwrites during bonus processing
-            this.isProcessingBonus = true;
-            
-            const lastCheck = this.loadLastMidnightCheck();
-            const now = new Date();
-            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-            today.setHours(0, 0, 0, 0); // Ensure it's exactly midnight
-            
-            // Get last midnight with validation
-            let lastMidnight = null;
-            if (lastCheck) {
-                const parsedDate = new Date(lastCheck);
-                // Check if date is valid
-                if (!isNaN(parsedDate.getTime())) {
-                    parsedDate.setHours(0, 0, 0, 0); // Normalize to midnight
-                    lastMidnight = parsedDate;
-                } else {
-                    // Invalid date stored, clear it
-                    localStorage.removeItem('lastMidnightCheck');
-                }
-            }
-            
-            // Check if we've already given bonus today
-            if (lastMidnight && lastMidnight.getTime() === today.getTime()) {
-                this.isProcessingBonus = false;
-                this.renderChildren();
-                return; // Already checked today
-            }
-
-            // Calculate days since last check (with safety limit)
-            let daysToAdd = 0;
-            if (lastMidnight && lastMidnight < today) {
-                const diffTime = today.getTime() - lastMidnight.getTime();
-                daysToAdd = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-                // Safety limit: max 365 days at once (prevent infinite loops)
-                daysToAdd = Math.min(daysToAdd, 365);
-            } else if (!lastMidnight) {
-                // First time - no bonus to add today
-                this.saveLastMidnightCheck(today.toISOString());
-                this.isProcessingBonus = false;
-                this.renderChildren();
+            drawQrCode(canvas, createQrMatrix(this.getJoinLink()), 5);
+            canvas.style.display = 'block';
+        } catch (error) {
+            console.error('Error drawing family QR code:', error);
+            canvas.style.display = 'none';
+        }
+    }
+    
+    // Generated IDs only use letters, numbers, _ and -, but a family ID used to be any text
+    // Firestore accepts as a document ID, so custom IDs typed in before QR codes still work
+    isValidFamilyId(familyId) {
+        return typeof familyId === 'string' && familyId.length > 0 && familyId.length <= 1500 &&
+            !familyId.includes('/') && familyId !== '.' && familyId !== '..' && !/^__.*__$/.test(familyId);
+    }
+    
+    // Scanned text is either a join link or a bare family ID
+    parseFamilyIdFromScan(text) {
+        try {
+            const joinId = new URL(text).searchParams.get('join');
+            if (joinId) return joinId;
+        } catch (error) {
+            // Not a URL
+        }
+        return text.trim();
+    }
+    
+    async startQrScan() {
+        const manualFallback = (message) => {
+            alert(`${message} ${t('Type or paste the family ID instead.')}`);
+            document.getElementById('familyIdInput').focus();
+        };
+        if (!('BarcodeDetector' in window) || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            manualFallback(t('Scanning isn\'t supported in this browser.'));
+            return;
+        }
+        
+        let detector;
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            if (!formats.includes('qr_code')) {
+                manualFallback(t('This device can\'t read QR codes.'));
                 return;
             }
-
-            // Add 30 minutes for each missed day (capped at 5 hours)
-            // The automatic bonus won't make the balance exceed 5 hours
-            if (daysToAdd > 0 && daysToAdd <= 365) {
-                const bonusAmount = 30 * daysToAdd;
-                this.children.forEach(child => {
-                    // Only add enough to reach the maximum, not exceed it
-                    const amountToAdd = Math.min(bonusAmount, this.MAX_TIME_BALANCE - child.timeBalance);
-                    if (amountToAdd > 0) {
-                        child.timeBalance += amountToAdd;
+            detector = new BarcodeDetector({ formats: ['qr_code'] });
+            this.scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        } catch (error) {
+            console.error('Error starting the camera:', error);
+            manualFallback(t('The camera couldn\'t be started.'));
+            return;
+        }
+        
+        const video = document.getElementById('qrScannerVideo');
+        video.srcObject = this.scanStream;
+        try {
+            await video.play();
+        } catch (error) {
+            // e.g. autoplay blocked - don't leave the camera running
+            console.error('Error starting the camera preview:', error);
+            this.stopQrScan();
+            manualFallback(t('The camera couldn\'t be started.'));
+            return;
+        }
+        document.getElementById('qrScanner').style.display = 'block';
+        document.getElementById('qrScannerStatus').textContent = t('Point the camera at the QR code on the other phone');
+        
+        const scanFrame = async () => {
+            if (!this.scanStream) return; // Stopped
+            try {
+                const codes = await detector.detect(video);
+                if (codes.length > 0) {
+                    const familyId = this.parseFamilyIdFromScan(codes[0].rawValue);
+                    if (this.isValidFamilyId(familyId)) {
+                        this.stopQrScan();
+                        document.getElementById('familyIdInput').value = familyId;
+                        this.connectToFamily(familyId);
+                        return;
                     }
-                });
-                this.saveLastMidnightCheck(today.toISOString());
-                this.saveChildren();
-                
-                // Wait a moment for Firebase to sync before clearing the flag
-                setTimeout(() => {
-                    this.isProcessingBonus = false;
-                }, 2000); // 2 seconds should be enough for Firebase to sync
-            } else {
-                this.isProcessingBonus = false;
+                    document.getElementById('qrScannerStatus').textContent = t('That QR code isn\'t a family code');
+                }
+            } catch (error) {
+                console.error('Error scanning QR code:', error);
             }
-
-            this.renderChildren();
-        } catch (error) {
-            console.error('Error in checkDailyBonus:', error);
-            this.isProcessingBonus = false;
-            // If there's an error, just render children without checking bonus
-            this.renderChildren();
+            this.scanTimer = setTimeout(scanFrame, 300);
+        };
+        scanFrame();
+    }
+    
+    stopQrScan() {
+        clearTimeout(this.scanTimer);
+        if (this.scanStream) {
+            this.scanStream.getTracks().forEach(track => track.stop());
+            this.scanStream = null;
+        }
+        const scanner = document.getElementById('qrScanner');
+        if (scanner) {
+            scanner.style.display = 'none';
         }
     }
-
-    setupMidnightScheduler() {
-        // Check immediately when app loads
-        this.checkDailyBonus();
-
-        // Set up interval to check every minute
-        setInterval(() => {
-            this.checkDailyBonus();
-        }, 60000); // Check every minute
-
-        // Also schedule for exactly at midnight
-        this.scheduleMidnightCheck();
+    
+    // index.html?join=<familyId> - prefill the connect confirmation
+    handleJoinLink() {
+        const params = new URLSearchParams(window.location.search);
+        const familyId = params.get('join');
+        if (!familyId) return;
+        
+        // Drop the parameter so a reload doesn't ask again
+        params.delete('join');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+        
+        if (familyId !== this.familyId) {
+            this.openJoinPrompt(familyId);
+        }
     }
-
-    scheduleMidnightCheck() {
-        const now = new Date();
-        const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-        const msUntilMidnight = midnight - now;
-
-        setTimeout(() => {
-            this.checkDailyBonus();
-            // After first midnight check, continue checking daily
-            setInterval(() => {
-                this.checkDailyBonus();
-            }, 24 * 60 * 60 * 1000); // Check every 24 hours
-        }, msUntilMidnight);
+    
+    openJoinPrompt(familyId) {
+        if (!this.requireParent(() => this.openJoinPrompt(familyId))) return;
+        this.openFamilyModal();
+        document.getElementById('familyIdInput').value = familyId;
+        // Let the modal appear behind the confirmation
+        setTimeout(() => this.connectToFamily(familyId), 300);
     }
-
-    renderChildren() {
-        const container = document.getElementById('childrenList');
-        const emptyState = document.getElementById('emptyState');
-
-        if (this.children.length === 0) {
-            container.innerHTML = '';
-            emptyState.style.display = 'block';
+    
+    connectToFamily(newFamilyId) {
+        if (!this.isValidFamilyId(newFamilyId)) {
+            alert(t('That doesn\'t look like a family ID.'));
             return;
         }
-
-        emptyState.style.display = 'none';
-        container.innerHTML = '';
-
-        this.children.forEach(child => {
-            const card = document.createElement('div');
-            card.className = 'child-card';
-            
-            const timeClass = child.timeBalance > 60 ? 'time-high' : 
-                            child.timeBalance > 0 ? 'time-medium' : 'time-low';
+        if (newFamilyId === this.familyId) {
+            alert(t('This device is already in that family.'));
+            return;
+        }
+        if (confirm(t('This will connect to a different family. All local data will sync with the new family. Continue?'))) {
+            this.localCopy.write({ familyId: newFamilyId });
+            this.familyId = newFamilyId;
+            const familyIdDisplay = document.getElementById('familyIdDisplay');
+            if (familyIdDisplay) {
+                familyIdDisplay.value = newFamilyId;
+            }
+            document.getElementById('familyIdInput').value = '';
             
-            card.innerHTML = `
-                <div class="child-header">
-                    <h3>${this.escapeHtml(child.name)}</h3>
-                    <button class="delete-btn" onclick="app.deleteChild('${child.id}')" aria-label="Delete child">×</button>
-                </div>
-                <div class="time-display ${timeClass} clickable-time" onclick="app.openTimeModal('${child.id}')" style="cursor: pointer;">
-                    <span class="time-label">Time Balance:</span>
-                    <span class="time-value">${this.formatTime(child.timeBalance)}</span>
-                </div>
-            `;
-
-            container.appendChild(card);
-        });
-    }
-
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
-    updateSyncStatus() {
-        const statusEl = document.getElementById('syncStatus');
-        if (statusEl) {
-            if (this.firebaseEnabled) {
-                statusEl.innerHTML = '🟢 Syncing across devices';
-                statusEl.style.color = '#90EE90'; // Light green for better visibility
-                statusEl.style.fontWeight = '600';
+            // Reinitialize the sync connection with new family ID
+            if (this.syncEnabled) {
+                // Remove old listener and setup new one
+                location.reload(); // Simplest way to restart with new ID
             } else {
-                statusEl.innerHTML = '⚪ Local mode (Firebase not configured)';
-                statusEl.style.color = 'rgba(255, 255, 255, 0.8)'; // White with slight transparency
-                statusEl.style.fontWeight = '500';
+                this.renderFamilyQrCode();
+                alert(t('Family ID updated. Refresh the page to connect.'));
             }
         }
     }
 
-    openFamilyModal() {
-        // Update Family ID display
-        const familyIdDisplay = document.getElementById('familyIdDisplay');
-        if (familyIdDisplay) {
-            familyIdDisplay.value = this.familyId;
-        }
-        document.getElementById('familyModal').style.display = 'block';
-    }
-
-    closeFamilyModal() {
-        document.getElementById('familyModal').style.display = 'none';
-    }
-
     setupFamilyIdUI() {
         // Copy Family ID button
         const copyBtn = document.getElementById('copyFamilyIdBtn');
@@ -933,19 +5584,19 @@ class TVTimeManager {
                 familyIdInput.setSelectionRange(0, 99999); // For mobile
                 try {
                     document.execCommand('copy');
-                    copyBtn.textContent = 'Copied!';
+                    copyBtn.textContent = t('Copied!');
                     copyBtn.style.background = '#52C41A';
                     setTimeout(() => {
-                        copyBtn.textContent = 'Copy';
+                        copyBtn.textContent = t('Copy');
                         copyBtn.style.background = '';
                     }, 2000);
                 } catch (err) {
                     // Fallback for modern browsers
                     navigator.clipboard.writeText(this.familyId).then(() => {
-                        copyBtn.textContent = 'Copied!';
+                        copyBtn.textContent = t('Copied!');
                         copyBtn.style.background = '#52C41A';
                         setTimeout(() => {
-                            copyBtn.textContent = 'Copy';
+                            copyBtn.textContent = t('Copy');
                             copyBtn.style.background = '';
                         }, 2000);
                     });
@@ -958,27 +5609,12 @@ class TVTimeManager {
         const familyIdInput = document.getElementById('familyIdInput');
         if (setBtn && familyIdInput) {
             setBtn.addEventListener('click', () => {
-                const newFamilyId = familyIdInput.value.trim();
+                // Accept a pasted join link as well as a bare ID
+                const newFamilyId = this.parseFamilyIdFromScan(familyIdInput.value);
                 if (newFamilyId && newFamilyId.length > 0) {
-                    if (confirm('This will connect to a different family. All local data will sync with the new family. Continue?')) {
-                        localStorage.setItem('tvTimeFamilyId', newFamilyId);
-                        this.familyId = newFamilyId;
-                        const familyIdDisplay = document.getElementById('familyIdDisplay');
-                        if (familyIdDisplay) {
-                            familyIdDisplay.value = newFamilyId;
-                        }
-                        familyIdInput.value = '';
-                        
-                        // Reinitialize Firebase connection with new family ID
-                        if (this.firebaseEnabled) {
-                            // Remove old listener and setup new one
-                            location.reload(); // Simplest way to restart with new ID
-                        } else {
-                            alert('Family ID updated. Refresh the page to connect.');
-                        }
-                    }
+                    this.connectToFamily(newFamilyId);
                 } else {
-                    alert('Please enter a Family ID');
+                    alert(t('Please enter a Family ID'));
                 }
             });
             
@@ -989,6 +5625,10 @@ class TVTimeManager {
                 }
             });
         }
+        
+        // Scan to join
+        document.getElementById('scanFamilyQrBtn').addEventListener('click', () => this.startQrScan());
+        document.getElementById('stopScanBtn').addEventListener('click', () => this.stopQrScan());
     }
 }
 
@@ -996,13 +5636,15 @@ class TVTimeManager {
 let app;
 document.addEventListener('DOMContentLoaded', () => {
     try {
+        translatePage(document);
+        setupDialogs();
         app = new TVTimeManager();
     } catch (error) {
         console.error('Failed to initialize app:', error);
         // Show error message to user
         const container = document.querySelector('.container');
         if (container) {
-            container.innerHTML = '<h1>Error Loading App</h1><p>Please refresh the page. If the problem persists, clear your browser cache.</p>';
+            container.innerHTML = `<h1>${t('Error Loading App')}</h1><p>${t('Please refresh the page. If the problem persists, clear your browser cache.')}</p>`;
         }
     }
 });
@@ -1090,7 +5732,7 @@ class UpdateManager {
             checkBtn.disabled = true;
         }
         if (updateBtnText) {
-            updateBtnText.textContent = '⏳ Checking...';
+            updateBtnText.textContent = t('⏳ Checking...');
         }
         if (updateStatusText) {
             updateStatusText.textContent = '';
@@ -1105,7 +5747,7 @@ class UpdateManager {
                 this.updateAvailable = true;
                 this.showUpdateBanner();
                 if (updateStatusText) {
-                    updateStatusText.textContent = 'Update available! See banner at top.';
+                    updateStatusText.textContent = t('Update available! See banner at top.');
                     updateStatusText.style.color = 'var(--primary-color)';
                 }
             } else {
@@ -1115,15 +5757,15 @@ class UpdateManager {
                 } else {
                     console.log('No updates available');
                     if (updateBtnText) {
-                        updateBtnText.textContent = '✅ Up to date';
+                        updateBtnText.textContent = t('✅ Up to date');
                     }
                     if (updateStatusText) {
-                        updateStatusText.textContent = 'You have the latest version.';
+                        updateStatusText.textContent = t('You have the latest version.');
                         updateStatusText.style.color = 'var(--text-secondary)';
                     }
                     setTimeout(() => {
                         if (updateBtnText) {
-                            updateBtnText.textContent = '🔄 Check for Updates';
+                            updateBtnText.textContent = t('🔄 Check for Updates');
                         }
                         if (checkBtn) {
                             checkBtn.disabled = false;
@@ -1137,15 +5779,15 @@ class UpdateManager {
         } catch (error) {
             console.error('Error checking for updates:', error);
             if (updateBtnText) {
-                updateBtnText.textContent = '❌ Error';
+                updateBtnText.textContent = t('❌ Error');
             }
             if (updateStatusText) {
-                updateStatusText.textContent = 'Failed to check for updates.';
+                updateStatusText.textContent = t('Failed to check for updates.');
                 updateStatusText.style.color = 'var(--primary-color)';
             }
             setTimeout(() => {
                 if (updateBtnText) {
-                    updateBtnText.textContent = '🔄 Check for Updates';
+                    updateBtnText.textContent = t('🔄 Check for Updates');
                 }
                 if (checkBtn) {
                     checkBtn.disabled = false;
@@ -1184,7 +5826,7 @@ class UpdateManager {
         }
         const updateBtnText = document.getElementById('updateBtnText');
         if (updateBtnText) {
-            updateBtnText.textContent = '🔄 Update Available';
+            updateBtnText.textContent = t('🔄 Update Available');
         }
         const checkBtn = document.getElementById('checkUpdateBtn');
         if (checkBtn) {
@@ -1244,7 +5886,7 @@ class UpdateManager {
             const currentCache = cacheNames.find(name => name.startsWith('tv-time-manager-'));
             if (currentCache) {
                 const version = currentCache.replace('tv-time-manager-', '');
-                versionText.textContent = `App Version: ${version}`;
+                versionText.textContent = t('App Version: {version}', { version });
             } else {
                 // Try to get from service worker if available
                 if (this.registration && this.registration.active) {
@@ -1254,36 +5896,44 @@ class UpdateManager {
                         const swText = await swResponse.text();
                         const versionMatch = swText.match(/APP_VERSION\s*=\s*['"]([^'"]+)['"]/);
                         if (versionMatch) {
-                            versionText.textContent = `App Version: ${versionMatch[1]}`;
+                            versionText.textContent = t('App Version: {version}', { version: versionMatch[1] });
                         } else {
-                            versionText.textContent = 'App Version: Unknown';
+                            versionText.textContent = t('App Version: Unknown');
                         }
                     } catch (e) {
-                        versionText.textContent = 'App Version: Not installed';
+                        versionText.textContent = t('App Version: Not installed');
                     }
                 } else {
-                    versionText.textContent = 'App Version: Not installed';
+                    versionText.textContent = t('App Version: Not installed');
                 }
             }
         } catch (error) {
             console.error('Error loading version:', error);
-            versionText.textContent = 'App Version: Error';
+            versionText.textContent = t('App Version: Error');
         }
     }
     
     openSettings() {
+        // Settings are parent-only when a PIN is set
+        if (typeof app !== 'undefined' && app && !app.requireParent(() => this.openSettings())) return;
+        
         const modal = document.getElementById('settingsModal');
         if (modal) {
-            modal.style.display = 'block';
+            showDialog('settingsModal');
             // Load version when opening settings
             this.loadVersion();
+            // Children may have changed since the notification list was built
+            if (typeof app !== 'undefined' && app) {
+                app.renderNotificationSettings();
+                app.renderEncryptionSettings();
+            }
         }
     }
     
     closeSettings() {
         const modal = document.getElementById('settingsModal');
         if (modal) {
-            modal.style.display = 'none';
+            hideDialog('settingsModal');
         }
     }
 }
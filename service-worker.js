@@ -1,12 +1,22 @@
 // Update this version number when you deploy a new version
-const APP_VERSION = '1.1.1';
+const APP_VERSION = '1.2.24';
 const CACHE_NAME = `tv-time-manager-${APP_VERSION}`;
 const urlsToCache = [
   './',
   './index.html',
   './styles.css',
+  './i18n.js',
+  './i18n-es.js',
+  './i18n-de.js',
+  './accessibility.js',
+  './storage-adapters.js',
+  './outbox.js',
+  './qr-code.js',
+  './family-crypto.js',
   './script.js',
-  './manifest.json'
+  './manifest.json',
+  './icon-192.png',
+  './badge-72.png'
 ];
 
 self.addEventListener('install', (event) => {
@@ -99,4 +109,17 @@ self.addEventListener('message', (event) => {
   }
 });
 
-
+// Tapping a notification brings the app to the front (or opens it)
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      for (const client of clientList) {
+        if ('focus' in client) {
+          return client.focus();
+        }
+      }
+      return self.clients.openWindow('./');
+    })
+  );
+});
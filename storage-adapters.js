@@ -0,0 +1,269 @@
+// Storage Adapters
+// TVTimeManager talks to its sync backend only through one of these adapters.
+// Every adapter stores one document per family (children, customChores, settings, ...)
+// and implements the same interface:
+//
+//   name                   'local' | 'firebase' | 'server'
+//   isRemote               true if the adapter syncs between devices
+//   load(options)          Promise<data|null> - the family document, or null if there is none yet.
+//                          May be a cached copy while offline, unless options.fromServer is set.
+//   subscribe(onData, onError)
+//                          Calls onData(data, confirmed) on every change (including other devices'
+//                          changes). confirmed is false for a copy that hasn't come from the server
+//                          (e.g. Firestore's offline cache). Returns a function that stops listening.
+//   saveFields(fields)     Promise - merge the given top-level fields into the document
+//                          (each field's value replaces the stored one whole, nested maps included)
+//   transact(mutate)       Promise - atomically read the document, call mutate(data|null) and
+//                          merge the fields it returns (or resolves to). Retried if another device
+//                          wrote in between, so mutate() must not have side effects.
+//
+// With a family passphrase the adapter is wrapped in an EncryptedStorageAdapter (family-crypto.js).
+//
+// The active backend is chosen per device in Settings and kept in localStorage.
+
+const STORAGE_BACKEND_KEY = 'tvTimeStorageBackend';
+
+function loadStorageBackend() {
+    try {
+        const stored = localStorage.getItem(STORAGE_BACKEND_KEY);
+        if (stored) {
+            return { type: 'firebase', serverUrl: '', serverToken: '', ...JSON.parse(stored) };
+        }
+    } catch (error) {
+        console.error('Error loading storage backend:', error);
+    }
+    // Firebase stays the default so existing installs keep syncing
+    return { type: 'firebase', serverUrl: '', serverToken: '' };
+}
+
+function saveStorageBackend(backend) {
+    localStorage.setItem(STORAGE_BACKEND_KEY, JSON.stringify(backend));
+}
+
+// localStorage keys of this device's copy of the family document, and of the values that
+// belong to this device only. raw values are stored as plain strings, the rest as JSON.
+const LOCAL_STORAGE_KEYS = {
+    children: { key: 'tvTimeChildren' },
+    appliedOps: { key: 'tvTimeAppliedOps' },
+    opWatermarks: { key: 'tvTimeOpWatermarks' },
+    choreRequests: { key: 'tvTimeChoreRequests' },
+    customChores: { key: 'tvTimeCustomChores' },
+    penalties: { key: 'tvTimePenalties' },
+    rewards: { key: 'tvTimeRewards' },
+    settings: { key: 'tvTimeFamilySettings' },
+    lastMidnightCheck: { key: 'lastMidnightCheck', raw: true },
+    // Not part of the family document
+    familyId: { key: 'tvTimeFamilyId', raw: true },
+    lastSyncAt: { key: 'tvTimeLastSync', raw: true },
+    notificationSettings: { key: 'tvTimeNotificationSettings' }
+};
+const LOCAL_DOCUMENT_FIELDS = ['children', 'appliedOps', 'opWatermarks', 'choreRequests', 'customChores',
+    'penalties', 'rewards', 'settings', 'lastMidnightCheck'];
+
+// This device's copy of the family, in localStorage. It is the whole backend in local-only
+// mode, and the offline copy the app works from with every other backend.
+// read() and write() are the synchronous versions of load() and saveFields(), for start-up
+// and for values that only belong to this device (LOCAL_STORAGE_KEYS).
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'local';
+        this.isRemote = false;
+    }
+
+    // The stored value, or null if there is none (or it can't be read)
+    read(name) {
+        const { key, raw } = LOCAL_STORAGE_KEYS[name];
+        const stored = localStorage.getItem(key);
+        if (stored === null || raw) return stored;
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return null;
+        }
+    }
+
+    // Store the given values; null or undefined removes one. Other fields are not kept locally.
+    write(values) {
+        Object.keys(values).filter(name => LOCAL_STORAGE_KEYS[name]).forEach(name => {
+            const { key, raw } = LOCAL_STORAGE_KEYS[name];
+            const value = values[name];
+            if (value === null || value === undefined) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, raw ? String(value) : JSON.stringify(value));
+            }
+        });
+    }
+
+    async load() {
+        const data = {};
+        LOCAL_DOCUMENT_FIELDS.forEach(field => {
+            const value = this.read(field);
+            if (value !== null) {
+                data[field] = value;
+            }
+        });
+        return Object.keys(data).length > 0 ? data : null;
+    }
+
+    // Nothing else writes this copy
+    subscribe() {
+        return () => {};
+    }
+
+    async saveFields(fields) {
+        this.write(fields);
+    }
+
+    async transact(mutate) {
+        const fields = await mutate(await this.load());
+        this.write(fields);
+    }
+}
+
+// Firebase Firestore: families/{familyId}
+// Writes replace each given top-level field as a whole (mergeFields), like the sync server
+// does. A plain { merge: true } would deep-merge maps such as opWatermarks, so keys
+// removed from them would never be deleted.
+class FirebaseStorageAdapter {
+    constructor(firestore, familyId) {
+        this.name = 'firebase';
+        this.isRemote = true;
+        this.db = firestore;
+        this.familyRef = firestore.collection('families').doc(familyId);
+    }
+
+    async load(options = {}) {
+        const docSnapshot = await this.familyRef.get(options.fromServer ? { source: 'server' } : undefined);
+        return docSnapshot.exists ? docSnapshot.data() : null;
+    }
+
+    subscribe(onData, onError) {
+        return this.familyRef.onSnapshot((docSnapshot) => {
+            if (docSnapshot.exists) {
+                const metadata = docSnapshot.metadata;
+                onData(docSnapshot.data(), !metadata.fromCache && !metadata.hasPendingWrites);
+            }
+        }, onError);
+    }
+
+    saveFields(fields) {
+        const data = {
+            ...fields,
+            lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+        };
+        return this.familyRef.set(data, { mergeFields: Object.keys(data) });
+    }
+
+    transact(mutate) {
+        return this.db.runTransaction(async (transaction) => {
+            const docSnapshot = await transaction.get(this.familyRef);
+            const fields = await mutate(docSnapshot.exists ? docSnapshot.data() : null);
+            const data = {
+                ...fields,
+                lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+            };
+            transaction.set(this.familyRef, data, { mergeFields: Object.keys(data) });
+        });
+    }
+}
+
+// Self-hosted sync server (see SYNC_SERVER_SETUP.md).
+// Documents carry a version number; writes that name an outdated baseVersion are
+// rejected with 409 so transact() can re-read and try again. Changes are pushed
+// to every connected device over a WebSocket.
+class ServerStorageAdapter {
+    constructor(serverUrl, familyId, token) {
+        this.name = 'server';
+        this.isRemote = true;
+        this.baseUrl = serverUrl.replace(/\/+$/, '');
+        this.familyId = familyId;
+        this.token = token || '';
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.MAX_TRANSACTION_ATTEMPTS = 5;
+    }
+
+    familyUrl() {
+        return `${this.baseUrl}/families/${encodeURIComponent(this.familyId)}`;
+    }
+
+    async request(method, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+        const response = await fetch(this.familyUrl(), {
+            method: method,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const json = await response.json().catch(() => ({}));
+        if (!response.ok && response.status !== 409) {
+            throw new Error(t('Sync server responded {status}: {error}', { status: response.status, error: json.error || response.statusText }));
+        }
+        return { status: response.status, json: json };
+    }
+
+    async load() {
+        const { json } = await this.request('GET');
+        return json.data;
+    }
+
+    subscribe(onData, onError) {
+        let stopped = false;
+
+        const connect = () => {
+            const socketUrl = this.familyUrl().replace(/^http/, 'ws') + '/ws' +
+                (this.token ? `?token=${encodeURIComponent(this.token)}` : '');
+            this.socket = new WebSocket(socketUrl);
+
+            this.socket.onmessage = (event) => {
+                try {
+                    const message = JSON.parse(event.data);
+                    if (message.type === 'snapshot' && message.data) {
+                        onData(message.data, true);
+                    }
+                } catch (error) {
+                    onError(error);
+                }
+            };
+
+            // Reconnect after the server restarts or the phone comes back online
+            this.socket.onclose = () => {
+                if (!stopped) {
+                    clearTimeout(this.reconnectTimer);
+                    this.reconnectTimer = setTimeout(connect, 5000);
+                }
+            };
+            this.socket.onerror = () => {
+                onError(new Error(t('Sync server connection failed')));
+            };
+        };
+
+        connect();
+        return () => {
+            stopped = true;
+            clearTimeout(this.reconnectTimer);
+            if (this.socket) {
+                this.socket.close();
+            }
+        };
+    }
+
+    async saveFields(fields) {
+        await this.request('PATCH', { fields: fields });
+    }
+
+    async transact(mutate) {
+        for (let attempt = 0; attempt < this.MAX_TRANSACTION_ATTEMPTS; attempt++) {
+            const { json: current } = await this.request('GET');
+            const fields = await mutate(current.data);
+            const { status } = await this.request('PATCH', { fields: fields, baseVersion: current.version });
+            if (status !== 409) return;
+            // Another device wrote in between - read again and retry
+        }
+        throw new Error(t('Sync server transaction failed after too many conflicts'));
+    }
+}
@@ -0,0 +1,231 @@
+// TV Time Manager - Two-client sync check
+// Starts a throwaway sync server and runs two copies of the app's sync code (script.js,
+// storage-adapters.js, ...) against it, the way two phones would, then checks that:
+//
+//   - changes made on both phones at the same moment are both applied
+//   - a write that reached the server but whose acknowledgement was lost is not applied
+//     again when it is retried, even after the other phone sent hundreds of operations
+//   - both phones end up with the same balances
+//   - a chore a child asks for on one phone counts for the day it was done, even when a
+//     parent approves it on the other phone the next day
+//
+// Usage:   node sync-check.js        (Node.js 18 or newer, no dependencies)
+// Exits with status 1 if a check fails.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const APP_DIR = path.join(__dirname, '..');
+const APP_SCRIPTS = ['i18n.js', 'storage-adapters.js', 'outbox.js', 'family-crypto.js', 'script.js'];
+const PORT = parseInt(process.env.PORT) || 8797;
+const SERVER_URL = `http://localhost:${PORT}`;
+const FAMILY_ID = 'family_sync_check';
+
+let failures = 0;
+
+function check(description, passed, detail) {
+    console.log(`${passed ? 'ok  ' : 'FAIL'}  ${description}${passed || !detail ? '' : ` (${detail})`}`);
+    if (!passed) failures++;
+}
+
+function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-time-sync-check-'));
+    const server = spawn(process.execPath, [path.join(__dirname, 'sync-server.js')], {
+        env: { ...process.env, PORT: String(PORT), DATA_DIR: dataDir, SYNC_TOKEN: '' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    const ready = new Promise((resolve, reject) => {
+        server.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('listening')) resolve();
+        });
+        server.on('exit', (code) => reject(new Error(`Sync server exited with status ${code}`)));
+    });
+    const stop = () => {
+        server.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return { ready, stop };
+}
+
+// Just enough of a browser for the sync code: each phone gets its own localStorage
+function createBrowserGlobals() {
+    const items = new Map();
+    const noop = () => {};
+    const globals = {
+        console: { log: noop, warn: noop, error: noop },
+        localStorage: {
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key)
+        },
+        navigator: { language: 'en' },
+        document: { addEventListener: noop },
+        fetch: fetch,
+        crypto: globalThis.crypto,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        btoa: btoa,
+        atob: atob,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: noop,
+        Intl: Intl
+    };
+    globals.window = globals;
+    globals.window.addEventListener = noop;
+    return globals;
+}
+
+// One phone: the app's own TVTimeManager, connected to the sync server. The browser
+// start-up (DOM, Firebase, timers) is skipped and nothing is drawn.
+function createClient() {
+    const context = vm.createContext(createBrowserGlobals());
+    APP_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(APP_DIR, file), 'utf8'), context, { filename: file });
+    });
+    vm.runInContext('TVTimeManager.prototype.waitForFirebase = function () {};', context);
+    const client = vm.runInContext('new TVTimeManager()', context);
+    client.ctx = context;
+    client.familyId = FAMILY_ID;
+    client.storage = vm.runInContext(
+        `new EncryptedStorageAdapter(new ServerStorageAdapter('${SERVER_URL}', '${FAMILY_ID}'), null, () => {})`, context);
+    client.syncEnabled = true;
+    ['updateSyncStatus', 'renderChildren', 'updateModalBalance', 'refreshStatsIfOpen', 'refreshChoreRequestsUI'].forEach(method => {
+        client[method] = () => {};
+    });
+    return client;
+}
+
+// dispatch() starts sending right away - wait until the phone has nothing in flight
+async function settle(client) {
+    do {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    } while (client.isFlushingOps);
+    clearTimeout(client.flushRetryTimer);
+}
+
+// What the server holds, as the phone sees it after the next snapshot
+async function receiveSnapshot(client) {
+    client.confirmedState = client.stateFromCloud(await client.storage.load());
+    client.rebuildFromConfirmedState();
+}
+
+async function serverBalance(client, childId) {
+    const data = await client.storage.load();
+    const child = data.children.find(c => c.id === childId);
+    return child ? child.timeBalance : null;
+}
+
+function addTime(client, childId, minutes) {
+    client.dispatch('adjustTime', { childId: childId, action: 'add', amount: minutes, source: 'manual', reason: 'Sync check' });
+}
+
+// Operations made from now on are dated at the given time
+function setClock(client, date) {
+    const time = date.getTime();
+    vm.runInContext(`Date.now = () => ${time};`, client.ctx);
+}
+
+async function checkChoreApprovedNextDay(phoneA, phoneB, childId) {
+    // Last week's Monday and Tuesday, mid-morning
+    const now = new Date();
+    const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay() - 6, 10);
+    const tuesday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 1, 10);
+    const mondaysOnly = { recurrence: 'weekdays', maxPerPeriod: 1, weekdays: [1] };
+    const daily = { recurrence: 'daily', maxPerPeriod: 1, weekdays: [] };
+    const request = (choreId, choreLimit) => phoneB.dispatch('requestChore', {
+        childId: childId, choreId: choreId, choreName: choreId, minutes: 10, choreLimit: choreLimit
+    });
+
+    // The child asks for both chores on Monday (phone B)...
+    setClock(phoneB, monday);
+    const mondaysOnlyRequest = request('chore_mondays_only', mondaysOnly);
+    const dailyRequest = request('chore_daily', daily);
+    await settle(phoneB);
+
+    // ...and a parent approves them on Tuesday (phone A)
+    await receiveSnapshot(phoneA);
+    const before = await serverBalance(phoneA, childId);
+    setClock(phoneA, tuesday);
+    phoneA.dispatch('approveChoreRequest', { requestId: mondaysOnlyRequest.id, childId: childId, choreId: 'chore_mondays_only', choreLimit: mondaysOnly });
+    phoneA.dispatch('approveChoreRequest', { requestId: dailyRequest.id, childId: childId, choreId: 'chore_daily', choreLimit: daily });
+    await settle(phoneA);
+    let balance = await serverBalance(phoneA, childId);
+    check('chores approved the next day are credited', balance === before + 20, `balance ${balance}, expected ${before + 20}`);
+
+    // Monday's completion doesn't use up Tuesday's
+    phoneA.dispatch('adjustTime', {
+        childId: childId, action: 'add', amount: 10, source: 'chore', reason: 'chore_daily', choreId: 'chore_daily', choreLimit: daily
+    });
+    await settle(phoneA);
+    balance = await serverBalance(phoneA, childId);
+    check('a daily chore approved late leaves the next day free', balance === before + 30, `balance ${balance}, expected ${before + 30}`);
+
+    setClock(phoneA, new Date());
+    setClock(phoneB, new Date());
+}
+
+async function run() {
+    const phoneA = createClient();
+    const phoneB = createClient();
+    const childId = 'child_sync_check';
+
+    phoneA.dispatch('addChild', { child: { id: childId, name: 'Sam', timeBalance: 0, history: [], createdAt: new Date().toISOString() } });
+    await settle(phoneA);
+    await receiveSnapshot(phoneB);
+    check('the second phone receives the child', phoneB.children.some(c => c.id === childId));
+
+    // Both parents add time at the same moment
+    addTime(phoneA, childId, 10);
+    addTime(phoneB, childId, 20);
+    await Promise.all([settle(phoneA), settle(phoneB)]);
+    let balance = await serverBalance(phoneA, childId);
+    check('concurrent changes from both phones are applied', balance === 30, `balance ${balance}, expected 30`);
+
+    // Phone A's write reaches the server, but the connection drops before the answer arrives
+    const transact = phoneA.storage.adapter.transact.bind(phoneA.storage.adapter);
+    phoneA.storage.adapter.transact = async (mutate) => {
+        await transact(mutate);
+        throw new Error('Connection lost');
+    };
+    addTime(phoneA, childId, 15);
+    await settle(phoneA);
+    phoneA.storage.adapter.transact = transact;
+    check('the unacknowledged change stays queued', phoneA.pendingOps.length === 1);
+
+    // Meanwhile a session on phone B charges a minute at a time for hours
+    for (let i = 0; i < 300; i++) {
+        phoneB.dispatch('chargeSessions');
+    }
+    await settle(phoneB);
+
+    // Phone A comes back and retries
+    phoneA.flushPendingOps();
+    await settle(phoneA);
+    balance = await serverBalance(phoneA, childId);
+    check('a retried change is applied only once', balance === 45, `balance ${balance}, expected 45`);
+    check('the retried change is no longer queued', phoneA.pendingOps.length === 0);
+
+    await Promise.all([receiveSnapshot(phoneA), receiveSnapshot(phoneB)]);
+    const balanceA = phoneA.children.find(c => c.id === childId).timeBalance;
+    const balanceB = phoneB.children.find(c => c.id === childId).timeBalance;
+    check('both phones show the same balance', balanceA === 45 && balanceB === 45, `phone A ${balanceA}, phone B ${balanceB}`);
+
+    await checkChoreApprovedNextDay(phoneA, phoneB, childId);
+}
+
+const server = startServer();
+server.ready
+    .then(run)
+    .catch(error => {
+        console.error(error);
+        failures++;
+    })
+    .finally(() => {
+        server.stop();
+        console.log(failures === 0 ? '\nAll sync checks passed' : `\n${failures} sync check(s) failed`);
+        process.exitCode = failures === 0 ? 0 : 1;
+    });
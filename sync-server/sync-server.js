@@ -0,0 +1,305 @@
+// TV Time Manager - Self-hosted Sync Server
+// A tiny HTTP + WebSocket server that stores one JSON document per family, so
+// families can sync between phones without Firebase. Uses only Node.js built-ins.
+//
+// Usage:   node sync-server.js
+// Options (environment variables):
+//   PORT        Port to listen on (default 8787)
+//   DATA_DIR    Folder for the family documents (default ./data next to this file)
+//   SYNC_TOKEN  If set, every request must carry this token
+//
+// API:
+//   GET   /families/:id       -> { data, version }   (data is null for a new family)
+//   PATCH /families/:id       { fields, baseVersion? } merges top-level fields.
+//                             If baseVersion is given and the document has changed since,
+//                             responds 409 with the current { data, version } instead.
+//   WS    /families/:id/ws    pushes { type: 'snapshot', data, version } on connect and on every change
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT) || 8787;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// The family ID is URL-encoded in the path (see familyFile() for how it is stored)
+const FAMILY_PATH = /^\/families\/([^/]{1,4500})(\/ws)?\/?$/;
+const SAFE_FAMILY_ID = /^[A-Za-z0-9_-]{1,100}$/;
+
+const families = new Map(); // familyId -> { data, version }
+const sockets = new Map(); // familyId -> Set of sockets
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// Generated family IDs are safe to use as file names as they are. Older custom IDs can be
+// any text, so they are stored under a hash instead ('~' never appears in a safe ID).
+function familyFile(familyId) {
+    const name = SAFE_FAMILY_ID.test(familyId)
+        ? familyId
+        : '~' + crypto.createHash('sha256').update(familyId).digest('hex');
+    return path.join(DATA_DIR, `${name}.json`);
+}
+
+function parseFamilyId(encoded) {
+    try {
+        return decodeURIComponent(encoded);
+    } catch (error) {
+        return null; // Malformed escape
+    }
+}
+
+function getFamily(familyId) {
+    if (!families.has(familyId)) {
+        let family = { data: null, version: 0 };
+        try {
+            family = JSON.parse(fs.readFileSync(familyFile(familyId), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading family ${familyId}:`, error);
+            }
+        }
+        families.set(familyId, family);
+    }
+    return families.get(familyId);
+}
+
+function saveFamily(familyId, family) {
+    // Write to a temp file first so a crash can't leave a half-written document
+    const file = familyFile(familyId);
+    fs.writeFileSync(file + '.tmp', JSON.stringify(family));
+    fs.renameSync(file + '.tmp', file);
+}
+
+function isAuthorized(req, url) {
+    if (!SYNC_TOKEN) return true;
+    const header = req.headers['authorization'] || '';
+    return header === `Bearer ${SYNC_TOKEN}` || url.searchParams.get('token') === SYNC_TOKEN;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    // CORS preflight - the app is usually served from a different origin
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Max-Age': '86400'
+        });
+        res.end();
+        return;
+    }
+
+    const match = url.pathname.match(FAMILY_PATH);
+    const familyId = match && parseFamilyId(match[1]);
+    if (!familyId || match[2]) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    if (!isAuthorized(req, url)) {
+        sendJson(res, 401, { error: 'Unauthorized' });
+        return;
+    }
+
+    const family = getFamily(familyId);
+
+    if (req.method === 'GET') {
+        sendJson(res, 200, family);
+        return;
+    }
+
+    if (req.method === 'PATCH') {
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            sendJson(res, 400, { error: error.message });
+            return;
+        }
+        if (!body.fields || typeof body.fields !== 'object') {
+            sendJson(res, 400, { error: 'Missing fields' });
+            return;
+        }
+        if (body.baseVersion !== undefined && body.baseVersion !== family.version) {
+            sendJson(res, 409, family);
+            return;
+        }
+
+        family.data = { ...(family.data || {}), ...body.fields, lastUpdated: new Date().toISOString() };
+        family.version++;
+        try {
+            saveFamily(familyId, family);
+        } catch (error) {
+            console.error(`Error saving family ${familyId}:`, error);
+            sendJson(res, 500, { error: 'Could not save' });
+            return;
+        }
+        sendJson(res, 200, { version: family.version });
+        broadcast(familyId, family);
+        return;
+    }
+
+    sendJson(res, 405, { error: 'Method not allowed' });
+});
+
+// WebSocket (RFC 6455) - just enough for server-to-client text messages,
+// plus ping/close handling so browsers keep the connection healthy.
+server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(FAMILY_PATH);
+    const familyId = match && parseFamilyId(match[1]);
+    const key = req.headers['sec-websocket-key'];
+
+    if (!familyId || !match[2] || !key || !isAuthorized(req, url)) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    if (!sockets.has(familyId)) {
+        sockets.set(familyId, new Set());
+    }
+    sockets.get(familyId).add(socket);
+
+    const family = getFamily(familyId);
+    sendFrame(socket, 0x1, JSON.stringify({ type: 'snapshot', data: family.data, version: family.version }));
+
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+        let frame;
+        while ((frame = readFrame(buffered))) {
+            buffered = buffered.slice(frame.length);
+            if (frame.opcode === 0x8) {
+                // Close
+                sendFrame(socket, 0x8, Buffer.alloc(0));
+                socket.end();
+            } else if (frame.opcode === 0x9) {
+                // Ping
+                sendFrame(socket, 0xA, frame.payload);
+            }
+            // Clients don't send data messages - writes go through PATCH
+        }
+    });
+
+    const cleanup = () => {
+        const familySockets = sockets.get(familyId);
+        if (familySockets) {
+            familySockets.delete(socket);
+        }
+    };
+    socket.on('close', cleanup);
+    socket.on('error', cleanup);
+});
+
+function broadcast(familyId, family) {
+    const message = JSON.stringify({ type: 'snapshot', data: family.data, version: family.version });
+    (sockets.get(familyId) || []).forEach(socket => sendFrame(socket, 0x1, message));
+}
+
+function sendFrame(socket, opcode, payload) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    if (!socket.destroyed) {
+        socket.write(Buffer.concat([header, data]));
+    }
+}
+
+// Returns { opcode, payload, length } for the first complete frame, or null if more data is needed
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.slice(offset + maskLength, offset + maskLength + payloadLength));
+    if (masked) {
+        const mask = buffer.slice(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+    return { opcode: opcode, payload: payload, length: offset + maskLength + payloadLength };
+}
+
+server.listen(PORT, () => {
+    console.log(`TV Time sync server listening on port ${PORT}`);
+    console.log(`Storing family data in ${DATA_DIR}`);
+    if (!SYNC_TOKEN) {
+        console.log('Warning: SYNC_TOKEN is not set - anyone who can reach this server can read family data');
+    }
+});